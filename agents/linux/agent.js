@@ -23,10 +23,16 @@ const DEFAULT_CONFIG = {
         ssl: false
     },
     agent_id: null, // Will be generated
+    api_key: null, // Created in the dashboard (POST /api/auth/api-keys); or set SIEM_API_KEY
+    enrollment_token: null, // Used once to obtain an endpoint key; or set SIEM_ENROLLMENT_TOKEN
+    credentials_file: path.join(__dirname, 'credentials.json'), // Where the issued endpoint key is kept
     log_sources: [
         { path: '/var/log/syslog', type: 'syslog' },
         { path: '/var/log/auth.log', type: 'auth' },
-        { path: '/var/log/secure', type: 'auth' }  // RHEL/CentOS
+        { path: '/var/log/secure', type: 'auth' },  // RHEL/CentOS
+        { path: '/var/log/audit/audit.log', type: 'auditd' },
+        { path: '/var/log/nginx/access.log', type: 'nginx' },
+        { path: '/var/log/apache2/access.log', type: 'apache' }
     ],
     batch_size: 50,
     batch_interval_ms: 5000,
@@ -38,7 +44,11 @@ const DEFAULT_CONFIG = {
 class LinuxAgent {
     constructor(config) {
         this.config = { ...DEFAULT_CONFIG, ...config };
-        this.agentId = this.config.agent_id || this.generateAgentId();
+        const saved = this.loadCredentials();
+        // The server picks the ID at enrollment; the saved one wins over the configured one
+        this.agentId = saved.endpoint_id || this.config.agent_id || this.generateAgentId();
+        this.apiKey = this.config.api_key || process.env.SIEM_API_KEY || saved.api_key || null;
+        this.enrollmentToken = this.config.enrollment_token || process.env.SIEM_ENROLLMENT_TOKEN || null;
         this.hostname = os.hostname();
         this.ipAddress = this.getLocalIP();
         this.eventQueue = [];
@@ -54,6 +64,19 @@ class LinuxAgent {
         return `linux-${hostname}-${mac}`.replace(/[^a-zA-Z0-9-]/g, '').substring(0, 64);
     }
 
+    loadCredentials() {
+        try {
+            return JSON.parse(fs.readFileSync(this.config.credentials_file, 'utf8'));
+        } catch (e) {
+            return {};
+        }
+    }
+
+    // Keep the endpoint key issued at enrollment; readable by root only
+    saveCredentials(credentials) {
+        fs.writeFileSync(this.config.credentials_file, JSON.stringify(credentials, null, 2), { mode: 0o600 });
+    }
+
     getMacAddress() {
         const interfaces = os.networkInterfaces();
         for (const name of Object.keys(interfaces)) {
@@ -99,6 +122,12 @@ class LinuxAgent {
                 }
             };
 
+            if (this.apiKey) {
+                options.headers['X-API-Key'] = this.apiKey;
+            } else if (this.enrollmentToken) {
+                options.headers['X-Enrollment-Token'] = this.enrollmentToken;
+            }
+
             const req = protocol.request(options, (res) => {
                 let body = '';
                 res.on('data', chunk => body += chunk);
@@ -147,6 +176,13 @@ class LinuxAgent {
                 }
             });
 
+            if (response.api_key) {
+                this.apiKey = response.api_key;
+                this.agentId = response.id;
+                this.saveCredentials({ endpoint_id: response.id, api_key: response.api_key });
+                this.log('info', `Enrolled; endpoint key saved to ${this.config.credentials_file}`);
+            }
+
             this.registered = true;
             this.log('info', `Agent registered: ${response.hostname} (${response.id})`);
             return true;
@@ -175,6 +211,7 @@ class LinuxAgent {
         if (this.eventQueue.length === 0) return;
 
         const batch = this.eventQueue.splice(0, this.config.batch_size);
+        this.holdBackPartialAuditEvent(batch);
 
         // Group by source type
         const bySource = {};
@@ -206,6 +243,22 @@ class LinuxAgent {
         }
     }
 
+    // The records of one auditd event share an ID and are combined by the server,
+    // so keep a cut-off event together for the next batch
+    holdBackPartialAuditEvent(batch) {
+        if (this.eventQueue.length === 0) return;
+
+        const auditId = e => e.source === 'auditd' && (e.log.match(/msg=audit\(([\d.:]+)\)/) || [])[1];
+        const lastId = auditId(batch[batch.length - 1]);
+        if (!lastId) return;
+
+        let cut = batch.length;
+        while (cut > 0 && auditId(batch[cut - 1]) === lastId) cut--;
+        if (cut > 0) {
+            this.eventQueue.unshift(...batch.splice(cut));
+        }
+    }
+
     queueEvent(log, source) {
         this.eventQueue.push({
             log: log.trim(),
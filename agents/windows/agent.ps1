@@ -4,7 +4,8 @@
     Mini SIEM Windows Agent - Security Event Collector
 
 .DESCRIPTION
-    Collects Windows Security Event Log entries and sends them to the Mini SIEM backend.
+    Collects Windows Security Event Log entries, and Sysmon events when Sysmon is installed,
+    and sends them to the Mini SIEM backend.
     Must be run as Administrator to access Security logs.
 
 .PARAMETER ServerHost
@@ -13,27 +14,43 @@
 .PARAMETER ServerPort
     The port of the SIEM server (default: 3001)
 
+.PARAMETER ApiKey
+    Agent API key created in the SIEM dashboard (default: $env:SIEM_API_KEY)
+
+.PARAMETER EnrollmentToken
+    Enrollment token used on first start to obtain an endpoint key (default: $env:SIEM_ENROLLMENT_TOKEN).
+    The issued key is saved to credentials.json next to this script.
+
 .PARAMETER BatchSize
     Number of events to send per batch (default: 50)
 
 .PARAMETER PollIntervalSeconds
     How often to check for new events (default: 5)
 
+.PARAMETER NoSysmon
+    Do not collect the Microsoft-Windows-Sysmon/Operational log
+
 .EXAMPLE
-    .\agent.ps1 -ServerHost "192.168.1.100" -ServerPort 3001
+    .\agent.ps1 -ServerHost "192.168.1.100" -ServerPort 3001 -EnrollmentToken "mse_..."
 #>
 
 param(
     [string]$ServerHost = "localhost",
     [int]$ServerPort = 3001,
+    [string]$ApiKey = $env:SIEM_API_KEY,
+    [string]$EnrollmentToken = $env:SIEM_ENROLLMENT_TOKEN,
     [int]$BatchSize = 50,
     [int]$PollIntervalSeconds = 5,
-    [int]$HeartbeatIntervalSeconds = 30
+    [int]$HeartbeatIntervalSeconds = 30,
+    [switch]$NoSysmon
 )
 
 # Configuration
 $Script:Config = @{
     ServerUrl = "http://${ServerHost}:${ServerPort}"
+    ApiKey = $ApiKey
+    EnrollmentToken = $EnrollmentToken
+    CredentialsFile = Join-Path $PSScriptRoot "credentials.json"
     BatchSize = $BatchSize
     PollInterval = $PollIntervalSeconds
     HeartbeatInterval = $HeartbeatIntervalSeconds
@@ -51,11 +68,24 @@ $Script:Config = @{
         4616,        # System time changed
         4719         # Audit policy changed
     )
+    # Sysmon Event IDs to collect (skipped when Sysmon is not installed)
+    SysmonChannel = "Microsoft-Windows-Sysmon/Operational"
+    SysmonEventIds = @(
+        1,           # Process creation
+        3,           # Network connection
+        7,           # Image loaded
+        8,           # CreateRemoteThread
+        10,          # Process access
+        11,          # File created
+        12, 13, 14,  # Registry create/delete, value set, rename
+        22           # DNS query
+    )
+    CollectSysmon = -not $NoSysmon
 }
 
 # Agent state
 $Script:AgentId = $null
-$Script:LastEventTime = [DateTime]::Now.AddMinutes(-5)  # Start 5 minutes back
+$Script:LastEventTimes = @{}  # Per channel; each starts 5 minutes back
 $Script:EventQueue = [System.Collections.ArrayList]::new()
 $Script:IsRunning = $false
 
@@ -91,6 +121,12 @@ function Invoke-SiemRequest {
         "Content-Type" = "application/json"
         "User-Agent" = "MiniSIEM-WindowsAgent/1.0"
     }
+    if ($Script:Config.ApiKey) {
+        $headers["X-API-Key"] = $Script:Config.ApiKey
+    }
+    elseif ($Script:Config.EnrollmentToken) {
+        $headers["X-Enrollment-Token"] = $Script:Config.EnrollmentToken
+    }
 
     try {
         $params = @{
@@ -131,6 +167,12 @@ function Register-Agent {
     $response = Invoke-SiemRequest -Method "POST" -Path "/api/endpoints/register" -Body $body
 
     if ($response) {
+        if ($response.api_key) {
+            $Script:Config.ApiKey = $response.api_key
+            $Script:AgentId = $response.id
+            @{ endpoint_id = $response.id; api_key = $response.api_key } | ConvertTo-Json | Set-Content -Path $Script:Config.CredentialsFile
+            Write-Log "INFO" "Enrolled; endpoint key saved to $($Script:Config.CredentialsFile)"
+        }
         Write-Log "INFO" "Agent registered: $($response.hostname) ($($response.id))"
         return $true
     }
@@ -167,6 +209,26 @@ function Convert-EventToJson {
         }
     }
 
+    # Named EventData fields, so the server does not depend on property order
+    $eventData = [ordered]@{}
+    try {
+        $xml = [xml]$Event.ToXml()
+        foreach ($data in $xml.Event.EventData.Data) {
+            if ($data.Name) {
+                $eventData[$data.Name] = $data.InnerText
+            }
+        }
+        # Some events (e.g. 1102 audit log cleared) put their fields under UserData
+        if ($xml.Event.UserData) {
+            foreach ($node in $xml.Event.UserData.FirstChild.ChildNodes) {
+                $eventData[$node.LocalName] = $node.InnerText
+            }
+        }
+    }
+    catch {
+        Write-Log "DEBUG" "Could not read EventData of event $($Event.Id): $_"
+    }
+
     return @{
         Id = $Event.Id
         TimeCreated = $Event.TimeCreated.ToString("o")
@@ -178,17 +240,28 @@ function Convert-EventToJson {
         Task = $Event.Task
         Opcode = $Event.Opcode
         Properties = $properties
+        EventData = $eventData
         Message = $Event.Message
     }
 }
 
-function Get-SecurityEvents {
+function Get-ChannelEvents {
+    param(
+        [string]$Channel,
+        [int[]]$EventIds
+    )
+
+    if (-not $Script:LastEventTimes.ContainsKey($Channel)) {
+        $Script:LastEventTimes[$Channel] = [DateTime]::Now.AddMinutes(-5)
+    }
+    $since = $Script:LastEventTimes[$Channel]
+
     try {
         $filterXml = @"
 <QueryList>
-    <Query Id="0" Path="Security">
-        <Select Path="Security">
-            *[System[(EventID=$($Script:Config.EventIds -join ' or EventID=')) and TimeCreated[@SystemTime >= '$($Script:LastEventTime.ToUniversalTime().ToString("o"))']]]
+    <Query Id="0" Path="$Channel">
+        <Select Path="$Channel">
+            *[System[(EventID=$($EventIds -join ' or EventID=')) and TimeCreated[@SystemTime >= '$($since.ToUniversalTime().ToString("o"))']]]
         </Select>
     </Query>
 </QueryList>
@@ -197,26 +270,39 @@ function Get-SecurityEvents {
         $events = Get-WinEvent -FilterXml $filterXml -ErrorAction SilentlyContinue
 
         if ($events) {
-            Write-Log "DEBUG" "Found $($events.Count) new events"
+            Write-Log "DEBUG" "Found $($events.Count) new events in $Channel"
 
             foreach ($event in $events) {
                 $eventJson = Convert-EventToJson -Event $event
                 [void]$Script:EventQueue.Add($eventJson)
 
                 # Update last event time
-                if ($event.TimeCreated -gt $Script:LastEventTime) {
-                    $Script:LastEventTime = $event.TimeCreated.AddSeconds(1)
+                if ($event.TimeCreated -gt $Script:LastEventTimes[$Channel]) {
+                    $Script:LastEventTimes[$Channel] = $event.TimeCreated.AddSeconds(1)
                 }
             }
         }
     }
     catch {
         if ($_.Exception.Message -notmatch "No events were found") {
-            Write-Log "ERROR" "Failed to get events: $_"
+            Write-Log "ERROR" "Failed to get events from ${Channel}: $_"
         }
     }
 }
 
+function Get-SecurityEvents {
+    Get-ChannelEvents -Channel "Security" -EventIds $Script:Config.EventIds
+
+    if ($Script:Config.CollectSysmon) {
+        Get-ChannelEvents -Channel $Script:Config.SysmonChannel -EventIds $Script:Config.SysmonEventIds
+    }
+}
+
+function Test-SysmonInstalled {
+    $log = Get-WinEvent -ListLog $Script:Config.SysmonChannel -ErrorAction SilentlyContinue
+    return [bool]($log -and $log.IsEnabled)
+}
+
 function Send-EventBatch {
     if ($Script:EventQueue.Count -eq 0) {
         return
@@ -251,6 +337,13 @@ function Start-Agent {
     Write-Log "INFO" "Agent ID: $Script:AgentId"
     Write-Log "INFO" "Server: $($Script:Config.ServerUrl)"
     Write-Log "INFO" "Monitoring Event IDs: $($Script:Config.EventIds -join ', ')"
+    if ($Script:Config.CollectSysmon -and -not (Test-SysmonInstalled)) {
+        Write-Log "INFO" "Sysmon log not found, collecting Security events only"
+        $Script:Config.CollectSysmon = $false
+    }
+    if ($Script:Config.CollectSysmon) {
+        Write-Log "INFO" "Monitoring Sysmon Event IDs: $($Script:Config.SysmonEventIds -join ', ')"
+    }
     Write-Log "INFO" "========================================"
 
     # Register with server
@@ -313,6 +406,13 @@ function Stop-Agent {
 # Main
 $Script:AgentId = Get-AgentId
 
+# Reuse the endpoint key issued at enrollment
+if (-not $Script:Config.ApiKey -and (Test-Path $Script:Config.CredentialsFile)) {
+    $saved = Get-Content -Path $Script:Config.CredentialsFile -Raw | ConvertFrom-Json
+    $Script:Config.ApiKey = $saved.api_key
+    if ($saved.endpoint_id) { $Script:AgentId = $saved.endpoint_id }
+}
+
 # Handle Ctrl+C
 $null = Register-EngineEvent -SourceIdentifier PowerShell.Exiting -Action { Stop-Agent }
 
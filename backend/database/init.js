@@ -1,21 +1,66 @@
 const Database = require('better-sqlite3');
 const fs = require('fs');
 const path = require('path');
+const { QuerySyntaxError, toFtsQuery, flattenParsedData } = require('./search');
+const { compileQuery, fieldExpression, cidrMatch } = require('./queryLanguage');
 
 const DB_PATH = path.join(__dirname, 'siem.db');
 const SCHEMA_PATH = path.join(__dirname, 'schema.sql');
 
 let db = null;
 
+// Columns added after the initial schema. CREATE TABLE IF NOT EXISTS leaves existing
+// tables untouched, so these are added to older databases before the schema runs.
+const COLUMN_MIGRATIONS = [
+    { table: 'alerts', column: 'event_ids', definition: 'TEXT' },
+    { table: 'events', column: 'restored_at', definition: 'TEXT' },
+    { table: 'events', column: 'normalized', definition: 'TEXT' },
+    { table: 'endpoints', column: 'owner', definition: 'TEXT' },
+    { table: 'endpoints', column: 'environment', definition: 'TEXT' },
+    { table: 'endpoints', column: 'criticality', definition: 'TEXT' },
+    { table: 'endpoints', column: 'tags', definition: 'TEXT' },
+    { table: 'endpoints', column: 'credentials_revoked_at', definition: 'TEXT' },
+    { table: 'alerts', column: 'escalated_from', definition: 'TEXT' },
+    { table: 'alerts', column: 'risk_score', definition: 'INTEGER' },
+    { table: 'alerts', column: 'risk_factors', definition: 'TEXT' },
+    { table: 'retention_runs', column: 'archived_count', definition: 'INTEGER NOT NULL DEFAULT 0' },
+    // Accounts created before roles existed keep full access
+    { table: 'users', column: 'role', definition: "TEXT NOT NULL DEFAULT 'admin'" },
+    { table: 'users', column: 'token_version', definition: 'INTEGER NOT NULL DEFAULT 0' }
+];
+
+function migrateSchema() {
+    for (const { table, column, definition } of COLUMN_MIGRATIONS) {
+        const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+        if (columns.length > 0 && !columns.some(c => c.name === column)) {
+            db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            console.log(`[DB] Added column ${table}.${column}`);
+        }
+    }
+}
+
 function initDatabase() {
     db = new Database(DB_PATH);
     db.pragma('journal_mode = WAL');
     db.pragma('foreign_keys = ON');
 
+    // Used by the events query language for CIDR clauses
+    db.function('cidr_match', { deterministic: true }, (ip, cidr) => (cidrMatch(ip, cidr) ? 1 : 0));
+
+    migrateSchema();
+
     // Read and execute schema
     const schema = fs.readFileSync(SCHEMA_PATH, 'utf8');
     db.exec(schema);
 
+    // Index events stored before full-text search (or its event id mapping) existed
+    const eventCount = db.prepare('SELECT COUNT(*) as count FROM events').get().count;
+    const indexedCount = db.prepare('SELECT COUNT(*) as count FROM events_fts').get().count;
+    const mappedCount = db.prepare('SELECT COUNT(*) as count FROM events_fts_ids').get().count;
+    if (eventCount !== indexedCount || eventCount !== mappedCount) {
+        eventOps.rebuildSearchIndex();
+    }
+
     console.log('[DB] Database initialized at', DB_PATH);
     return db;
 }
@@ -35,102 +80,304 @@ function closeDatabase() {
     }
 }
 
+// Search highlight markers returned in event.highlights
+const HIGHLIGHT_START = '<mark>';
+const HIGHLIGHT_END = '</mark>';
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function insertEventRow(event) {
+    const info = getDatabase().prepare(`
+        INSERT INTO events (id, timestamp, source, event_type, severity, endpoint_id,
+            hostname, ip_address, user, description, raw_log, parsed_data, normalized)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        event.id,
+        event.timestamp,
+        event.source,
+        event.event_type,
+        event.severity,
+        event.endpoint_id,
+        event.hostname,
+        event.ip_address,
+        event.user,
+        event.description,
+        event.raw_log,
+        JSON.stringify(event.parsed_data || {}),
+        event.normalized ? JSON.stringify(event.normalized) : null
+    );
+    indexEvent(event);
+    return info;
+}
+
+// Add an event to the full-text index; events_fts_ids maps the index row to the event id
+function indexEvent(event) {
+    const db = getDatabase();
+    const { lastInsertRowid } = db.prepare('INSERT INTO events_fts_ids (event_id) VALUES (?)').run(event.id);
+    db.prepare(`
+        INSERT INTO events_fts (rowid, hostname, description, raw_log, user, parsed_text)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+        lastInsertRowid,
+        event.hostname || '',
+        event.description || '',
+        event.raw_log || '',
+        event.user || '',
+        flattenParsedData(event.parsed_data)
+    );
+}
+
+// Translate /api/events filters into FROM/WHERE clauses over events (aliased as e).
+// Shared by getRecent and aggregate so both accept exactly the same filters.
+function buildEventFilters(filters = {}) {
+    let from = 'events e';
+    const conditions = [];
+    const params = [];
+    let fullText = false;
+
+    if (filters.severity) {
+        conditions.push('e.severity = ?');
+        params.push(filters.severity);
+    }
+    if (filters.event_type) {
+        conditions.push('e.event_type = ?');
+        params.push(filters.event_type);
+    }
+    if (filters.endpoint_id) {
+        conditions.push('e.endpoint_id = ?');
+        params.push(filters.endpoint_id);
+    }
+    if (filters.source) {
+        conditions.push('e.source = ?');
+        params.push(filters.source);
+    }
+    if (filters.since) {
+        conditions.push('e.timestamp >= ?');
+        params.push(filters.since);
+    }
+    if (filters.until) {
+        conditions.push('e.timestamp <= ?');
+        params.push(filters.until);
+    }
+    if (filters.query) {
+        const compiled = compileQuery(filters.query);
+        conditions.push(compiled.sql);
+        params.push(...compiled.params);
+    }
+    if (filters.search) {
+        if (UUID_REGEX.test(filters.search.trim())) {
+            conditions.push('e.id = ?');
+            params.push(filters.search.trim());
+        } else {
+            fullText = true;
+            from = 'events_fts JOIN events_fts_ids fi ON fi.fts_rowid = events_fts.rowid JOIN events e ON e.id = fi.event_id';
+            conditions.unshift('events_fts MATCH ?');
+            params.unshift(toFtsQuery(filters.search));
+        }
+    }
+
+    const where = conditions.length > 0 ? ' WHERE ' + conditions.join(' AND ') : '';
+    return { from, where, params, fullText };
+}
+
+// Events deleted per statement when pruning, so writers are not blocked for long
+const RETENTION_BATCH_SIZE = 5000;
+
+// Most buckets a histogram may contain once empty buckets are filled in
+const MAX_TIME_BUCKETS = 1000;
+
+function toEpochSeconds(timestamp) {
+    const ms = Date.parse(timestamp);
+    return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+}
+
+// Fold flat GROUP BY rows into nested { key, count, buckets } levels. Field levels keep
+// the top `size` keys by count; time levels are sorted and zero-filled.
+function buildBuckets(rows, dimensions, depth, size, interval, filters) {
+    if (depth >= dimensions.length) return undefined;
+
+    const column = `d${depth}`;
+    const grouped = new Map();
+    for (const row of rows) {
+        const key = row[column];
+        if (!grouped.has(key)) grouped.set(key, []);
+        grouped.get(key).push(row);
+    }
+
+    let buckets = [...grouped.entries()].map(([key, groupRows]) => ({
+        key,
+        count: groupRows.reduce((sum, r) => sum + r.count, 0),
+        buckets: buildBuckets(groupRows, dimensions, depth + 1, size, interval, filters)
+    }));
+
+    if (dimensions[depth].kind === 'time') {
+        const byStart = new Map(buckets.map(b => [b.key, b]));
+        const starts = [...byStart.keys()].filter(k => k !== null);
+        const since = filters.since ? toEpochSeconds(filters.since) : null;
+        // A window with only a start runs up to now, so recent histograms end at the present
+        const until = filters.until
+            ? toEpochSeconds(filters.until)
+            : (since !== null ? Math.floor(Date.now() / 1000) : null);
+        if (since !== null) starts.push(Math.floor(since / interval) * interval);
+        if (until !== null) starts.push(Math.floor(until / interval) * interval);
+        const first = starts.reduce((min, k) => Math.min(min, k), Infinity);
+        const last = starts.reduce((max, k) => Math.max(max, k), -Infinity);
+
+        buckets = [];
+        if (Number.isFinite(first) && Number.isFinite(last)) {
+            if ((last - first) / interval >= MAX_TIME_BUCKETS) {
+                throw new QuerySyntaxError(`Interval too small for the time range (more than ${MAX_TIME_BUCKETS} buckets)`);
+            }
+            for (let start = first; start <= last; start += interval) {
+                const bucket = byStart.get(start);
+                buckets.push({
+                    key: new Date(start * 1000).toISOString(),
+                    count: bucket ? bucket.count : 0,
+                    buckets: bucket ? bucket.buckets : (depth + 1 < dimensions.length ? [] : undefined)
+                });
+            }
+        }
+    } else {
+        buckets.sort((a, b) => b.count - a.count);
+        buckets = buckets.slice(0, size);
+    }
+
+    return buckets;
+}
+
+// Asset inventory fields of an endpoint; events and alerts carry them as `endpoint`
+function endpointAsset(row) {
+    return {
+        hostname: row.hostname,
+        owner: row.owner || null,
+        environment: row.environment || null,
+        criticality: row.criticality || null,
+        tags: Array.isArray(row.tags) ? row.tags : JSON.parse(row.tags || '[]')
+    };
+}
+
+// Set `endpoint` on each event or alert row from the asset record of its endpoint
+function attachAssets(rows) {
+    const ids = [...new Set(rows.map(row => row.endpoint_id).filter(Boolean))];
+    if (ids.length === 0) return rows;
+
+    const assets = new Map(getDatabase().prepare(`
+        SELECT id, hostname, owner, environment, criticality, tags FROM endpoints
+        WHERE id IN (${ids.map(() => '?').join(', ')})
+    `).all(...ids).map(row => [row.id, endpointAsset(row)]));
+
+    for (const row of rows) {
+        const asset = assets.get(row.endpoint_id);
+        if (asset) row.endpoint = asset;
+    }
+    return rows;
+}
+
 // Event operations
 const eventOps = {
     insert: (event) => {
-        const stmt = getDatabase().prepare(`
-            INSERT INTO events (id, timestamp, source, event_type, severity, endpoint_id,
-                hostname, ip_address, user, description, raw_log, parsed_data)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `);
-        return stmt.run(
-            event.id,
-            event.timestamp,
-            event.source,
-            event.event_type,
-            event.severity,
-            event.endpoint_id,
-            event.hostname,
-            event.ip_address,
-            event.user,
-            event.description,
-            event.raw_log,
-            JSON.stringify(event.parsed_data || {})
-        );
+        return getDatabase().transaction(insertEventRow)(event);
     },
 
     insertBatch: (events) => {
-        const stmt = getDatabase().prepare(`
-            INSERT INTO events (id, timestamp, source, event_type, severity, endpoint_id,
-                hostname, ip_address, user, description, raw_log, parsed_data)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `);
         const insertMany = getDatabase().transaction((evts) => {
             for (const event of evts) {
-                stmt.run(
-                    event.id,
-                    event.timestamp,
-                    event.source,
-                    event.event_type,
-                    event.severity,
-                    event.endpoint_id,
-                    event.hostname,
-                    event.ip_address,
-                    event.user,
-                    event.description,
-                    event.raw_log,
-                    JSON.stringify(event.parsed_data || {})
-                );
+                insertEventRow(event);
             }
         });
         return insertMany(events);
     },
 
-    getRecent: (limit = 100, offset = 0, filters = {}) => {
-        let query = 'SELECT * FROM events';
-        const conditions = [];
-        const params = [];
+    // Re-create the full-text index from the events table
+    rebuildSearchIndex: () => {
+        const db = getDatabase();
+        const rebuild = db.transaction(() => {
+            db.prepare('DELETE FROM events_fts').run();
+            db.prepare('DELETE FROM events_fts_ids').run();
+            const page = db.prepare('SELECT rowid, * FROM events WHERE rowid > ? ORDER BY rowid LIMIT 1000');
+            let count = 0;
+            let lastRowid = 0;
+            let rows;
+            while ((rows = page.all(lastRowid)).length > 0) {
+                for (const row of rows) {
+                    indexEvent({ ...row, parsed_data: JSON.parse(row.parsed_data || '{}') });
+                    lastRowid = row.rowid;
+                }
+                count += rows.length;
+            }
+            return count;
+        });
+        const count = rebuild();
+        console.log(`[DB] Rebuilt full-text search index (${count} events)`);
+        return count;
+    },
 
-        if (filters.severity) {
-            conditions.push('severity = ?');
-            params.push(filters.severity);
-        }
-        if (filters.event_type) {
-            conditions.push('event_type = ?');
-            params.push(filters.event_type);
-        }
-        if (filters.endpoint_id) {
-            conditions.push('endpoint_id = ?');
-            params.push(filters.endpoint_id);
-        }
-        if (filters.source) {
-            conditions.push('source = ?');
-            params.push(filters.source);
-        }
-        if (filters.since) {
-            conditions.push('timestamp >= ?');
-            params.push(filters.since);
-        }
-        if (filters.search) {
-            conditions.push('(id LIKE ? OR hostname LIKE ? OR description LIKE ?)');
-            const searchTerm = `%${filters.search}%`;
-            params.push(searchTerm, searchTerm, searchTerm);
-        }
+    getRecent: (limit = 100, offset = 0, filters = {}) => {
+        const { from, where, params, fullText } = buildEventFilters(filters);
+        let query = `SELECT e.* FROM ${from}${where}`;
+        const selectParams = [];
 
-        if (conditions.length > 0) {
-            query += ' WHERE ' + conditions.join(' AND ');
+        if (fullText) {
+            query = `
+                SELECT e.*,
+                    highlight(events_fts, 1, ?, ?) AS highlight_description,
+                    snippet(events_fts, 2, ?, ?, '…', 24) AS highlight_raw_log
+                FROM ${from}${where}`;
+            selectParams.push(HIGHLIGHT_START, HIGHLIGHT_END, HIGHLIGHT_START, HIGHLIGHT_END);
         }
 
-        query += ' ORDER BY timestamp DESC LIMIT ? OFFSET ?';
-        params.push(limit, offset);
+        query += fullText && filters.sort === 'relevance'
+            ? ' ORDER BY events_fts.rank LIMIT ? OFFSET ?'
+            : ' ORDER BY e.timestamp DESC LIMIT ? OFFSET ?';
 
         const stmt = getDatabase().prepare(query);
-        return stmt.all(...params).map(row => ({
-            ...row,
-            parsed_data: JSON.parse(row.parsed_data || '{}')
+        return attachAssets(stmt.all(...selectParams, ...params, limit, offset).map(row => {
+            const { highlight_description, highlight_raw_log, ...event } = row;
+            event.parsed_data = JSON.parse(row.parsed_data || '{}');
+            event.normalized = JSON.parse(row.normalized || '{}');
+            if (fullText) {
+                event.highlights = {
+                    description: highlight_description,
+                    raw_log: highlight_raw_log
+                };
+            }
+            return event;
         }));
     },
 
+    // Count events grouped by fields and/or time buckets. Returns nested buckets,
+    // one level per dimension (time bucket first when an interval is given).
+    aggregate: ({ groupBy = [], interval = null, size = 10 } = {}, filters = {}) => {
+        const { from, where, params: filterParams } = buildEventFilters(filters);
+        const dimensions = [];
+        const params = [];
+
+        if (interval) {
+            // JS numbers bind as REAL; cast so the division truncates to the bucket start
+            dimensions.push({ kind: 'time', sql: 'CAST(strftime(\'%s\', e.timestamp) AS INTEGER) / CAST(? AS INTEGER) * ?' });
+            params.push(interval, interval);
+        }
+        for (const field of groupBy) {
+            const expr = fieldExpression(field);
+            if (!expr) {
+                throw new QuerySyntaxError(`Unknown group_by field "${field}"`);
+            }
+            dimensions.push({ kind: 'field', field, sql: expr.sql });
+            params.push(...expr.params);
+        }
+
+        const columns = dimensions.map((d, i) => `${d.sql} AS d${i}`);
+        const groups = dimensions.map((_, i) => `d${i}`);
+        const rows = getDatabase().prepare(`
+            SELECT ${[...columns, 'COUNT(*) AS count'].join(', ')}
+            FROM ${from}${where}
+            ${groups.length ? `GROUP BY ${groups.join(', ')}` : ''}
+        `).all(...params, ...filterParams);
+
+        const total = rows.reduce((sum, r) => sum + r.count, 0);
+        return { total, buckets: buildBuckets(rows, dimensions, 0, size, interval, filters) };
+    },
+
     getStats: (since) => {
         const db = getDatabase();
         const sinceClause = since ? 'WHERE timestamp >= ?' : '';
@@ -156,23 +403,145 @@ const eventOps = {
         const row = stmt.get(id);
         if (row) {
             row.parsed_data = JSON.parse(row.parsed_data || '{}');
+            row.normalized = JSON.parse(row.normalized || '{}');
+            attachAssets([row]);
         }
         return row;
+    },
+
+    // Distinct source/severity pairs, used to resolve retention policies
+    getRetentionScopes: () => {
+        return getDatabase().prepare('SELECT DISTINCT source, severity FROM events').all();
+    },
+
+    // Delete events of one source/severity older than cutoff, in batches. Events still
+    // referenced by an alert (its primary event, or any contributing event of a
+    // non-closed alert) or restored from the archive within restoredHoldDays are kept
+    // and counted as protected. beforeDelete(events) runs for each batch before it is
+    // deleted; if it throws, the batch is kept and the error propagates.
+    deleteExpired: (source, severity, cutoff, { dryRun = false, beforeDelete = null, restoredHoldDays = 0 } = {}) => {
+        const db = getDatabase();
+        const scope = 'e.source = ? AND e.severity = ? AND e.timestamp < ?';
+        const isProtected = `(
+            e.id IN (SELECT event_id FROM alerts)
+            OR e.id IN (SELECT j.value FROM alerts a, json_each(a.event_ids) j WHERE a.status != 'closed')
+            OR (e.restored_at IS NOT NULL AND e.restored_at >= datetime('now', '-' || ? || ' days'))
+        )`;
+        const params = [source, severity, cutoff, restoredHoldDays];
+
+        const protectedCount = db.prepare(`SELECT COUNT(*) as count FROM events e WHERE ${scope} AND ${isProtected}`).get(...params).count;
+
+        if (dryRun) {
+            const expired = db.prepare(`SELECT COUNT(*) as count FROM events e WHERE ${scope} AND NOT ${isProtected}`).get(...params).count;
+            return { deleted: expired, protected: protectedCount };
+        }
+
+        const selectBatch = db.prepare(`
+            SELECT e.rowid AS row_id, e.* FROM events e
+            WHERE ${scope} AND NOT ${isProtected}
+            ORDER BY e.rowid LIMIT ?
+        `);
+        const deleteRow = db.prepare('DELETE FROM events WHERE rowid = ?');
+        const deleteRows = db.transaction((rowids) => {
+            for (const rowid of rowids) deleteRow.run(rowid);
+        });
+
+        let deleted = 0;
+        let rows;
+        do {
+            rows = selectBatch.all(...params, RETENTION_BATCH_SIZE);
+            if (rows.length === 0) break;
+
+            if (beforeDelete) {
+                beforeDelete(rows.map(({ row_id: _rowid, ...event }) => ({
+                    ...event,
+                    parsed_data: JSON.parse(event.parsed_data || '{}'),
+                    normalized: JSON.parse(event.normalized || '{}')
+                })));
+            }
+            deleteRows(rows.map(r => r.row_id));
+            deleted += rows.length;
+        } while (rows.length === RETENTION_BATCH_SIZE);
+
+        return { deleted, protected: protectedCount };
+    },
+
+    // Events with a timestamp at or after since, in rowid order; page with the last row's rowid
+    getSince: (since, afterRowid = 0, limit = 1000) => {
+        return attachAssets(getDatabase().prepare(`
+            SELECT rowid AS row_id, * FROM events WHERE timestamp >= ? AND rowid > ? ORDER BY rowid LIMIT ?
+        `).all(since, afterRowid, limit).map(row => {
+            row.parsed_data = JSON.parse(row.parsed_data || '{}');
+            row.normalized = JSON.parse(row.normalized || '{}');
+            return row;
+        }));
+    },
+
+    // Replace parsed_data.ioc_matches of stored events and re-index them.
+    // updates: [{ id, ioc_matches }]
+    setIocMatches: (updates) => {
+        const db = getDatabase();
+        const select = db.prepare('SELECT rowid AS row_id, * FROM events WHERE id = ?');
+        const update = db.prepare('UPDATE events SET parsed_data = ? WHERE rowid = ?');
+        const unindex = db.prepare('DELETE FROM events_fts WHERE rowid = (SELECT fts_rowid FROM events_fts_ids WHERE event_id = ?)');
+        const unmap = db.prepare('DELETE FROM events_fts_ids WHERE event_id = ?');
+        const updateMany = db.transaction((rows) => {
+            for (const { id, ioc_matches } of rows) {
+                const row = select.get(id);
+                if (!row) continue;
+                const parsedData = { ...JSON.parse(row.parsed_data || '{}'), ioc_matches };
+                update.run(JSON.stringify(parsedData), row.row_id);
+                unindex.run(id);
+                unmap.run(id);
+                indexEvent({ ...row, parsed_data: parsedData });
+            }
+        });
+        return updateMany(updates);
+    },
+
+    // Re-insert archived events, skipping any whose id is already present
+    restore: (events) => {
+        const db = getDatabase();
+        const exists = db.prepare('SELECT 1 FROM events WHERE id = ?');
+        const restoreMany = db.transaction((evts) => {
+            let restored = 0;
+            for (const event of evts) {
+                if (exists.get(event.id)) continue;
+                const info = insertEventRow(event);
+                db.prepare('UPDATE events SET received_at = COALESCE(?, received_at), restored_at = datetime(\'now\') WHERE rowid = ?')
+                    .run(event.received_at || null, info.lastInsertRowid);
+                restored++;
+            }
+            return restored;
+        });
+        return restoreMany(events);
     }
 };
 
+function parseAlertRow(row) {
+    return {
+        ...row,
+        event_ids: JSON.parse(row.event_ids || '[]'),
+        risk_factors: row.risk_factors ? JSON.parse(row.risk_factors) : null
+    };
+}
+
 // Alert operations
 const alertOps = {
     insert: (alert) => {
         const stmt = getDatabase().prepare(`
-            INSERT INTO alerts (id, event_id, rule_id, severity, status, title, description, endpoint_id)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            INSERT INTO alerts (id, event_id, event_ids, rule_id, severity, escalated_from, risk_score, risk_factors, status, title, description, endpoint_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `);
         return stmt.run(
             alert.id,
             alert.event_id,
+            JSON.stringify(alert.event_ids || [alert.event_id]),
             alert.rule_id,
             alert.severity,
+            alert.escalated_from || null,
+            alert.risk_score ?? null,
+            alert.risk_factors ? JSON.stringify(alert.risk_factors) : null,
             alert.status || 'open',
             alert.title,
             alert.description,
@@ -180,7 +549,8 @@ const alertOps = {
         );
     },
 
-    getRecent: (limit = 50, offset = 0, status = null) => {
+    // sort: 'risk' for the highest risk score first (unscored alerts last), otherwise newest first
+    getRecent: (limit = 50, offset = 0, status = null, sort = null) => {
         let query = 'SELECT a.*, e.hostname, e.ip_address, e.description as event_description FROM alerts a LEFT JOIN events e ON a.event_id = e.id';
         const params = [];
 
@@ -189,10 +559,20 @@ const alertOps = {
             params.push(status);
         }
 
-        query += ' ORDER BY a.created_at DESC LIMIT ? OFFSET ?';
+        query += sort === 'risk'
+            ? ' ORDER BY a.risk_score IS NULL, a.risk_score DESC, a.created_at DESC LIMIT ? OFFSET ?'
+            : ' ORDER BY a.created_at DESC LIMIT ? OFFSET ?';
         params.push(limit, offset);
 
-        return getDatabase().prepare(query).all(...params);
+        return attachAssets(getDatabase().prepare(query).all(...params).map(parseAlertRow));
+    },
+
+    // Alerts of a rule on an endpoint (null for none) raised in the last hours
+    countRecent: (ruleId, endpointId, hours) => {
+        return getDatabase().prepare(`
+            SELECT COUNT(*) as count FROM alerts
+            WHERE rule_id = ? AND endpoint_id IS ? AND created_at >= datetime('now', '-' || ? || ' hours')
+        `).get(ruleId, endpointId, hours).count;
     },
 
     updateStatus: (id, status, notes = null) => {
@@ -208,10 +588,24 @@ const alertOps = {
     },
 
     getById: (id) => {
-        return getDatabase().prepare('SELECT * FROM alerts WHERE id = ?').get(id);
+        const row = getDatabase().prepare('SELECT * FROM alerts WHERE id = ?').get(id);
+        return row ? attachAssets([parseAlertRow(row)])[0] : row;
     }
 };
 
+function parseEndpointRow(row) {
+    return {
+        ...row,
+        config: JSON.parse(row.config || '{}'),
+        tags: JSON.parse(row.tags || '[]')
+    };
+}
+
+// Number of unrevoked API keys bound to each endpoint
+const ACTIVE_CREDENTIALS_SQL = `(
+    SELECT COUNT(*) FROM api_keys k WHERE k.endpoint_id = endpoints.id AND k.revoked_at IS NULL
+) AS active_credentials`;
+
 // Endpoint operations
 const endpointOps = {
     upsert: (endpoint) => {
@@ -241,24 +635,53 @@ const endpointOps = {
     },
 
     getAll: () => {
-        return getDatabase().prepare('SELECT * FROM endpoints ORDER BY last_seen DESC').all().map(row => ({
-            ...row,
-            config: JSON.parse(row.config || '{}')
-        }));
+        return getDatabase().prepare(`
+            SELECT *, ${ACTIVE_CREDENTIALS_SQL} FROM endpoints ORDER BY last_seen DESC
+        `).all().map(parseEndpointRow);
     },
 
     getById: (id) => {
-        const row = getDatabase().prepare('SELECT * FROM endpoints WHERE id = ?').get(id);
-        if (row) {
-            row.config = JSON.parse(row.config || '{}');
-        }
-        return row;
+        const row = getDatabase().prepare(`SELECT *, ${ACTIVE_CREDENTIALS_SQL} FROM endpoints WHERE id = ?`).get(id);
+        return row ? parseEndpointRow(row) : row;
+    },
+
+    // Most recently seen endpoint with this address
+    getByIp: (ipAddress) => {
+        const row = getDatabase().prepare(`
+            SELECT *, ${ACTIVE_CREDENTIALS_SQL} FROM endpoints WHERE ip_address = ? ORDER BY last_seen DESC LIMIT 1
+        `).get(ipAddress);
+        return row ? parseEndpointRow(row) : row;
+    },
+
+    // Set asset inventory fields; undefined leaves a field unchanged, null clears it
+    updateAsset: (id, changes) => {
+        const fields = ['owner', 'environment', 'criticality', 'tags'];
+        const values = fields.flatMap(field => {
+            const value = changes[field];
+            if (value === undefined) return [0, null];
+            return [1, field === 'tags' && value !== null ? JSON.stringify(value) : value];
+        });
+        return getDatabase().prepare(`
+            UPDATE endpoints SET
+                owner = CASE WHEN ? THEN ? ELSE owner END,
+                environment = CASE WHEN ? THEN ? ELSE environment END,
+                criticality = CASE WHEN ? THEN ? ELSE criticality END,
+                tags = CASE WHEN ? THEN ? ELSE tags END
+            WHERE id = ?
+        `).run(...values, id);
     },
 
     updateStatus: (id, status) => {
         return getDatabase().prepare('UPDATE endpoints SET status = ?, last_seen = datetime(\'now\') WHERE id = ?').run(status, id);
     },
 
+    // Mark the endpoint's credentials revoked, or clear the mark when new ones are issued
+    setCredentialsRevoked: (id, revoked) => {
+        return getDatabase().prepare(`
+            UPDATE endpoints SET credentials_revoked_at = CASE WHEN ? THEN datetime('now') ELSE NULL END WHERE id = ?
+        `).run(revoked ? 1 : 0, id);
+    },
+
     heartbeat: (id) => {
         return getDatabase().prepare('UPDATE endpoints SET last_seen = datetime(\'now\'), status = \'healthy\' WHERE id = ?').run(id);
     },
@@ -346,12 +769,557 @@ const ruleOps = {
     }
 };
 
+// Retention policy operations
+const retentionOps = {
+    getAll: () => {
+        return getDatabase().prepare(`
+            SELECT * FROM retention_policies ORDER BY source IS NULL, source, severity IS NULL, severity
+        `).all().map(row => ({ ...row, enabled: !!row.enabled }));
+    },
+
+    getById: (id) => {
+        const row = getDatabase().prepare('SELECT * FROM retention_policies WHERE id = ?').get(id);
+        return row ? { ...row, enabled: !!row.enabled } : row;
+    },
+
+    getCount: () => {
+        return getDatabase().prepare('SELECT COUNT(*) as count FROM retention_policies').get().count;
+    },
+
+    insert: (policy) => {
+        return getDatabase().prepare(`
+            INSERT INTO retention_policies (id, source, severity, retention_days, enabled, description)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(
+            policy.id,
+            policy.source || null,
+            policy.severity || null,
+            policy.retention_days,
+            policy.enabled === false ? 0 : 1,
+            policy.description || null
+        );
+    },
+
+    update: (id, changes) => {
+        return getDatabase().prepare(`
+            UPDATE retention_policies SET
+                retention_days = COALESCE(?, retention_days),
+                enabled = COALESCE(?, enabled),
+                description = COALESCE(?, description),
+                updated_at = datetime('now')
+            WHERE id = ?
+        `).run(
+            changes.retention_days ?? null,
+            typeof changes.enabled === 'boolean' ? (changes.enabled ? 1 : 0) : null,
+            changes.description ?? null,
+            id
+        );
+    },
+
+    delete: (id) => {
+        return getDatabase().prepare('DELETE FROM retention_policies WHERE id = ?').run(id);
+    },
+
+    insertRun: (run) => {
+        return getDatabase().prepare(`
+            INSERT INTO retention_runs (started_at, finished_at, dry_run, deleted_count, protected_count, archived_count, details, error)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            run.started_at,
+            run.finished_at,
+            run.dry_run ? 1 : 0,
+            run.deleted_count,
+            run.protected_count,
+            run.archived_count || 0,
+            JSON.stringify(run.details || []),
+            run.error || null
+        );
+    },
+
+    getRuns: (limit = 20) => {
+        return getDatabase().prepare('SELECT * FROM retention_runs ORDER BY id DESC LIMIT ?').all(limit).map(row => ({
+            ...row,
+            dry_run: !!row.dry_run,
+            details: JSON.parse(row.details || '[]')
+        }));
+    }
+};
+
+// User operations
+const userOps = {
+    getAll: () => {
+        return getDatabase().prepare(`
+            SELECT id, username, role, disabled, created_at, last_login FROM users ORDER BY username
+        `).all().map(row => ({ ...row, disabled: !!row.disabled }));
+    },
+
+    getById: (id) => {
+        return getDatabase().prepare('SELECT * FROM users WHERE id = ?').get(id);
+    },
+
+    getByUsername: (username) => {
+        return getDatabase().prepare('SELECT * FROM users WHERE username = ?').get(username);
+    },
+
+    getCount: () => {
+        return getDatabase().prepare('SELECT COUNT(*) as count FROM users').get().count;
+    },
+
+    insert: (user) => {
+        return getDatabase().prepare(`
+            INSERT INTO users (id, username, password_hash, role) VALUES (?, ?, ?, ?)
+        `).run(user.id, user.username, user.password_hash, user.role);
+    },
+
+    setRole: (id, role) => {
+        return getDatabase().prepare('UPDATE users SET role = ? WHERE id = ?').run(role, id);
+    },
+
+    // Also ends the user's existing sessions
+    updatePassword: (id, passwordHash) => {
+        return getDatabase().prepare(`
+            UPDATE users SET password_hash = ?, token_version = token_version + 1 WHERE id = ?
+        `).run(passwordHash, id);
+    },
+
+    setDisabled: (id, disabled) => {
+        return getDatabase().prepare('UPDATE users SET disabled = ? WHERE id = ?').run(disabled ? 1 : 0, id);
+    },
+
+    updateLastLogin: (id) => {
+        return getDatabase().prepare('UPDATE users SET last_login = datetime(\'now\') WHERE id = ?').run(id);
+    }
+};
+
+// API key operations
+const apiKeyOps = {
+    getAll: () => {
+        return getDatabase().prepare(`
+            SELECT id, name, prefix, endpoint_id, created_by, created_at, last_used, revoked_at
+            FROM api_keys ORDER BY created_at DESC
+        `).all();
+    },
+
+    // Active (not revoked) key by hash
+    getByHash: (keyHash) => {
+        return getDatabase().prepare('SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL').get(keyHash);
+    },
+
+    insert: (key) => {
+        return getDatabase().prepare(`
+            INSERT INTO api_keys (id, name, prefix, key_hash, endpoint_id, created_by)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(key.id, key.name, key.prefix, key.key_hash, key.endpoint_id || null, key.created_by || null);
+    },
+
+    revoke: (id) => {
+        return getDatabase().prepare(`
+            UPDATE api_keys SET revoked_at = datetime('now') WHERE id = ? AND revoked_at IS NULL
+        `).run(id);
+    },
+
+    revokeForEndpoint: (endpointId) => {
+        return getDatabase().prepare(`
+            UPDATE api_keys SET revoked_at = datetime('now') WHERE endpoint_id = ? AND revoked_at IS NULL
+        `).run(endpointId);
+    },
+
+    touch: (id) => {
+        return getDatabase().prepare('UPDATE api_keys SET last_used = datetime(\'now\') WHERE id = ?').run(id);
+    }
+};
+
+// Enrollment token operations
+const enrollmentTokenOps = {
+    getAll: () => {
+        return getDatabase().prepare(`
+            SELECT id, name, prefix, max_uses, use_count, expires_at, created_by, created_at, last_used, revoked_at
+            FROM enrollment_tokens ORDER BY created_at DESC
+        `).all();
+    },
+
+    getById: (id) => {
+        return getDatabase().prepare('SELECT * FROM enrollment_tokens WHERE id = ?').get(id);
+    },
+
+    // Token by hash if it is not revoked, expired or used up
+    getUsableByHash: (tokenHash) => {
+        return getDatabase().prepare(`
+            SELECT * FROM enrollment_tokens
+            WHERE token_hash = ? AND revoked_at IS NULL
+            AND (expires_at IS NULL OR expires_at > datetime('now'))
+            AND (max_uses IS NULL OR use_count < max_uses)
+        `).get(tokenHash);
+    },
+
+    insert: (token) => {
+        return getDatabase().prepare(`
+            INSERT INTO enrollment_tokens (id, name, prefix, token_hash, max_uses, expires_at, created_by)
+            VALUES (?, ?, ?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', '+' || ? || ' hours') END, ?)
+        `).run(
+            token.id, token.name, token.prefix, token.token_hash, token.max_uses,
+            token.expires_in_hours, token.expires_in_hours, token.created_by || null
+        );
+    },
+
+    recordUse: (id) => {
+        return getDatabase().prepare(`
+            UPDATE enrollment_tokens SET use_count = use_count + 1, last_used = datetime('now') WHERE id = ?
+        `).run(id);
+    },
+
+    revoke: (id) => {
+        return getDatabase().prepare(`
+            UPDATE enrollment_tokens SET revoked_at = datetime('now') WHERE id = ? AND revoked_at IS NULL
+        `).run(id);
+    }
+};
+
+// Settings operations
+const settingOps = {
+    get: (key) => {
+        const row = getDatabase().prepare('SELECT value FROM settings WHERE key = ?').get(key);
+        return row ? row.value : null;
+    },
+
+    set: (key, value) => {
+        return getDatabase().prepare(`
+            INSERT INTO settings (key, value) VALUES (?, ?)
+            ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = datetime('now')
+        `).run(key, value);
+    }
+};
+
+function toCustomParser(row) {
+    return {
+        ...row,
+        enabled: !!row.enabled,
+        patterns: JSON.parse(row.patterns),
+        pattern_definitions: JSON.parse(row.pattern_definitions || '{}')
+    };
+}
+
+const customParserOps = {
+    getAll: () => {
+        return getDatabase().prepare('SELECT * FROM custom_parsers ORDER BY name').all().map(toCustomParser);
+    },
+
+    getById: (id) => {
+        const row = getDatabase().prepare('SELECT * FROM custom_parsers WHERE id = ?').get(id);
+        return row ? toCustomParser(row) : row;
+    },
+
+    getByName: (name) => {
+        const row = getDatabase().prepare('SELECT * FROM custom_parsers WHERE name = ?').get(name);
+        return row ? toCustomParser(row) : row;
+    },
+
+    insert: (parser) => {
+        return getDatabase().prepare(`
+            INSERT INTO custom_parsers (id, name, description, patterns, pattern_definitions, event_type, severity, enabled, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            parser.id,
+            parser.name,
+            parser.description || null,
+            JSON.stringify(parser.patterns),
+            JSON.stringify(parser.pattern_definitions || {}),
+            parser.event_type || 'application',
+            parser.severity || 'info',
+            parser.enabled === false ? 0 : 1,
+            parser.created_by || null
+        );
+    },
+
+    update: (id, changes) => {
+        return getDatabase().prepare(`
+            UPDATE custom_parsers SET
+                description = COALESCE(?, description),
+                patterns = COALESCE(?, patterns),
+                pattern_definitions = COALESCE(?, pattern_definitions),
+                event_type = COALESCE(?, event_type),
+                severity = COALESCE(?, severity),
+                enabled = COALESCE(?, enabled),
+                updated_at = datetime('now')
+            WHERE id = ?
+        `).run(
+            changes.description ?? null,
+            changes.patterns ? JSON.stringify(changes.patterns) : null,
+            changes.pattern_definitions ? JSON.stringify(changes.pattern_definitions) : null,
+            changes.event_type ?? null,
+            changes.severity ?? null,
+            typeof changes.enabled === 'boolean' ? (changes.enabled ? 1 : 0) : null,
+            id
+        );
+    },
+
+    delete: (id) => {
+        return getDatabase().prepare('DELETE FROM custom_parsers WHERE id = ?').run(id);
+    }
+};
+
+// WHERE clause for /api/dead-letters filters; prefix is the table alias, if any
+function buildDeadLetterFilters(filters = {}, prefix = '') {
+    const conditions = [];
+    const params = [];
+
+    if (filters.source) {
+        conditions.push(`${prefix}source = ?`);
+        params.push(filters.source);
+    }
+    if (filters.endpoint_id) {
+        conditions.push(`${prefix}endpoint_id = ?`);
+        params.push(filters.endpoint_id);
+    }
+
+    const where = conditions.length > 0 ? ' WHERE ' + conditions.join(' AND ') : '';
+    return { where, params };
+}
+
+const deadLetterOps = {
+    insertBatch: (letters) => {
+        const stmt = getDatabase().prepare(`
+            INSERT INTO dead_letters (id, endpoint_id, source, raw_log, raw_json, log_timestamp, error)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `);
+        const insertMany = getDatabase().transaction((rows) => {
+            for (const letter of rows) {
+                stmt.run(
+                    letter.id,
+                    letter.endpoint_id || null,
+                    letter.source,
+                    letter.raw_log,
+                    letter.raw_json ? 1 : 0,
+                    letter.log_timestamp || null,
+                    letter.error
+                );
+            }
+        });
+        return insertMany(letters);
+    },
+
+    getAll: (filters = {}, limit = 100, offset = 0) => {
+        const { where, params } = buildDeadLetterFilters(filters, 'd.');
+        return getDatabase().prepare(`
+            SELECT d.*, en.hostname FROM dead_letters d
+            LEFT JOIN endpoints en ON en.id = d.endpoint_id${where}
+            ORDER BY d.created_at DESC LIMIT ? OFFSET ?
+        `).all(...params, limit, offset);
+    },
+
+    count: (filters = {}) => {
+        const { where, params } = buildDeadLetterFilters(filters);
+        return getDatabase().prepare(`SELECT COUNT(*) as count FROM dead_letters${where}`).get(...params).count;
+    },
+
+    countBySource: () => {
+        return getDatabase().prepare(`
+            SELECT source, COUNT(*) as count FROM dead_letters GROUP BY source ORDER BY count DESC
+        `).all();
+    },
+
+    getById: (id) => {
+        return getDatabase().prepare('SELECT * FROM dead_letters WHERE id = ?').get(id);
+    },
+
+    getByIds: (ids) => {
+        if (ids.length === 0) return [];
+        const placeholders = ids.map(() => '?').join(', ');
+        return getDatabase().prepare(`SELECT * FROM dead_letters WHERE id IN (${placeholders}) ORDER BY created_at`).all(...ids);
+    },
+
+    // Oldest letters matching the filters, for re-processing in bulk
+    getOldest: (filters = {}, limit = 1000) => {
+        const { where, params } = buildDeadLetterFilters(filters);
+        return getDatabase().prepare(`SELECT * FROM dead_letters${where} ORDER BY created_at LIMIT ?`).all(...params, limit);
+    },
+
+    // A re-processing attempt failed again
+    recordFailure: (id, error) => {
+        return getDatabase().prepare(`
+            UPDATE dead_letters SET error = ?, attempts = attempts + 1, last_attempt_at = datetime('now')
+            WHERE id = ?
+        `).run(error, id);
+    },
+
+    deleteIds: (ids) => {
+        const stmt = getDatabase().prepare('DELETE FROM dead_letters WHERE id = ?');
+        const deleteMany = getDatabase().transaction((rows) => {
+            let deleted = 0;
+            for (const id of rows) deleted += stmt.run(id).changes;
+            return deleted;
+        });
+        return deleteMany(ids);
+    },
+
+    delete: (id) => {
+        return getDatabase().prepare('DELETE FROM dead_letters WHERE id = ?').run(id);
+    },
+
+    // Delete every letter matching the filters; returns the number removed
+    deleteMatching: (filters = {}) => {
+        const { where, params } = buildDeadLetterFilters(filters);
+        return getDatabase().prepare(`DELETE FROM dead_letters${where}`).run(...params).changes;
+    }
+};
+
+// WHERE clause for /api/indicators filters
+function buildIndicatorFilters(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.type) {
+        conditions.push('type = ?');
+        params.push(filters.type);
+    }
+    if (filters.source) {
+        conditions.push('source = ?');
+        params.push(filters.source);
+    }
+    if (filters.search) {
+        conditions.push("(value LIKE ? ESCAPE '\\' OR description LIKE ? ESCAPE '\\')");
+        const pattern = `%${filters.search.replace(/[\\%_]/g, ch => `\\${ch}`)}%`;
+        params.push(pattern, pattern);
+    }
+    if (filters.active === true) {
+        conditions.push('(expires_at IS NULL OR expires_at > ?)');
+        params.push(new Date().toISOString());
+    } else if (filters.active === false) {
+        conditions.push('expires_at <= ?');
+        params.push(new Date().toISOString());
+    }
+
+    const where = conditions.length > 0 ? ' WHERE ' + conditions.join(' AND ') : '';
+    return { where, params };
+}
+
+// Ids per IN (...) lookup, well below SQLite's variable limit
+const ID_CHUNK_SIZE = 500;
+
+const indicatorOps = {
+    // Insert indicators, or update the ones already stored with the same type and value.
+    // Returns the ids in input order.
+    upsertBatch: (indicators) => {
+        const stmt = getDatabase().prepare(`
+            INSERT INTO indicators (id, type, value, source, confidence, description, reference, expires_at, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(type, value) DO UPDATE SET
+                source = excluded.source,
+                confidence = excluded.confidence,
+                description = COALESCE(excluded.description, description),
+                reference = COALESCE(excluded.reference, reference),
+                expires_at = excluded.expires_at,
+                updated_at = datetime('now')
+            RETURNING id
+        `);
+        const upsertMany = getDatabase().transaction((rows) => rows.map(indicator => stmt.get(
+            indicator.id,
+            indicator.type,
+            indicator.value,
+            indicator.source || null,
+            indicator.confidence,
+            indicator.description || null,
+            indicator.reference || null,
+            indicator.expires_at || null,
+            indicator.created_by || null
+        ).id));
+        return upsertMany(indicators);
+    },
+
+    getAll: (filters = {}, limit = 100, offset = 0) => {
+        const { where, params } = buildIndicatorFilters(filters);
+        return getDatabase().prepare(`
+            SELECT * FROM indicators${where} ORDER BY updated_at DESC, value LIMIT ? OFFSET ?
+        `).all(...params, limit, offset);
+    },
+
+    count: (filters = {}) => {
+        const { where, params } = buildIndicatorFilters(filters);
+        return getDatabase().prepare(`SELECT COUNT(*) as count FROM indicators${where}`).get(...params).count;
+    },
+
+    countByType: () => {
+        return getDatabase().prepare(`
+            SELECT type, COUNT(*) as count FROM indicators GROUP BY type ORDER BY count DESC
+        `).all();
+    },
+
+    // Indicators that have not expired, for the ingest-time matcher
+    getActive: () => {
+        return getDatabase().prepare(`
+            SELECT * FROM indicators WHERE expires_at IS NULL OR expires_at > ?
+        `).all(new Date().toISOString());
+    },
+
+    getById: (id) => {
+        return getDatabase().prepare('SELECT * FROM indicators WHERE id = ?').get(id);
+    },
+
+    // Looked up in chunks: an import can name more indicators than SQLite allows variables
+    getByIds: (ids) => {
+        const rows = [];
+        for (let i = 0; i < ids.length; i += ID_CHUNK_SIZE) {
+            const chunk = ids.slice(i, i + ID_CHUNK_SIZE);
+            const placeholders = chunk.map(() => '?').join(', ');
+            rows.push(...getDatabase().prepare(`SELECT * FROM indicators WHERE id IN (${placeholders})`).all(...chunk));
+        }
+        return rows;
+    },
+
+    update: (id, changes) => {
+        return getDatabase().prepare(`
+            UPDATE indicators SET
+                confidence = COALESCE(?, confidence),
+                description = COALESCE(?, description),
+                expires_at = CASE WHEN ? THEN ? ELSE expires_at END,
+                updated_at = datetime('now')
+            WHERE id = ?
+        `).run(
+            changes.confidence ?? null,
+            changes.description ?? null,
+            changes.expires_at !== undefined ? 1 : 0,
+            changes.expires_at ?? null,
+            id
+        );
+    },
+
+    // Count matches; hits holds one indicator id per matched event
+    recordHits: (ids) => {
+        const stmt = getDatabase().prepare(`
+            UPDATE indicators SET hit_count = hit_count + 1, last_hit_at = datetime('now') WHERE id = ?
+        `);
+        const recordMany = getDatabase().transaction((rows) => {
+            for (const id of rows) stmt.run(id);
+        });
+        return recordMany(ids);
+    },
+
+    delete: (id) => {
+        return getDatabase().prepare('DELETE FROM indicators WHERE id = ?').run(id);
+    },
+
+    // Delete every indicator matching the filters; returns the number removed
+    deleteMatching: (filters = {}) => {
+        const { where, params } = buildIndicatorFilters(filters);
+        return getDatabase().prepare(`DELETE FROM indicators${where}`).run(...params).changes;
+    }
+};
+
 module.exports = {
     initDatabase,
     getDatabase,
     closeDatabase,
+    endpointAsset,
     eventOps,
     alertOps,
     endpointOps,
-    ruleOps
+    ruleOps,
+    retentionOps,
+    userOps,
+    apiKeyOps,
+    enrollmentTokenOps,
+    settingOps,
+    customParserOps,
+    deadLetterOps,
+    indicatorOps
 };
@@ -0,0 +1,320 @@
+// Field-level query language for events
+// Compiles queries like `parsed_data.source_ip:10.0.0.0/8 AND user:root AND NOT event_type:system`
+// or `normalized.source.ip:10.0.0.0/8 AND normalized.event.outcome:failure`
+// into a parameterized SQLite WHERE clause over the events table (aliased as e)
+
+const { QuerySyntaxError } = require('./search');
+
+// Event columns that can be queried directly
+const EVENT_COLUMNS = [
+    'id', 'timestamp', 'received_at', 'source', 'event_type', 'severity',
+    'endpoint_id', 'hostname', 'ip_address', 'user', 'description', 'raw_log'
+];
+
+// JSON columns whose keys can be queried as <column>.<path>
+const JSON_COLUMNS = ['parsed_data', 'normalized'];
+
+// Asset inventory columns of the event's endpoint, queried as endpoint.<column>
+const ENDPOINT_COLUMNS = ['owner', 'environment', 'criticality'];
+
+const OPERATORS = ['AND', 'OR', 'NOT'];
+const FIELD_REGEX = /^[A-Za-z0-9_.-]+$/;
+const PATH_SEGMENT_REGEX = /^(?:[A-Za-z0-9_-]+|\d+)$/;
+const NUMBER_REGEX = /^-?\d+(\.\d+)?$/;
+const CIDR_REGEX = /^(\d{1,3}(?:\.\d{1,3}){3})\/(\d{1,2})$/;
+
+// Resolve a field name to a SQL expression. Columns map to e.<column>; parsed_data.<path>
+// and normalized.<path> map to json_extract with the JSON path bound as a parameter;
+// endpoint.<column> looks up the event's endpoint. Returns null for unknown fields.
+function fieldExpression(field) {
+    if (EVENT_COLUMNS.includes(field)) {
+        return { sql: `e.${field}`, params: [] };
+    }
+
+    const column = JSON_COLUMNS.find(c => field.startsWith(`${c}.`));
+    if (column) {
+        const segments = field.slice(column.length + 1).split('.');
+        if (segments.some(s => !PATH_SEGMENT_REGEX.test(s))) {
+            return null;
+        }
+        const jsonPath = '$' + segments.map(s => `."${s}"`).join('');
+        return { sql: `json_extract(e.${column}, ?)`, params: [jsonPath] };
+    }
+
+    const assetColumn = ENDPOINT_COLUMNS.find(c => field === `endpoint.${c}`);
+    if (assetColumn) {
+        return { sql: `(SELECT asset.${assetColumn} FROM endpoints asset WHERE asset.id = e.endpoint_id)`, params: [] };
+    }
+
+    return null;
+}
+
+function ipv4ToInt(ip) {
+    const parts = ip.split('.').map(Number);
+    if (parts.length !== 4 || parts.some(p => !Number.isInteger(p) || p < 0 || p > 255)) {
+        return null;
+    }
+    return ((parts[0] << 24) >>> 0) + (parts[1] << 16) + (parts[2] << 8) + parts[3];
+}
+
+// True when ip falls inside the IPv4 CIDR block (registered as the cidr_match SQL function)
+function cidrMatch(ip, cidr) {
+    if (typeof ip !== 'string' || typeof cidr !== 'string') return false;
+    const match = cidr.match(CIDR_REGEX);
+    if (!match) return false;
+
+    const address = ipv4ToInt(ip);
+    const network = ipv4ToInt(match[1]);
+    const bits = parseInt(match[2], 10);
+    if (address === null || network === null || bits > 32) return false;
+
+    const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+    return ((address & mask) >>> 0) === ((network & mask) >>> 0);
+}
+
+// Bind numeric-looking values as numbers so they compare correctly against JSON numbers
+function bindValue(value) {
+    return NUMBER_REGEX.test(value) ? Number(value) : value;
+}
+
+function escapeLike(value) {
+    return value.replace(/[\\%_]/g, ch => `\\${ch}`);
+}
+
+function tokenize(input) {
+    const tokens = [];
+    let i = 0;
+
+    const readQuoted = () => {
+        const start = i;
+        const end = input.indexOf('"', i + 1);
+        if (end === -1) {
+            throw new QuerySyntaxError('Unterminated quoted value', start);
+        }
+        i = end + 1;
+        return input.slice(start + 1, end);
+    };
+
+    const readBare = () => {
+        const start = i;
+        while (i < input.length && !/[\s()]/.test(input.charAt(i))) i++;
+        return input.slice(start, i);
+    };
+
+    while (i < input.length) {
+        const ch = input.charAt(i);
+
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        if (ch === '(' || ch === ')') {
+            tokens.push({ type: ch, pos: i });
+            i++;
+            continue;
+        }
+
+        const start = i;
+        while (i < input.length && !/[\s():"]/.test(input.charAt(i))) i++;
+        const word = input.slice(start, i);
+
+        if (input.charAt(i) !== ':') {
+            if (OPERATORS.includes(word)) {
+                tokens.push({ type: word, pos: start });
+                continue;
+            }
+            throw new QuerySyntaxError(`Expected field:value but found "${word || ch}"`, start);
+        }
+
+        if (!word || !FIELD_REGEX.test(word)) {
+            throw new QuerySyntaxError('Missing or invalid field name', start);
+        }
+        i++; // skip ':'
+
+        const valuePos = i;
+        const clause = { type: 'clause', field: word, pos: start, valuePos };
+        const next = input.charAt(i);
+
+        if (next === '[' || next === '{') {
+            // Range: [a TO b] inclusive, {a TO b} exclusive, * for an open bound
+            const close = next === '[' ? ']' : '}';
+            const end = input.indexOf(close, i);
+            if (end === -1) {
+                throw new QuerySyntaxError(`Unterminated range, expected "${close}"`, valuePos);
+            }
+            const parts = input.slice(i + 1, end).trim().split(/\s+/);
+            if (parts.length !== 3 || parts[1] !== 'TO') {
+                throw new QuerySyntaxError('Range must look like [from TO to]', valuePos);
+            }
+            clause.op = 'range';
+            clause.inclusive = next === '[';
+            clause.from = parts[0] === '*' ? null : parts[0];
+            clause.to = parts[2] === '*' ? null : parts[2];
+            i = end + 1;
+        } else {
+            const comparison = input.slice(i).match(/^(>=|<=|>|<)/);
+            if (comparison) {
+                clause.op = comparison[1];
+                i += comparison[1].length;
+            }
+
+            if (input.charAt(i) === '"') {
+                clause.value = readQuoted();
+                clause.quoted = true;
+            } else {
+                clause.value = readBare();
+            }
+
+            if (!clause.value && !clause.quoted) {
+                throw new QuerySyntaxError(`Missing value for field "${word}"`, valuePos);
+            }
+            if (!clause.op) clause.op = ':';
+        }
+
+        tokens.push(clause);
+    }
+
+    return tokens;
+}
+
+function compileClause(clause) {
+    const field = fieldExpression(clause.field);
+    if (!field) {
+        throw new QuerySyntaxError(`Unknown field "${clause.field}"`, clause.pos);
+    }
+    const { sql: expr, params: exprParams } = field;
+
+    if (clause.op === 'range') {
+        const parts = [];
+        const params = [];
+        if (clause.from !== null) {
+            parts.push(`${expr} ${clause.inclusive ? '>=' : '>'} ?`);
+            params.push(...exprParams, bindValue(clause.from));
+        }
+        if (clause.to !== null) {
+            parts.push(`${expr} ${clause.inclusive ? '<=' : '<'} ?`);
+            params.push(...exprParams, bindValue(clause.to));
+        }
+        if (parts.length === 0) {
+            return { sql: `${expr} IS NOT NULL`, params: exprParams };
+        }
+        return { sql: `(${parts.join(' AND ')})`, params };
+    }
+
+    if (clause.op !== ':') {
+        return { sql: `${expr} ${clause.op} ?`, params: [...exprParams, bindValue(clause.value)] };
+    }
+
+    const { value } = clause;
+
+    if (!clause.quoted) {
+        // field:* matches any event where the field is present
+        if (value === '*') {
+            return { sql: `${expr} IS NOT NULL`, params: exprParams };
+        }
+
+        if (/^[\d.]+\/\d+$/.test(value)) {
+            if (!CIDR_REGEX.test(value) || !cidrMatch(value.split('/')[0], value)) {
+                throw new QuerySyntaxError(`Invalid CIDR "${value}" (IPv4 only, e.g. 10.0.0.0/8)`, clause.valuePos);
+            }
+            return { sql: `cidr_match(${expr}, ?)`, params: [...exprParams, value] };
+        }
+
+        if (/[*?]/.test(value)) {
+            const pattern = escapeLike(value).replace(/\*/g, '%').replace(/\?/g, '_');
+            return { sql: `${expr} LIKE ? ESCAPE '\\'`, params: [...exprParams, pattern] };
+        }
+
+        if (NUMBER_REGEX.test(value)) {
+            return { sql: `${expr} IN (?, ?)`, params: [...exprParams, Number(value), value] };
+        }
+    }
+
+    return { sql: `${expr} = ?`, params: [...exprParams, value] };
+}
+
+// Compile a query string into { sql, params }. Throws QuerySyntaxError with the
+// offending position. NOT binds tighter than AND, AND tighter than OR; adjacent
+// clauses are AND'ed.
+function compileQuery(input) {
+    const text = String(input || '');
+    const tokens = tokenize(text);
+    let pos = 0;
+
+    if (tokens.length === 0) {
+        throw new QuerySyntaxError('Query is empty', 0);
+    }
+
+    const peek = () => tokens[pos];
+
+    function primary() {
+        const token = peek();
+        if (!token) {
+            throw new QuerySyntaxError('Unexpected end of query', text.length);
+        }
+
+        if (token.type === 'NOT') {
+            pos++;
+            const inner = primary();
+            // Missing fields compare as NULL; treat them as "not matching" so NOT includes them
+            return { sql: `NOT IFNULL((${inner.sql}), 0)`, params: inner.params };
+        }
+
+        if (token.type === '(') {
+            pos++;
+            const inner = orExpr();
+            if (!peek() || peek().type !== ')') {
+                throw new QuerySyntaxError('Missing closing parenthesis', peek() ? peek().pos : text.length);
+            }
+            pos++;
+            return { sql: `(${inner.sql})`, params: inner.params };
+        }
+
+        if (token.type === 'clause') {
+            pos++;
+            return compileClause(token);
+        }
+
+        throw new QuerySyntaxError(`Unexpected "${token.type}"`, token.pos);
+    }
+
+    function join(parts, operator) {
+        if (parts.length === 1) return parts[0];
+        return {
+            sql: `(${parts.map(p => p.sql).join(` ${operator} `)})`,
+            params: parts.flatMap(p => p.params)
+        };
+    }
+
+    function andExpr() {
+        const parts = [primary()];
+        while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+            if (peek().type === 'AND') pos++;
+            parts.push(primary());
+        }
+        return join(parts, 'AND');
+    }
+
+    function orExpr() {
+        const parts = [andExpr()];
+        while (peek() && peek().type === 'OR') {
+            pos++;
+            parts.push(andExpr());
+        }
+        return join(parts, 'OR');
+    }
+
+    const result = orExpr();
+    if (pos < tokens.length) {
+        throw new QuerySyntaxError(`Unexpected "${peek().type}"`, peek().pos);
+    }
+    return result;
+}
+
+module.exports = {
+    EVENT_COLUMNS,
+    compileQuery,
+    fieldExpression,
+    cidrMatch
+};
@@ -15,6 +15,8 @@ CREATE TABLE IF NOT EXISTS events (
     description TEXT NOT NULL,
     raw_log TEXT,                            -- Original log line
     parsed_data TEXT,                        -- JSON of parsed fields
+    normalized TEXT,                         -- JSON of the common-schema fields (services/normalizer.js)
+    restored_at TEXT,                        -- Set when re-imported from the archive
     FOREIGN KEY (endpoint_id) REFERENCES endpoints(id)
 );
 
@@ -24,8 +26,12 @@ CREATE TABLE IF NOT EXISTS alerts (
     created_at TEXT NOT NULL DEFAULT (datetime('now')),
     updated_at TEXT NOT NULL DEFAULT (datetime('now')),
     event_id TEXT NOT NULL,
+    event_ids TEXT,                          -- JSON array of all contributing event IDs
     rule_id TEXT NOT NULL,
     severity TEXT NOT NULL,
+    escalated_from TEXT,                     -- rule severity, when raised for a critical asset
+    risk_score INTEGER,                      -- 0-100, see services/riskScoring.js
+    risk_factors TEXT,                       -- JSON points added by each risk factor
     status TEXT NOT NULL DEFAULT 'open',     -- open, acknowledged, closed
     title TEXT NOT NULL,
     description TEXT,
@@ -48,7 +54,12 @@ CREATE TABLE IF NOT EXISTS endpoints (
     status TEXT NOT NULL DEFAULT 'unknown',  -- healthy, degraded, offline, compromised
     first_seen TEXT NOT NULL DEFAULT (datetime('now')),
     last_seen TEXT NOT NULL DEFAULT (datetime('now')),
-    config TEXT                              -- JSON configuration
+    config TEXT,                             -- JSON configuration
+    owner TEXT,                              -- asset inventory: team or person responsible
+    environment TEXT,                        -- prod, staging, dev, test
+    criticality TEXT,                        -- low, medium, high, critical (crown jewel)
+    tags TEXT,                               -- JSON array of strings
+    credentials_revoked_at TEXT              -- set when revoked; the endpoint must enroll again
 );
 
 -- Rules table - detection rules
@@ -58,7 +69,7 @@ CREATE TABLE IF NOT EXISTS rules (
     description TEXT,
     enabled INTEGER NOT NULL DEFAULT 1,
     severity TEXT NOT NULL DEFAULT 'warning',
-    rule_type TEXT NOT NULL,                 -- signature, threshold, correlation
+    rule_type TEXT NOT NULL,                 -- signature, threshold, correlation, ioc
     conditions TEXT NOT NULL,                -- JSON rule conditions
     actions TEXT,                            -- JSON actions to take
     created_at TEXT NOT NULL DEFAULT (datetime('now')),
@@ -67,6 +78,151 @@ CREATE TABLE IF NOT EXISTS rules (
     last_match TEXT
 );
 
+-- Retention policies - how long events are kept. NULL source/severity matches any value;
+-- the most specific enabled policy wins (source+severity > source > severity > default)
+CREATE TABLE IF NOT EXISTS retention_policies (
+    id TEXT PRIMARY KEY,
+    source TEXT,
+    severity TEXT,
+    retention_days INTEGER NOT NULL,
+    enabled INTEGER NOT NULL DEFAULT 1,
+    description TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Retention runs - history of pruning jobs
+CREATE TABLE IF NOT EXISTS retention_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    started_at TEXT NOT NULL,
+    finished_at TEXT,
+    dry_run INTEGER NOT NULL DEFAULT 0,
+    deleted_count INTEGER NOT NULL DEFAULT 0,
+    protected_count INTEGER NOT NULL DEFAULT 0,
+    archived_count INTEGER NOT NULL DEFAULT 0,
+    details TEXT,                            -- JSON per-policy breakdown
+    error TEXT
+);
+
+-- Users - dashboard accounts (password_hash is scrypt$<salt>$<hash>)
+CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    username TEXT NOT NULL UNIQUE,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'viewer',     -- viewer, analyst, engineer or admin
+    disabled INTEGER NOT NULL DEFAULT 0,
+    token_version INTEGER NOT NULL DEFAULT 0, -- bumped on password change; older sessions stop working
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    last_login TEXT
+);
+
+-- API keys - agent credentials. Only a SHA-256 hash of the key is stored
+CREATE TABLE IF NOT EXISTS api_keys (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    prefix TEXT NOT NULL,                    -- First characters of the key, for display
+    key_hash TEXT NOT NULL UNIQUE,
+    endpoint_id TEXT,                        -- The only endpoint the key may act as; NULL acts as none
+    created_by TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    last_used TEXT,
+    revoked_at TEXT
+);
+
+-- Enrollment tokens - let new agents register and receive their endpoint key
+CREATE TABLE IF NOT EXISTS enrollment_tokens (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    prefix TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    max_uses INTEGER,                        -- NULL = reusable without limit
+    use_count INTEGER NOT NULL DEFAULT 0,
+    expires_at TEXT,                         -- NULL = never expires
+    created_by TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    last_used TEXT,
+    revoked_at TEXT
+);
+
+-- Settings - server-wide key/value configuration
+CREATE TABLE IF NOT EXISTS settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Custom parsers - user-defined Grok patterns, selected by the ingest source name
+CREATE TABLE IF NOT EXISTS custom_parsers (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE,               -- Source name agents send (e.g. "myapp")
+    description TEXT,
+    patterns TEXT NOT NULL,                  -- JSON array of Grok patterns, first match wins
+    pattern_definitions TEXT NOT NULL DEFAULT '{}', -- JSON object of reusable sub-patterns
+    event_type TEXT NOT NULL DEFAULT 'application',
+    severity TEXT NOT NULL DEFAULT 'info',
+    enabled INTEGER NOT NULL DEFAULT 1,
+    created_by TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Dead letters - raw logs a parser threw on, kept until re-processed or deleted
+CREATE TABLE IF NOT EXISTS dead_letters (
+    id TEXT PRIMARY KEY,
+    endpoint_id TEXT,                        -- Not a foreign key: letters outlive their endpoint
+    source TEXT NOT NULL,
+    raw_log TEXT NOT NULL,                   -- Line as received
+    raw_json INTEGER NOT NULL DEFAULT 0,     -- 1 when the agent sent an object, stored as JSON
+    log_timestamp TEXT,                      -- Timestamp the agent sent with the line, if any
+    error TEXT NOT NULL,                     -- Message of the last parse failure
+    attempts INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    last_attempt_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Threat intelligence indicators (IOCs) matched against events at ingest and by retro-hunts
+CREATE TABLE IF NOT EXISTS indicators (
+    id TEXT PRIMARY KEY,
+    type TEXT NOT NULL,                      -- ip, domain, hash, username
+    value TEXT NOT NULL,                     -- Canonical form: lowercase; IPs may be IPv4 CIDR blocks
+    source TEXT,                             -- Feed or list the indicator came from
+    confidence INTEGER NOT NULL DEFAULT 50,  -- 0-100
+    description TEXT,
+    reference TEXT,                          -- External ID, e.g. the STIX indicator id
+    expires_at TEXT,                         -- No longer matched after this time; NULL never expires
+    hit_count INTEGER NOT NULL DEFAULT 0,
+    last_hit_at TEXT,
+    created_by TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+    UNIQUE(type, value)
+);
+
+-- Full-text search index over events, written by eventOps.insert/insertBatch
+-- (parsed_text is flattened parsed_data)
+CREATE VIRTUAL TABLE IF NOT EXISTS events_fts USING fts5(
+    hostname,
+    description,
+    raw_log,
+    user,
+    parsed_text,
+    tokenize = 'unicode61'
+);
+
+-- Event of each index row. The events rowid cannot be used: events has a TEXT
+-- primary key, so VACUUM may renumber it.
+CREATE TABLE IF NOT EXISTS events_fts_ids (
+    fts_rowid INTEGER PRIMARY KEY,
+    event_id TEXT NOT NULL UNIQUE
+);
+
+-- Re-created on every start so databases indexed by events rowid get the current body
+DROP TRIGGER IF EXISTS events_fts_delete;
+CREATE TRIGGER events_fts_delete AFTER DELETE ON events BEGIN
+    DELETE FROM events_fts WHERE rowid = (SELECT fts_rowid FROM events_fts_ids WHERE event_id = old.id);
+    DELETE FROM events_fts_ids WHERE event_id = old.id;
+END;
+
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_events_timestamp ON events(timestamp DESC);
 CREATE INDEX IF NOT EXISTS idx_events_severity ON events(severity);
@@ -77,8 +233,19 @@ CREATE INDEX IF NOT EXISTS idx_events_source ON events(source);
 CREATE INDEX IF NOT EXISTS idx_alerts_status ON alerts(status);
 CREATE INDEX IF NOT EXISTS idx_alerts_severity ON alerts(severity);
 CREATE INDEX IF NOT EXISTS idx_alerts_created ON alerts(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_alerts_risk ON alerts(risk_score DESC);
+CREATE INDEX IF NOT EXISTS idx_alerts_rule_endpoint ON alerts(rule_id, endpoint_id, created_at);
 
 CREATE INDEX IF NOT EXISTS idx_endpoints_status ON endpoints(status);
 CREATE INDEX IF NOT EXISTS idx_endpoints_hostname ON endpoints(hostname);
 
 CREATE INDEX IF NOT EXISTS idx_rules_enabled ON rules(enabled);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_endpoint ON api_keys(endpoint_id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_retention_scope ON retention_policies(COALESCE(source, ''), COALESCE(severity, ''));
+CREATE INDEX IF NOT EXISTS idx_retention_runs_started ON retention_runs(started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_dead_letters_created ON dead_letters(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_dead_letters_source ON dead_letters(source);
+CREATE INDEX IF NOT EXISTS idx_indicators_source ON indicators(source);
+CREATE INDEX IF NOT EXISTS idx_indicators_expires ON indicators(expires_at);
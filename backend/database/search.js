@@ -0,0 +1,157 @@
+// Full-text search helpers for the events_fts index
+// Translates user search input into a safe FTS5 MATCH expression
+
+// Raised for malformed search or query input; position is the 0-based offset of the problem
+class QuerySyntaxError extends Error {
+    constructor(message, position) {
+        super(position !== undefined ? `${message} (at position ${position})` : message);
+        this.name = 'QuerySyntaxError';
+        this.position = position;
+    }
+}
+
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+// Split search input into parens, operators, phrases and terms (with optional trailing * for prefix)
+function tokenize(input) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < input.length) {
+        const ch = input.charAt(i);
+
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (ch === '(' || ch === ')') {
+            tokens.push({ type: ch, pos: i });
+            i++;
+        } else if (ch === '"') {
+            const end = input.indexOf('"', i + 1);
+            if (end === -1) {
+                throw new QuerySyntaxError('Unterminated phrase', i);
+            }
+            const prefix = input.charAt(end + 1) === '*';
+            tokens.push({ type: 'phrase', value: input.slice(i + 1, end), prefix, pos: i });
+            i = end + (prefix ? 2 : 1);
+        } else {
+            const start = i;
+            while (i < input.length && !/[\s()"]/.test(input.charAt(i))) i++;
+            const word = input.slice(start, i);
+
+            if (OPERATORS.includes(word)) {
+                tokens.push({ type: word, pos: start });
+            } else {
+                const prefix = word.endsWith('*');
+                const value = prefix ? word.slice(0, -1) : word;
+                if (!value) {
+                    throw new QuerySyntaxError('Prefix search needs at least one character before *', start);
+                }
+                tokens.push({ type: 'term', value, prefix, pos: start });
+            }
+        }
+    }
+
+    return tokens;
+}
+
+function quote(value) {
+    return `"${value.replace(/"/g, '""')}"`;
+}
+
+// Convert search input into an FTS5 MATCH expression.
+// Supports AND / OR / NOT (uppercase), "phrases", prefix* and parentheses;
+// adjacent terms are AND'ed. Every term is quoted so punctuation (IPs, paths) is safe.
+function toFtsQuery(input) {
+    const tokens = tokenize(String(input || ''));
+    let pos = 0;
+
+    if (tokens.length === 0) {
+        throw new QuerySyntaxError('Search query is empty', 0);
+    }
+
+    const peek = () => tokens[pos];
+    const endPos = () => (tokens.length ? tokens[tokens.length - 1].pos + 1 : 0);
+
+    function primary() {
+        const token = peek();
+        if (!token) {
+            throw new QuerySyntaxError('Unexpected end of search query', endPos());
+        }
+
+        if (token.type === '(') {
+            pos++;
+            const inner = orExpr();
+            if (!peek() || peek().type !== ')') {
+                throw new QuerySyntaxError('Missing closing parenthesis', peek() ? peek().pos : endPos());
+            }
+            pos++;
+            return `(${inner})`;
+        }
+
+        if (token.type === 'term' || token.type === 'phrase') {
+            pos++;
+            if (!token.value.trim()) {
+                throw new QuerySyntaxError('Empty phrase', token.pos);
+            }
+            return quote(token.value) + (token.prefix ? '*' : '');
+        }
+
+        if (token.type === 'NOT') {
+            throw new QuerySyntaxError('NOT must follow a search term (e.g. "ssh NOT root")', token.pos);
+        }
+
+        throw new QuerySyntaxError(`Unexpected "${token.type}"`, token.pos);
+    }
+
+    // NOT binds tighter than AND, which binds tighter than OR
+    function notExpr() {
+        let left = primary();
+        while (peek() && peek().type === 'NOT') {
+            pos++;
+            left = `${left} NOT ${primary()}`;
+        }
+        return left;
+    }
+
+    function andExpr() {
+        const parts = [notExpr()];
+        while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+            if (peek().type === 'AND') pos++;
+            parts.push(notExpr());
+        }
+        return parts.length === 1 ? parts[0] : `(${parts.join(' AND ')})`;
+    }
+
+    function orExpr() {
+        const parts = [andExpr()];
+        while (peek() && peek().type === 'OR') {
+            pos++;
+            parts.push(andExpr());
+        }
+        return parts.length === 1 ? parts[0] : `(${parts.join(' OR ')})`;
+    }
+
+    const result = orExpr();
+    if (pos < tokens.length) {
+        throw new QuerySyntaxError(`Unexpected "${peek().type}"`, peek().pos);
+    }
+    return result;
+}
+
+// Flatten parsed_data values into a single searchable string
+function flattenParsedData(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) {
+        return value.map(flattenParsedData).filter(Boolean).join(' ');
+    }
+    if (typeof value === 'object') {
+        return Object.values(value).map(flattenParsedData).filter(Boolean).join(' ');
+    }
+    return String(value);
+}
+
+module.exports = {
+    QuerySyntaxError,
+    toFtsQuery,
+    flattenParsedData
+};
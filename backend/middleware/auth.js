@@ -0,0 +1,76 @@
+const { verifyToken, verifyApiKey, verifyEnrollmentToken, hasPermission } = require('../services/authService');
+
+// Read credentials from a request. Users send "Authorization: Bearer <token>";
+// agents send "X-API-Key: <key>" (or "Authorization: ApiKey <key>"), or
+// "X-Enrollment-Token: <token>" when registering for the first time.
+function resolveCredentials(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, value] = header.split(' ');
+
+    if (scheme === 'Bearer' && value) {
+        const user = verifyToken(value);
+        return user ? { user } : null;
+    }
+
+    const key = req.headers['x-api-key'] || (scheme === 'ApiKey' ? value : null);
+    if (key) {
+        const apiKey = verifyApiKey(key);
+        return apiKey ? { apiKey } : null;
+    }
+
+    const enrollmentToken = req.headers['x-enrollment-token'];
+    if (enrollmentToken) {
+        const enrollment = verifyEnrollmentToken(enrollmentToken);
+        return enrollment ? { enrollment } : null;
+    }
+
+    return null;
+}
+
+// Middleware factory: allow requests authenticated as any of the given kinds
+// ('user' for dashboard sessions, 'agent' for API keys, 'enrollment' for
+// enrollment tokens). Sets req.user, req.apiKey or req.enrollment.
+function requireAuth(...kinds) {
+    return (req, res, next) => {
+        const credentials = resolveCredentials(req);
+
+        if (credentials && credentials.user && kinds.includes('user')) {
+            req.user = credentials.user;
+            return next();
+        }
+        if (credentials && credentials.apiKey && kinds.includes('agent')) {
+            req.apiKey = credentials.apiKey;
+            return next();
+        }
+        if (credentials && credentials.enrollment && kinds.includes('enrollment')) {
+            req.enrollment = credentials.enrollment;
+            return next();
+        }
+
+        res.status(401).json({ error: 'Authentication required' });
+    };
+}
+
+// Middleware factory: the logged-in user's role must grant the permission.
+// Agent and enrollment requests pass through; which routes they may use is decided by requireAuth.
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (req.apiKey || req.enrollment || hasPermission(req.user, permission)) {
+            return next();
+        }
+        res.status(403).json({ error: `Your role does not allow this action (${permission})` });
+    };
+}
+
+// An API key may only send data as the endpoint it is bound to; keys bound to no
+// endpoint cannot act as any
+function canActAsEndpoint(req, endpointId) {
+    if (!req.apiKey) return true;
+    return Boolean(req.apiKey.endpoint_id) && req.apiKey.endpoint_id === endpointId;
+}
+
+module.exports = {
+    requireAuth,
+    requirePermission,
+    canActAsEndpoint
+};
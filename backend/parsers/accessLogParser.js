@@ -0,0 +1,129 @@
+// Web Server Access Log Parser (nginx / Apache)
+// Common:   127.0.0.1 - frank [10/Oct/2000:13:55:36 -0700] "GET /index.html HTTP/1.0" 200 2326
+// Combined: Common + "referrer" "user agent" (also nginx's default log_format)
+// Extra fields after the user agent (e.g. $request_time) are kept as `extra`.
+
+const ACCESS_REGEX = /^(\S+) (\S+) (\S+) \[([^\]]+)\] "((?:[^"\\]|\\.)*)" (\d{3}|-) (\d+|-)(?: "((?:[^"\\]|\\.)*)" "((?:[^"\\]|\\.)*)")?(?:\s+(.*))?$/;
+
+// 10/Oct/2000:13:55:36 -0700
+const CLF_TIME_REGEX = /^(\d{2})\/(\w{3})\/(\d{4}):(\d{2}):(\d{2}):(\d{2}) ([+-])(\d{2})(\d{2})$/;
+
+const MONTHS = {
+    Jan: 0, Feb: 1, Mar: 2, Apr: 3, May: 4, Jun: 5,
+    Jul: 6, Aug: 7, Sep: 8, Oct: 9, Nov: 10, Dec: 11
+};
+
+function parseClfTime(value) {
+    const match = value.match(CLF_TIME_REGEX);
+    if (!match) return null;
+
+    const [, day, month, year, hours, minutes, seconds, sign, offsetHours, offsetMinutes] = match;
+    if (MONTHS[month] === undefined) return null;
+
+    const offset = (parseInt(offsetHours) * 60 + parseInt(offsetMinutes)) * (sign === '-' ? -1 : 1);
+    const utc = Date.UTC(parseInt(year), MONTHS[month], parseInt(day), parseInt(hours), parseInt(minutes), parseInt(seconds));
+    return new Date(utc - offset * 60000).toISOString();
+}
+
+// "-" means the field was empty
+function dash(value) {
+    return value === undefined || value === '-' ? null : value;
+}
+
+// Escaped characters inside quoted fields (\" and \xHH from nginx)
+function unquote(value) {
+    if (value === undefined) return null;
+    return dash(value.replace(/\\x([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))).replace(/\\(.)/g, '$1'));
+}
+
+// Percent-decode the request target, twice to catch double encoding (%252e%252e)
+function decodeTarget(target) {
+    let decoded = target;
+    for (let i = 0; i < 2; i++) {
+        try {
+            const next = decodeURIComponent(decoded.replace(/\+/g, ' '));
+            if (next === decoded) break;
+            decoded = next;
+        } catch (_) {
+            break;
+        }
+    }
+    return decoded;
+}
+
+function parseRequest(rawRequest) {
+    const request = unquote(rawRequest) || '';
+    const match = request.match(/^([A-Z]+) (\S+)(?: (HTTP\/[\d.]+))?$/);
+    if (!match) {
+        // Garbage requests from scanners (e.g. TLS handshakes sent to a plain HTTP port), kept escaped
+        return { method: null, path: null, query: null, protocol: null, url: dash(rawRequest) || null };
+    }
+
+    const [, method, target, protocol] = match;
+    const queryAt = target.indexOf('?');
+    return {
+        method,
+        path: queryAt === -1 ? target : target.slice(0, queryAt),
+        query: queryAt === -1 ? null : target.slice(queryAt + 1),
+        protocol: protocol || null,
+        url: target
+    };
+}
+
+function parse(rawLog, metadata = {}) {
+    const line = String(rawLog).trim();
+    const match = line.match(ACCESS_REGEX);
+
+    if (!match) {
+        return {
+            timestamp: new Date().toISOString(),
+            source: 'access',
+            event_type: 'web',
+            severity: 'info',
+            hostname: metadata.hostname || 'unknown',
+            description: line,
+            raw_log: String(rawLog),
+            parsed_data: { format: 'non-standard' }
+        };
+    }
+
+    const [, clientIp, ident, authUser, time, request, status, bytes, referrer, userAgent, extra] = match;
+    const req = parseRequest(request);
+    const statusCode = status === '-' ? null : parseInt(status);
+    const user = dash(authUser);
+
+    let severity = 'info';
+    if (statusCode >= 500) severity = 'warning';
+
+    return {
+        timestamp: parseClfTime(time) || new Date().toISOString(),
+        source: 'access',
+        event_type: 'web',
+        severity,
+        hostname: metadata.hostname || 'unknown',
+        user,
+        description: req.method
+            ? `${req.method} ${req.url} ${statusCode ?? '-'} from ${clientIp}`
+            : `Malformed request ${statusCode ?? '-'} from ${clientIp}`,
+        raw_log: String(rawLog),
+        parsed_data: {
+            format: userAgent === undefined ? 'common' : 'combined',
+            source_ip: clientIp,
+            ident: dash(ident),
+            username: user,
+            method: req.method,
+            url: req.url,
+            path: req.path,
+            query: req.query,
+            decoded_url: req.url ? decodeTarget(req.url) : null,
+            protocol: req.protocol,
+            status: statusCode,
+            bytes: bytes === '-' ? 0 : parseInt(bytes),
+            referrer: unquote(referrer),
+            user_agent: unquote(userAgent),
+            extra: extra || null
+        }
+    };
+}
+
+module.exports = { parse };
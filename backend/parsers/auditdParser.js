@@ -0,0 +1,301 @@
+// Linux auditd Parser (/var/log/audit/audit.log)
+// One audit event is written as several records sharing the same ID:
+// type=SYSCALL msg=audit(1706118000.123:4521): arch=c000003e syscall=59 success=yes ... key="exec"
+// type=EXECVE msg=audit(1706118000.123:4521): argc=2 a0="ls" a1=2D6C61
+// type=PROCTITLE msg=audit(1706118000.123:4521): proctitle=6C73002D6C61
+// Records are grouped by that ID into a single event.
+
+const RECORD_REGEX = /(?:^|\s)type=(\S+)\s+msg=audit\((\d+)(?:\.(\d+))?:(\d+)\):\s*(.*)$/;
+const FIELD_REGEX = /([A-Za-z0-9_-]+)=("[^"]*"|'[^']*'|\S+)/g;
+
+// Enriched logs (log_format = ENRICHED) append resolved names after a GS character
+const ENRICHED_SEPARATOR = '\x1d';
+
+// Fields auditd hex-encodes when they contain spaces or control characters
+const ENCODED_FIELDS = new Set(['proctitle', 'name', 'cwd', 'comm', 'exe', 'cmd', 'acct', 'path', 'ocomm', 'key', 'data', 'old', 'new']);
+
+// auid/uid value for "not set" ((uid_t)-1)
+const UNSET_ID = '4294967295';
+
+const ID_FIELDS = ['auid', 'uid', 'euid', 'suid', 'fsuid', 'gid', 'egid', 'ouid'];
+
+const ACCOUNT_TYPES = new Set([
+    'ADD_USER', 'DEL_USER', 'ADD_GROUP', 'DEL_GROUP', 'USER_MGMT', 'GRP_MGMT',
+    'USER_CHAUTHTOK', 'GRP_CHAUTHTOK', 'ACCT_LOCK', 'ACCT_UNLOCK', 'ROLE_ASSIGN', 'ROLE_REMOVE'
+]);
+
+const AUTH_TYPES = new Set([
+    'USER_AUTH', 'USER_ACCT', 'USER_LOGIN', 'USER_LOGOUT', 'USER_ERR', 'USER_START', 'USER_END',
+    'CRED_ACQ', 'CRED_DISP', 'CRED_REFR', 'LOGIN'
+]);
+
+// execve/execveat syscall numbers by audit arch (x86_64, i386, aarch64)
+const EXEC_SYSCALLS = {
+    c000003e: ['59', '322'],
+    '40000003': ['11', '358'],
+    c00000b7: ['221', '281']
+};
+
+function isHex(value) {
+    return value.length % 2 === 0 && /^[0-9A-F]+$/.test(value);
+}
+
+// Hex-encoded strings separate arguments with NUL and multiple keys with 0x01
+function decodeHex(value) {
+    return Buffer.from(value, 'hex').toString('utf8')
+        .replace(/\0+$/, '')
+        .split('\0').join(' ')
+        .split('\x01').join(' ');
+}
+
+function decodeValue(name, value) {
+    if (value.startsWith('"') || value.startsWith('\'')) {
+        return value.slice(1, -1);
+    }
+    if ((ENCODED_FIELDS.has(name) || /^a\d+$/.test(name)) && isHex(value)) {
+        return decodeHex(value);
+    }
+    return value;
+}
+
+function parseFields(text) {
+    const fields = {};
+
+    // matchAll works on a copy of the regex, so the nested call below is safe
+    for (const [, name, value] of text.matchAll(FIELD_REGEX)) {
+        // USER_* records carry their details in a nested msg='...'
+        if (name === 'msg' && value.startsWith('\'')) {
+            Object.assign(fields, parseFields(value.slice(1, -1)));
+            continue;
+        }
+        fields[name] = decodeValue(name, value);
+    }
+
+    return fields;
+}
+
+// Split one audit.log line into a record
+function parseRecord(line) {
+    const text = String(line);
+    const match = text.match(RECORD_REGEX);
+    if (!match) return null;
+
+    const [, type, seconds, millis, serial, body] = match;
+    const [plain, enriched = ''] = body.split(ENRICHED_SEPARATOR);
+    const node = text.match(/(?:^|\s)node=(\S+)\s+type=/);
+
+    return {
+        type,
+        id: `${seconds}.${millis || '000'}:${serial}`,
+        serial: parseInt(serial),
+        timestamp: new Date(parseInt(seconds) * 1000 + parseInt((millis || '0').padEnd(3, '0').slice(0, 3))).toISOString(),
+        node: node ? node[1] : null,
+        fields: parseFields(plain),
+        names: parseFields(enriched),
+        raw: text
+    };
+}
+
+function toId(value) {
+    if (value === undefined || value === UNSET_ID || value === '-1') return null;
+    return /^\d+$/.test(value) ? parseInt(value) : null;
+}
+
+// Name for a uid/gid field: the enriched value, or root for 0
+function resolveName(field, value, names) {
+    const enriched = names[field.toUpperCase()];
+    if (enriched && enriched !== 'unset') return enriched;
+    if (value === undefined || value === UNSET_ID) return null;
+    if (value === '0') return 'root';
+    return null;
+}
+
+function primaryRecord(records) {
+    return records.find(r => ACCOUNT_TYPES.has(r.type)) ||
+        records.find(r => AUTH_TYPES.has(r.type)) ||
+        records.find(r => r.type === 'SYSCALL') ||
+        records.find(r => r.type !== 'PROCTITLE' && r.type !== 'EOE') ||
+        records[0];
+}
+
+function isExec(records, syscall) {
+    if (records.some(r => r.type === 'EXECVE' || r.type === 'USER_CMD')) return true;
+    if (!syscall) return false;
+    const name = syscall.names.SYSCALL;
+    if (name) return name === 'execve' || name === 'execveat';
+    return (EXEC_SYSCALLS[syscall.fields.arch] || []).includes(syscall.fields.syscall);
+}
+
+function classifyEvent(records, primary, syscall) {
+    if (ACCOUNT_TYPES.has(primary.type)) return 'account';
+    if (AUTH_TYPES.has(primary.type)) return 'authentication';
+    if (isExec(records, syscall)) return 'process';
+    if (records.some(r => r.type === 'PATH')) return 'file_access';
+    return 'system';
+}
+
+// Command line from EXECVE arguments, falling back to the process title
+function commandLine(records) {
+    const execve = records.find(r => r.type === 'EXECVE');
+    if (execve) {
+        const argc = parseInt(execve.fields.argc) || 0;
+        const args = [];
+        for (let i = 0; i < argc; i++) {
+            if (execve.fields[`a${i}`] !== undefined) args.push(execve.fields[`a${i}`]);
+        }
+        return { args, command_line: args.join(' ') };
+    }
+
+    const userCmd = records.find(r => r.type === 'USER_CMD');
+    const title = records.find(r => r.type === 'PROCTITLE');
+    const text = userCmd?.fields.cmd || title?.fields.proctitle;
+    return { args: text ? text.split(' ') : [], command_line: text || null };
+}
+
+function describe(eventType, data, primary) {
+    const who = data.username || (data.auid != null ? `auid ${data.auid}` : 'unknown user');
+    const outcome = data.success === false ? ' (failed)' : '';
+
+    switch (eventType) {
+        case 'process':
+            return `Executed: ${data.command_line || data.exe || data.comm} by ${who}${outcome}`;
+        case 'file_access': {
+            const target = data.paths.map(p => p.name).filter(Boolean).join(', ') || 'file';
+            return `File access: ${target} by ${data.exe || data.comm || who}${data.key ? ` [${data.key}]` : ''}${outcome}`;
+        }
+        case 'account':
+            return `${data.op || primary.type}${data.acct ? ` for ${data.acct}` : ''} by ${who}${outcome}`;
+        case 'authentication':
+            return `${data.op || primary.type} for ${who}${data.source_ip ? ` from ${data.source_ip}` : ''}${outcome}`;
+        default:
+            return `${primary.type}${data.comm ? ` ${data.comm}` : ''}${data.key ? ` [${data.key}]` : ''}`;
+    }
+}
+
+// Build one SIEM event from the records of a single audit event
+function buildEvent(records, metadata) {
+    const primary = primaryRecord(records);
+    const syscall = records.find(r => r.type === 'SYSCALL');
+    const fields = { ...primary.fields };
+    const names = records.reduce((all, r) => ({ ...all, ...r.names }), {});
+    const eventType = classifyEvent(records, primary, syscall);
+
+    const ids = {};
+    for (const field of ID_FIELDS) {
+        if (fields[field] === undefined) continue;
+        ids[field] = toId(fields[field]);
+        ids[`${field}_name`] = resolveName(field, fields[field], names);
+    }
+
+    const cwd = records.find(r => r.type === 'CWD');
+    const paths = records.filter(r => r.type === 'PATH').map(r => ({
+        name: r.fields.name || null,
+        nametype: r.fields.nametype || null,
+        mode: r.fields.mode || null,
+        ouid: toId(r.fields.ouid)
+    }));
+
+    let success = null;
+    if (fields.success) success = fields.success === 'yes';
+    else if (fields.res) success = /^(?:success|1)$/.test(fields.res);
+
+    const data = {
+        format: 'auditd',
+        audit_id: primary.id,
+        serial: primary.serial,
+        record_type: primary.type,
+        record_types: records.map(r => r.type),
+        syscall: syscall ? (syscall.names.SYSCALL || syscall.fields.syscall) : null,
+        arch: syscall ? (syscall.names.ARCH || syscall.fields.arch) : null,
+        success,
+        exit: fields.exit !== undefined ? parseInt(fields.exit) : null,
+        pid: toId(fields.pid),
+        ppid: toId(fields.ppid),
+        session: toId(fields.ses),
+        tty: fields.tty || fields.terminal || null,
+        ...ids,
+        // The login user (auid) survives su/sudo; uid is only used when auid is unset
+        username: ids.auid_name || (ids.auid == null ? ids.uid_name : null) || null,
+        comm: fields.comm || null,
+        exe: fields.exe || null,
+        key: fields.key && fields.key !== '(null)' ? fields.key : null,
+        op: fields.op || null,
+        acct: fields.acct || null,
+        ...commandLine(records),
+        cwd: cwd ? cwd.fields.cwd : null,
+        paths
+    };
+    if (AUTH_TYPES.has(primary.type) || ACCOUNT_TYPES.has(primary.type)) {
+        data.source_ip = fields.addr && fields.addr !== '?' ? fields.addr : null;
+        data.account_id = toId(fields.id);
+    }
+    if (AUTH_TYPES.has(primary.type) && data.acct) {
+        data.username = data.acct;
+    }
+
+    let severity = 'info';
+    if (success === false || eventType === 'account') severity = 'warning';
+
+    return {
+        timestamp: primary.timestamp,
+        source: 'auditd',
+        event_type: eventType,
+        severity,
+        hostname: primary.node || metadata.hostname || 'unknown',
+        user: data.username || (data.auid != null ? String(data.auid) : null),
+        description: describe(eventType, data, primary),
+        raw_log: records.map(r => r.raw).join('\n'),
+        parsed_data: data
+    };
+}
+
+function unparsed(rawLog, metadata) {
+    return {
+        timestamp: new Date().toISOString(),
+        source: 'auditd',
+        event_type: 'system',
+        severity: 'info',
+        hostname: metadata.hostname || 'unknown',
+        description: String(rawLog).trim(),
+        raw_log: String(rawLog),
+        parsed_data: { format: 'non-standard' }
+    };
+}
+
+// Parse a batch of audit.log lines, one event per audit ID (in order of first record)
+function parseBatch(lines, metadata = {}) {
+    const groups = new Map();
+    const events = [];
+
+    for (const line of lines) {
+        for (const part of String(line).split('\n')) {
+            if (!part.trim()) continue;
+
+            const record = parseRecord(part);
+            if (!record) {
+                events.push({ order: events.length + groups.size, event: unparsed(part, metadata) });
+                continue;
+            }
+            if (record.type === 'EOE') continue;
+
+            if (!groups.has(record.id)) {
+                groups.set(record.id, { order: events.length + groups.size, records: [] });
+            }
+            groups.get(record.id).records.push(record);
+        }
+    }
+
+    for (const group of groups.values()) {
+        events.push({ order: group.order, event: buildEvent(group.records, metadata) });
+    }
+
+    return events.sort((a, b) => a.order - b.order).map(e => e.event);
+}
+
+// Parse a single line (or several newline-separated records of one event)
+function parse(rawLog, metadata = {}) {
+    const events = parseBatch([rawLog], metadata);
+    return events[0] || unparsed(rawLog, metadata);
+}
+
+module.exports = { parse, parseBatch };
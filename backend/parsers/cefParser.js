@@ -0,0 +1,263 @@
+// CEF and LEEF Parser for security appliance logs (IDS, WAF, firewalls)
+// CEF:  CEF:0|Vendor|Product|Version|SignatureID|Name|Severity|key=value key=value
+// LEEF: LEEF:1.0|Vendor|Product|Version|EventID|key=value<tab>key=value
+//       LEEF:2.0|Vendor|Product|Version|EventID|^|key=value^key=value
+// Either may be preceded by a syslog header (<PRI>timestamp hostname).
+
+const syslogParser = require('./syslogParser');
+
+const CEF_MARKER = 'CEF:';
+const LEEF_MARKER = 'LEEF:';
+
+// Syslog header in front of the CEF/LEEF payload
+const PREFIX_REGEX = /^(?:<(\d{1,3})>)?(?:1 )?(\w{3}\s+\d{1,2}(?:\s+\d{4})?\s+\d{2}:\d{2}:\d{2}|\d{4}-\d{2}-\d{2}T\S+)?\s*(\S+)?\s*$/;
+
+// Start of an extension pair: a key directly followed by an unescaped '='
+const CEF_KEY_REGEX = /(?:^|\s)([A-Za-z0-9_.[\]-]+)=/g;
+
+// Extension keys that carry our common fields (CEF key, LEEF key)
+const FIELD_MAP = {
+    source_ip: ['src', 'src'],
+    destination_ip: ['dst', 'dst'],
+    source_port: ['spt', 'srcPort'],
+    destination_port: ['dpt', 'dstPort'],
+    source_host: ['shost', 'srcHostName'],
+    destination_host: ['dhost', 'dstHostName'],
+    user: ['suser', 'usrName'],
+    destination_user: ['duser', 'dstUserName'],
+    protocol: ['proto', 'proto'],
+    action: ['act', 'action'],
+    outcome: ['outcome', 'outcome'],
+    url: ['request', 'url'],
+    category: ['cat', 'cat'],
+    message: ['msg', 'msg']
+};
+
+const PORT_FIELDS = ['source_port', 'destination_port'];
+
+// CEF severity: 0-3 Low, 4-6 Medium, 7-8 High, 9-10 Very-High
+const SEVERITY_NAMES = {
+    unknown: 0, low: 2, medium: 5, high: 8, 'very-high': 10
+};
+
+function mapSeverity(value) {
+    const text = String(value ?? '').trim().toLowerCase();
+    const level = /^\d+$/.test(text) ? parseInt(text) : SEVERITY_NAMES[text];
+
+    if (level === undefined) return 'info';
+    if (level >= 7) return 'critical';
+    if (level >= 4) return 'warning';
+    return 'info';
+}
+
+// Split a header on unescaped pipes, keeping the remainder after `count` fields
+function splitHeader(text, count) {
+    const fields = [];
+    let current = '';
+    let i = 0;
+
+    while (i < text.length && fields.length < count) {
+        const ch = text[i];
+        if (ch === '\\' && (text[i + 1] === '|' || text[i + 1] === '\\')) {
+            current += text[i + 1];
+            i += 2;
+            continue;
+        }
+        if (ch === '|') {
+            fields.push(current);
+            current = '';
+        } else {
+            current += ch;
+        }
+        i++;
+    }
+
+    if (fields.length < count) return null;
+    return { fields, rest: text.slice(i) };
+}
+
+function unescapeValue(value) {
+    return value.replace(/\\([\\=|nr])/g, (_, ch) => {
+        if (ch === 'n') return '\n';
+        if (ch === 'r') return '\r';
+        return ch;
+    });
+}
+
+// CEF extension: space separated key=value pairs, values may contain spaces
+function parseCefExtension(text) {
+    const extension = {};
+    const keys = [];
+
+    CEF_KEY_REGEX.lastIndex = 0;
+    let match;
+    while ((match = CEF_KEY_REGEX.exec(text)) !== null) {
+        keys.push({ key: match[1], start: match.index, valueStart: CEF_KEY_REGEX.lastIndex });
+    }
+
+    keys.forEach((entry, i) => {
+        const end = i + 1 < keys.length ? keys[i + 1].start : text.length;
+        extension[entry.key] = unescapeValue(text.slice(entry.valueStart, end).trim());
+    });
+
+    return extension;
+}
+
+// LEEF 2.0 names its delimiter: a single character or a hex code such as 0x09
+function leefDelimiter(spec) {
+    const hex = spec.match(/^(?:0x|x)([0-9a-f]{1,4})$/i);
+    if (hex) return String.fromCharCode(parseInt(hex[1], 16));
+    return spec || '\t';
+}
+
+function parseLeefAttributes(text, delimiter) {
+    const attributes = {};
+
+    for (const pair of text.split(delimiter)) {
+        const eq = pair.search(/(?<!\\)=/);
+        if (eq <= 0) continue;
+        attributes[pair.slice(0, eq).trim()] = unescapeValue(pair.slice(eq + 1).trim());
+    }
+
+    return attributes;
+}
+
+// CEF custom fields come in pairs: cs1=value cs1Label=name
+function labelledFields(extension) {
+    const custom = {};
+
+    for (const [key, value] of Object.entries(extension)) {
+        const label = extension[`${key}Label`];
+        if (label && /^(?:cs|cn|cfp|flexString|flexNumber|flexDate|c6a)\d$/.test(key)) {
+            custom[label] = value;
+        }
+    }
+
+    return custom;
+}
+
+// Event time from the extension (epoch milliseconds or a date string)
+function extensionTime(value) {
+    if (!value) return null;
+    const date = /^\d{12,}$/.test(value) ? new Date(parseInt(value)) : new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function classifyEvent(category, name, action) {
+    const text = `${category || ''} ${name || ''}`.toLowerCase();
+
+    if (/auth|login|logon/.test(text)) return 'authentication';
+    if (/firewall|traffic/.test(text) || /^(?:block|deny|drop|reject)/i.test(action || '')) return 'firewall';
+    return 'security';
+}
+
+function parsePrefix(prefix, metadata) {
+    const match = prefix.match(PREFIX_REGEX);
+    if (!match) {
+        return { timestamp: null, hostname: metadata.hostname || 'unknown' };
+    }
+
+    const [, , timestampStr, hostname] = match;
+    let timestamp = null;
+    if (timestampStr && /^\d{4}-/.test(timestampStr)) {
+        timestamp = extensionTime(timestampStr);
+    } else if (timestampStr) {
+        timestamp = syslogParser.parseTimestamp(timestampStr);
+    }
+
+    return { timestamp, hostname: hostname || metadata.hostname || 'unknown' };
+}
+
+function buildEvent(format, header, values, rawLog, prefix) {
+    const column = format === 'cef' ? 0 : 1;
+    const common = {};
+
+    for (const [field, keys] of Object.entries(FIELD_MAP)) {
+        const value = values[keys[column]];
+        if (value === undefined || value === '') continue;
+        common[field] = PORT_FIELDS.includes(field) && /^\d+$/.test(value) ? parseInt(value) : value;
+    }
+
+    const name = header.name || common.message || header.event_id;
+    const eventTime = format === 'cef'
+        ? extensionTime(values.rt || values.end || values.start)
+        : extensionTime(values.devTime);
+
+    return {
+        timestamp: eventTime || prefix.timestamp || new Date().toISOString(),
+        source: format,
+        event_type: classifyEvent(common.category, name, common.action),
+        severity: mapSeverity(header.severity),
+        hostname: values.dvchost || values.deviceHostName || prefix.hostname,
+        user: common.user || common.destination_user || null,
+        description: `[${header.vendor} ${header.product}] ${name}`,
+        raw_log: rawLog,
+        parsed_data: {
+            format,
+            format_version: header.version,
+            vendor: header.vendor,
+            product: header.product,
+            product_version: header.product_version,
+            event_id: header.event_id,
+            name: header.name,
+            vendor_severity: header.severity,
+            ...common,
+            username: common.user,
+            custom: labelledFields(values),
+            extension: values
+        }
+    };
+}
+
+function parseCef(payload, rawLog, prefix) {
+    const header = splitHeader(payload.slice(CEF_MARKER.length), 7);
+    if (!header) return null;
+
+    const [version, vendor, product, productVersion, eventId, name, severity] = header.fields;
+    return buildEvent('cef', {
+        version, vendor, product, product_version: productVersion, event_id: eventId, name, severity
+    }, parseCefExtension(header.rest), rawLog, prefix);
+}
+
+function parseLeef(payload, rawLog, prefix) {
+    const version = payload.slice(LEEF_MARKER.length, payload.indexOf('|'));
+    const header = splitHeader(payload.slice(LEEF_MARKER.length), 5);
+    if (!header) return null;
+
+    const [, vendor, product, productVersion, eventId] = header.fields;
+    let attributeText = header.rest;
+    let delimiter = '\t';
+    if (version.startsWith('2')) {
+        // LEEF 2.0 adds a delimiter field, which some senders omit
+        const end = attributeText.indexOf('|');
+        const delimiterSpec = end === -1 ? null : attributeText.slice(0, end);
+        if (delimiterSpec !== null && !delimiterSpec.includes('=')) {
+            delimiter = leefDelimiter(delimiterSpec);
+            attributeText = attributeText.slice(end + 1);
+        }
+    }
+    const attributes = parseLeefAttributes(attributeText, delimiter);
+
+    return buildEvent('leef', {
+        version, vendor, product, product_version: productVersion, event_id: eventId,
+        name: attributes.name || null, severity: attributes.sev
+    }, attributes, rawLog, prefix);
+}
+
+function parse(rawLog, metadata = {}) {
+    const text = String(rawLog);
+    const cefAt = text.indexOf(CEF_MARKER);
+    const leefAt = text.indexOf(LEEF_MARKER);
+
+    let parsed = null;
+    if (cefAt !== -1 && (leefAt === -1 || cefAt < leefAt)) {
+        parsed = parseCef(text.slice(cefAt), text, parsePrefix(text.slice(0, cefAt), metadata));
+    } else if (leefAt !== -1) {
+        parsed = parseLeef(text.slice(leefAt), text, parsePrefix(text.slice(0, leefAt), metadata));
+    }
+
+    // Not CEF/LEEF: treat it as plain syslog
+    return parsed || syslogParser.parse(text, metadata);
+}
+
+module.exports = { parse, mapSeverity };
@@ -0,0 +1,222 @@
+// Grok Parser for user-defined log formats
+// A pattern is a regular expression with %{NAME} references to reusable sub-patterns;
+// %{NAME:field} stores the match in parsed_data.field and %{NAME:field:int} converts it.
+// Example: %{SYSLOGTIMESTAMP:timestamp} %{HOSTNAME:hostname} %{WORD:action} from %{IP:source_ip}
+
+const syslogParser = require('./syslogParser');
+
+// Built-in sub-patterns (a subset of the Logstash grok-patterns library)
+const BUILTIN_PATTERNS = {
+    USERNAME: '[a-zA-Z0-9._-]+',
+    USER: '%{USERNAME}',
+    EMAILLOCALPART: '[a-zA-Z0-9!#$%&\'*+/=?^_`{|}~-]+(?:\\.[a-zA-Z0-9!#$%&\'*+/=?^_`{|}~-]+)*',
+    EMAILADDRESS: '%{EMAILLOCALPART}@%{HOSTNAME}',
+    INT: '(?:[+-]?(?:[0-9]+))',
+    BASE10NUM: '(?:[+-]?(?:[0-9]+(?:\\.[0-9]+)?|\\.[0-9]+))',
+    NUMBER: '(?:%{BASE10NUM})',
+    BASE16NUM: '(?:0[xX])?[0-9A-Fa-f]+',
+    POSINT: '\\b(?:[1-9][0-9]*)\\b',
+    NONNEGINT: '\\b(?:[0-9]+)\\b',
+    WORD: '\\b\\w+\\b',
+    NOTSPACE: '\\S+',
+    SPACE: '\\s*',
+    DATA: '.*?',
+    GREEDYDATA: '.*',
+    QUOTEDSTRING: '(?:"(?:[^"\\\\]|\\\\.)*"|\'(?:[^\'\\\\]|\\\\.)*\')',
+    QS: '%{QUOTEDSTRING}',
+    UUID: '[A-Fa-f0-9]{8}-(?:[A-Fa-f0-9]{4}-){3}[A-Fa-f0-9]{12}',
+    MAC: '(?:[A-Fa-f0-9]{2}[:-]){5}[A-Fa-f0-9]{2}',
+    IPV4: '(?<![0-9])(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9]{1,2})\\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9]{1,2})(?![0-9])',
+    IPV6: '(?:[0-9A-Fa-f]{0,4}:){2,7}[0-9A-Fa-f]{0,4}(?:%[0-9A-Za-z]+)?',
+    IP: '(?:%{IPV6}|%{IPV4})',
+    HOSTNAME: '\\b(?:[0-9A-Za-z][0-9A-Za-z-]{0,62})(?:\\.(?:[0-9A-Za-z][0-9A-Za-z-]{0,62}))*\\b',
+    IPORHOST: '(?:%{IP}|%{HOSTNAME})',
+    HOSTPORT: '%{IPORHOST}:%{POSINT}',
+    UNIXPATH: '(?:/[^/\\s]*)+',
+    WINPATH: '(?:[A-Za-z]:|\\\\)(?:\\\\[^\\\\?*\\s]*)+',
+    PATH: '(?:%{UNIXPATH}|%{WINPATH})',
+    URIPROTO: '[A-Za-z][A-Za-z0-9+.-]+',
+    URIPATH: '(?:/[A-Za-z0-9$.+!*\'(){},~:;=@#%&_-]*)+',
+    URIPARAM: '\\?[A-Za-z0-9$.+!*\'|(){},~@#%&/=:;_?[\\]<>-]*',
+    URIPATHPARAM: '%{URIPATH}(?:%{URIPARAM})?',
+    URI: '%{URIPROTO}://(?:%{USER}(?::[^@]*)?@)?(?:%{IPORHOST})?(?::%{POSINT})?(?:%{URIPATHPARAM})?',
+    MONTH: '\\b(?:[Jj]an(?:uary)?|[Ff]eb(?:ruary)?|[Mm]ar(?:ch)?|[Aa]pr(?:il)?|[Mm]ay|[Jj]un(?:e)?|[Jj]ul(?:y)?|[Aa]ug(?:ust)?|[Ss]ep(?:tember)?|[Oo]ct(?:ober)?|[Nn]ov(?:ember)?|[Dd]ec(?:ember)?)\\b',
+    MONTHNUM: '(?:0?[1-9]|1[0-2])',
+    MONTHDAY: '(?:0[1-9]|[12][0-9]|3[01]|[1-9])',
+    DAY: '(?:Mon(?:day)?|Tue(?:sday)?|Wed(?:nesday)?|Thu(?:rsday)?|Fri(?:day)?|Sat(?:urday)?|Sun(?:day)?)',
+    YEAR: '(?:\\d\\d){1,2}',
+    HOUR: '(?:2[0123]|[01]?[0-9])',
+    MINUTE: '(?:[0-5][0-9])',
+    SECOND: '(?:(?:[0-5]?[0-9]|60)(?:[:.,][0-9]+)?)',
+    TIME: '%{HOUR}:%{MINUTE}(?::%{SECOND})?',
+    ISO8601_TIMEZONE: '(?:Z|[+-]%{HOUR}(?::?%{MINUTE}))',
+    TIMESTAMP_ISO8601: '%{YEAR}-%{MONTHNUM}-%{MONTHDAY}[T ]%{HOUR}:?%{MINUTE}(?::?%{SECOND})?%{ISO8601_TIMEZONE}?',
+    SYSLOGTIMESTAMP: '%{MONTH} +%{MONTHDAY} %{TIME}',
+    HTTPDATE: '%{MONTHDAY}/%{MONTH}/%{YEAR}:%{TIME} %{INT}',
+    LOGLEVEL: '(?:[Aa]lert|ALERT|[Tt]race|TRACE|[Dd]ebug|DEBUG|[Nn]otice|NOTICE|[Ii]nfo|INFO|[Ww]arn?(?:ing)?|WARN?(?:ING)?|[Ee]rr?(?:or)?|ERR?(?:OR)?|[Cc]rit?(?:ical)?|CRIT?(?:ICAL)?|[Ff]atal|FATAL|[Ss]evere|SEVERE|EMERG(?:ENCY)?|[Ee]merg(?:ency)?)',
+    PROG: '[\\x21-\\x5a\\x5c\\x5e-\\x7e]+',
+    SYSLOGPROG: '%{PROG:program}(?:\\[%{POSINT:pid:int}\\])?',
+    SYSLOGHOST: '%{IPORHOST}'
+};
+
+const REFERENCE_REGEX = /%\{([A-Za-z0-9_]+)(?::([A-Za-z0-9_.@-]+))?(?::(int|float))?\}/g;
+const MAX_DEPTH = 20;
+// Field path segments that would write to the prototype of the captured values
+const UNSAFE_FIELD_PARTS = ['__proto__', 'constructor', 'prototype'];
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+// Log level names captured as `severity` or `level`
+const LEVEL_SEVERITY = {
+    trace: 'info', debug: 'info', info: 'info', notice: 'info',
+    warn: 'warning', warning: 'warning', err: 'warning', error: 'warning', severe: 'warning',
+    crit: 'critical', critical: 'critical', alert: 'critical', fatal: 'critical', emerg: 'critical', emergency: 'critical'
+};
+
+// Turn a Grok pattern into a RegExp. Named references become capture groups g0, g1, ...
+// and `fields` records which field and type each group belongs to.
+function compileGrok(pattern, definitions = {}) {
+    const library = { ...BUILTIN_PATTERNS, ...definitions };
+    const fields = [];
+
+    function expand(text, depth) {
+        if (depth > MAX_DEPTH) {
+            throw new Error('Pattern nesting too deep (recursive definition?)');
+        }
+        return text.replace(REFERENCE_REGEX, (_, name, field, type) => {
+            if (!Object.prototype.hasOwnProperty.call(library, name)) {
+                throw new Error(`Unknown pattern %{${name}}`);
+            }
+            if (field && field.split('.').some(part => UNSAFE_FIELD_PARTS.includes(part))) {
+                throw new Error(`Invalid field name "${field}" in %{${name}:${field}}`);
+            }
+            const body = expand(library[name], depth + 1);
+            if (!field) return `(?:${body})`;
+
+            fields.push({ group: `g${fields.length}`, field, type: type || null });
+            return `(?<g${fields.length - 1}>${body})`;
+        });
+    }
+
+    const source = expand(String(pattern), 0);
+    try {
+        return { regex: new RegExp(source), fields };
+    } catch (err) {
+        throw new Error(`Invalid pattern: ${err.message}`);
+    }
+}
+
+function setPath(obj, fieldPath, value) {
+    const parts = fieldPath.split('.');
+    let target = obj;
+    for (const part of parts.slice(0, -1)) {
+        if (target[part] === null || typeof target[part] !== 'object') target[part] = {};
+        target = target[part];
+    }
+    target[parts[parts.length - 1]] = value;
+}
+
+function convert(value, type) {
+    if (type === 'int') return parseInt(value, 10);
+    if (type === 'float') return parseFloat(value);
+    return value;
+}
+
+function toTimestamp(value) {
+    if (!value) return null;
+    if (/^\d{10}(\d{3})?(\.\d+)?$/.test(value)) {
+        const number = Number(value);
+        return new Date(number < 1e12 ? number * 1000 : number).toISOString();
+    }
+    // Syslog timestamps have no year
+    if (/^\w{3}\s+\d{1,2}\s+\d{2}:\d{2}:\d{2}$/.test(value)) return syslogParser.parseTimestamp(value);
+    // 10/Oct/2000:13:55:36 -0700
+    const httpDate = value.match(/^(\d{1,2})\/(\w{3})\/(\d{4}):(\d{2}:\d{2}:\d{2}) ([+-]\d{4})$/);
+    const date = httpDate
+        ? new Date(`${httpDate[2]} ${httpDate[1]} ${httpDate[3]} ${httpDate[4]} GMT${httpDate[5]}`)
+        : new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function mapSeverity(value, fallback) {
+    if (value === undefined || value === null) return fallback;
+    const name = String(value).toLowerCase();
+    if (SEVERITIES.includes(name)) return name;
+    return LEVEL_SEVERITY[name] || fallback;
+}
+
+// Build a parser from a stored definition:
+// { name, patterns[], pattern_definitions{}, event_type, severity }
+function createParser(definition) {
+    const compiled = definition.patterns.map(p => compileGrok(p, definition.pattern_definitions || {}));
+    const defaultSeverity = definition.severity || 'info';
+
+    // Fields captured by the first matching pattern
+    function match(line) {
+        for (let i = 0; i < compiled.length; i++) {
+            const { regex, fields } = compiled[i];
+            const result = regex.exec(line);
+            if (!result) continue;
+
+            const values = {};
+            for (const { group, field, type } of fields) {
+                const value = result.groups[group];
+                if (value !== undefined) setPath(values, field, convert(value, type));
+            }
+            return { pattern: i, fields: values };
+        }
+        return null;
+    }
+
+    function parse(rawLog, metadata = {}) {
+        const line = String(rawLog);
+        const matched = match(line);
+
+        if (!matched) {
+            // Keep the event, flagged so unparsed lines of this source can be found
+            const fallback = syslogParser.parse(line, metadata);
+            return {
+                ...fallback,
+                source: definition.name,
+                parsed_data: { ...fallback.parsed_data, parser: definition.name, grok_failure: true }
+            };
+        }
+
+        const { fields } = matched;
+        const message = fields.message !== undefined ? String(fields.message) : line.trim();
+
+        return {
+            timestamp: toTimestamp(fields.timestamp) || new Date().toISOString(),
+            source: definition.name,
+            event_type: fields.event_type || definition.event_type || 'application',
+            severity: mapSeverity(fields.severity ?? fields.level, defaultSeverity),
+            hostname: fields.hostname || metadata.hostname || 'unknown',
+            user: fields.user || fields.username || null,
+            description: message,
+            raw_log: line,
+            parsed_data: {
+                format: 'grok',
+                parser: definition.name,
+                pattern: matched.pattern,
+                ...fields
+            }
+        };
+    }
+
+    return { name: definition.name, match, parse };
+}
+
+// Run sample lines through a definition; throws if a pattern does not compile
+function testParser(definition, samples) {
+    const parser = createParser(definition);
+    return samples.map(sample => {
+        const matched = parser.match(String(sample));
+        return {
+            sample,
+            matched: !!matched,
+            pattern: matched ? matched.pattern : null,
+            event: parser.parse(sample)
+        };
+    });
+}
+
+module.exports = { BUILTIN_PATTERNS, compileGrok, createParser, testParser };
@@ -0,0 +1,235 @@
+// JSON structured-log Parser (pino, bunyan, Elastic Common Schema, generic JSON lines)
+// Source "json" detects the profile from the log's keys; "json:<profile>" selects one.
+// A profile says which keys hold the timestamp, level, message, user, IP and hostname;
+// a list of keys means the first one present wins. Dotted keys are paths into the object.
+
+const fs = require('fs');
+const path = require('path');
+const syslogParser = require('./syslogParser');
+
+const PROFILES_FILE = process.env.JSON_PROFILES_FILE || path.join(__dirname, '../../config/json-profiles.json');
+
+// pino and bunyan numeric levels
+const NUMERIC_LEVELS = { 10: 'trace', 20: 'debug', 30: 'info', 40: 'warn', 50: 'error', 60: 'fatal' };
+
+// Level name to SIEM severity
+const LEVEL_SEVERITY = {
+    trace: 'info', debug: 'info', info: 'info', information: 'info', notice: 'info',
+    warn: 'warning', warning: 'warning', error: 'warning', err: 'warning',
+    fatal: 'critical', critical: 'critical', crit: 'critical', alert: 'critical', emergency: 'critical', emerg: 'critical', panic: 'critical'
+};
+
+// ECS event.category to SIEM event type
+const ECS_CATEGORIES = {
+    authentication: 'authentication',
+    iam: 'account',
+    process: 'process',
+    file: 'file_access',
+    network: 'network',
+    web: 'web',
+    configuration: 'system',
+    host: 'system'
+};
+
+const BUILTIN_PROFILES = {
+    ecs: {
+        timestamp: '@timestamp',
+        level: 'log.level',
+        message: 'message',
+        user: 'user.name',
+        ip: ['source.ip', 'client.ip'],
+        destination_ip: ['destination.ip', 'server.ip'],
+        hostname: ['host.name', 'host.hostname'],
+        event_type: 'event.category'
+    },
+    pino: {
+        timestamp: 'time',
+        level: 'level',
+        message: 'msg',
+        user: ['user', 'userId', 'req.user'],
+        ip: ['req.remoteAddress', 'ip'],
+        hostname: 'hostname'
+    },
+    bunyan: {
+        timestamp: 'time',
+        level: 'level',
+        message: 'msg',
+        user: ['user', 'req.user'],
+        ip: ['req.remoteAddress', 'ip'],
+        hostname: 'hostname'
+    },
+    generic: {
+        timestamp: ['timestamp', '@timestamp', 'time', 'ts', 'date'],
+        level: ['level', 'severity', 'log.level', 'lvl'],
+        message: ['message', 'msg', 'text', 'log'],
+        user: ['user', 'username', 'user.name', 'userId'],
+        ip: ['ip', 'client_ip', 'source_ip', 'remote_addr', 'source.ip'],
+        hostname: ['hostname', 'host', 'host.name']
+    }
+};
+
+const profiles = { ...BUILTIN_PROFILES };
+
+// Custom profiles: { "<name>": { "extends": "pino", "user": "ctx.user", "levels": { "audit": "warning" } } }
+function loadProfiles() {
+    if (!fs.existsSync(PROFILES_FILE)) return;
+
+    try {
+        const custom = JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf8'));
+        for (const [name, profile] of Object.entries(custom)) {
+            profiles[name] = { ...(BUILTIN_PROFILES[profile.extends] || {}), ...profile };
+        }
+        console.log(`[PARSER] Loaded ${Object.keys(custom).length} JSON profiles from ${PROFILES_FILE}`);
+    } catch (err) {
+        console.error(`[PARSER] Invalid JSON profiles file ${PROFILES_FILE}:`, err.message);
+    }
+}
+
+function getPath(obj, fieldPath) {
+    // ECS documents may use either nested objects or literal dotted keys
+    if (Object.prototype.hasOwnProperty.call(obj, fieldPath)) return obj[fieldPath];
+
+    let value = obj;
+    for (const part of fieldPath.split('.')) {
+        if (value === null || typeof value !== 'object') return undefined;
+        value = value[part];
+    }
+    return value;
+}
+
+function pick(obj, keys) {
+    if (!keys) return undefined;
+    for (const key of [].concat(keys)) {
+        const value = getPath(obj, key);
+        if (value !== undefined && value !== null && value !== '') return value;
+    }
+    return undefined;
+}
+
+function detectProfile(obj) {
+    if (obj['@timestamp'] !== undefined && (obj.ecs || obj['ecs.version'] || obj.log || obj['log.level'])) return 'ecs';
+    if (typeof obj.level === 'number' && obj.v !== undefined && obj.name !== undefined && obj.msg !== undefined) return 'bunyan';
+    if (typeof obj.level === 'number' && typeof obj.time === 'number') return 'pino';
+    return 'generic';
+}
+
+function parseTime(value) {
+    if (value === undefined) return null;
+    let date;
+    if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value))) {
+        const number = Number(value);
+        // Epoch seconds or milliseconds
+        date = new Date(number < 1e12 ? number * 1000 : number);
+    } else {
+        date = new Date(String(value));
+    }
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function mapLevel(level, profile) {
+    if (level === undefined) return { level: null, severity: 'info' };
+
+    const name = typeof level === 'number'
+        ? NUMERIC_LEVELS[Math.floor(level / 10) * 10] || String(level)
+        : String(level).toLowerCase();
+    const custom = profile.levels && profile.levels[name];
+
+    return { level: name, severity: custom || LEVEL_SEVERITY[name] || (level >= 60 ? 'critical' : 'info') };
+}
+
+function mapEventType(value) {
+    for (const category of [].concat(value || [])) {
+        const type = ECS_CATEGORIES[String(category).toLowerCase()];
+        if (type) return type;
+    }
+    // Profiles may name the event type directly
+    return typeof value === 'string' && value ? value : 'application';
+}
+
+// Try the line as JSON, or as JSON behind a syslog header
+function readObject(rawLog, metadata) {
+    if (rawLog !== null && typeof rawLog === 'object') return { obj: rawLog };
+
+    const text = String(rawLog).trim();
+    if (text.startsWith('{')) {
+        try {
+            return { obj: JSON.parse(text) };
+        } catch (_) {
+            return null;
+        }
+    }
+
+    const header = syslogParser.parse(text, metadata);
+    const message = header.parsed_data.message;
+    if (message && message.trim().startsWith('{')) {
+        try {
+            return { obj: JSON.parse(message), header };
+        } catch (_) {
+            return null;
+        }
+    }
+    return null;
+}
+
+function parse(rawLog, metadata = {}, profileName = null) {
+    const read = readObject(rawLog, metadata);
+    if (!read || read.obj === null || typeof read.obj !== 'object' || Array.isArray(read.obj)) {
+        // Not a JSON object: handle like any other syslog line
+        return syslogParser.parse(String(rawLog), metadata);
+    }
+
+    const { obj, header } = read;
+    const name = profileName && profiles[profileName] ? profileName : detectProfile(obj);
+    const profile = profiles[name];
+
+    const { level, severity } = mapLevel(pick(obj, profile.level), profile);
+    const message = pick(obj, profile.message);
+    const user = pick(obj, profile.user);
+    const ip = pick(obj, profile.ip);
+    const destinationIp = pick(obj, profile.destination_ip);
+    const hostname = pick(obj, profile.hostname);
+
+    // The log's own fields are kept; the mapped values are added alongside
+    const parsedData = {
+        ...obj,
+        format: 'json',
+        profile: name,
+        level_name: level
+    };
+    if (ip !== undefined) parsedData.source_ip = String(ip);
+    if (destinationIp !== undefined) parsedData.destination_ip = String(destinationIp);
+    if (user !== undefined) parsedData.username = typeof user === 'object' ? JSON.stringify(user) : String(user);
+
+    const text = message === undefined ? JSON.stringify(obj) : String(message);
+
+    return {
+        timestamp: parseTime(pick(obj, profile.timestamp)) || (header && header.timestamp) || new Date().toISOString(),
+        source: 'json',
+        event_type: mapEventType(pick(obj, profile.event_type)),
+        severity,
+        hostname: hostname ? String(hostname) : (header && header.hostname) || metadata.hostname || 'unknown',
+        user: parsedData.username || null,
+        description: text.length > 500 ? `${text.slice(0, 500)}...` : text,
+        raw_log: typeof rawLog === 'string' ? rawLog : JSON.stringify(rawLog),
+        parsed_data: parsedData
+    };
+}
+
+// Parser bound to one profile, for sources named json:<profile>
+const profileParsers = new Map();
+
+function withProfile(profileName) {
+    if (!profileParsers.has(profileName)) {
+        if (!profiles[profileName]) {
+            console.warn(`[PARSER] Unknown JSON profile "${profileName}", detecting from each log`);
+        }
+        profileParsers.set(profileName, {
+            parse: (rawLog, metadata) => parse(rawLog, metadata, profileName)
+        });
+    }
+    return profileParsers.get(profileName);
+}
+
+loadProfiles();
+
+module.exports = { parse, withProfile };
@@ -1,7 +1,18 @@
-// Syslog Parser (RFC 3164 + RFC 5424 ISO format)
+// Syslog Parser (RFC 5424, RFC 3164 and ISO-timestamped BSD)
+// RFC 5424:   <priority>1 2026-01-24T17:59:42.123Z hostname app procid msgid [sd-id name="value"] message
 // BSD Format: <priority>Jan 24 17:59:42 hostname program[pid]: message
 // ISO Format: 2026-01-24T17:59:42.123456+00:00 hostname program[pid]: message
 
+// RFC 5424 header: PRI VERSION TIMESTAMP HOSTNAME APP-NAME PROCID MSGID, then structured data
+const SYSLOG_5424_REGEX = /^<(\d{1,3})>([1-9]\d{0,2}) (\S+) (\S+) (\S+) (\S+) (\S+) ([\s\S]*)$/;
+const RFC5424_TIMESTAMP_REGEX = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d{1,6})?(?:Z|[+-]\d{2}:\d{2})$/;
+
+// SD-ID and PARAM-NAME: 1-32 printable characters except space, '=', ']' and '"'
+const SD_NAME_REGEX = /[^ =\]"]{1,32}/y;
+
+const NILVALUE = '-';
+const BOM = '\uFEFF';
+
 // Traditional BSD format (RFC 3164)
 const SYSLOG_BSD_REGEX = /^(?:<(\d+)>)?(\w{3}\s+\d{1,2}\s+\d{2}:\d{2}:\d{2})\s+(\S+)\s+(\S+?)(?:\[(\d+)\])?:\s*(.*)$/;
 
@@ -58,6 +69,118 @@ function parseTimestamp(timestampStr) {
     return date.toISOString();
 }
 
+function nil(value) {
+    return value === NILVALUE ? null : value;
+}
+
+function readSdName(text, pos) {
+    SD_NAME_REGEX.lastIndex = pos;
+    const match = SD_NAME_REGEX.exec(text);
+    return match ? match[0] : null;
+}
+
+// Parse the STRUCTURED-DATA part of an RFC 5424 message into
+// { "sd-id": { "param": "value" } }. A parameter that repeats within an element
+// becomes an array. Returns { data, rest } or null when the data is malformed.
+function parseStructuredData(text) {
+    if (text === NILVALUE || text.startsWith(`${NILVALUE} `)) {
+        return { data: null, rest: text.slice(1) };
+    }
+    if (text[0] !== '[') {
+        return null;
+    }
+
+    const data = Object.create(null);
+    let pos = 0;
+
+    while (text[pos] === '[') {
+        const id = readSdName(text, pos + 1);
+        if (!id) return null;
+        pos += 1 + id.length;
+
+        const params = data[id] || Object.create(null);
+        while (text[pos] === ' ') {
+            const name = readSdName(text, pos + 1);
+            if (!name || text[pos + 1 + name.length] !== '=' || text[pos + 2 + name.length] !== '"') {
+                return null;
+            }
+            pos += 3 + name.length;
+
+            // PARAM-VALUE escapes '"', '\\' and ']' with a backslash
+            let value = '';
+            while (pos < text.length && text[pos] !== '"') {
+                if (text[pos] === '\\' && ['"', '\\', ']'].includes(text[pos + 1])) {
+                    value += text[pos + 1];
+                    pos += 2;
+                } else {
+                    value += text[pos];
+                    pos++;
+                }
+            }
+            if (pos >= text.length) return null;
+            pos++;
+
+            if (name in params) {
+                params[name] = [].concat(params[name], value);
+            } else {
+                params[name] = value;
+            }
+        }
+
+        if (text[pos] !== ']') return null;
+        pos++;
+        data[id] = params;
+    }
+
+    return { data, rest: text.slice(pos) };
+}
+
+// Parse an RFC 5424 message, or return null so the caller can fall back to RFC 3164
+function parseRfc5424(rawLog, metadata) {
+    const match = rawLog.match(SYSLOG_5424_REGEX);
+    if (!match) return null;
+
+    const [, priority, version, timestamp, hostname, appName, procId, msgId, remainder] = match;
+    if (parseInt(priority) > 191) return null;
+    if (timestamp !== NILVALUE && !RFC5424_TIMESTAMP_REGEX.test(timestamp)) return null;
+
+    const structured = parseStructuredData(remainder);
+    if (!structured || (structured.rest && structured.rest[0] !== ' ')) return null;
+
+    // MSG may be prefixed with a UTF-8 byte order mark
+    let message = structured.rest.slice(1);
+    if (message.startsWith(BOM)) {
+        message = message.slice(BOM.length);
+    }
+
+    const { facility, severity: syslogSeverity } = parsePriority(priority);
+    const program = nil(appName);
+    const pid = nil(procId);
+
+    return {
+        timestamp: timestamp === NILVALUE ? new Date().toISOString() : new Date(timestamp).toISOString(),
+        source: 'syslog',
+        event_type: classifyEvent(program || '', message),
+        severity: mapSeverity(syslogSeverity),
+        hostname: nil(hostname) || metadata.hostname || 'unknown',
+        description: (program ? `[${program}] ${message}` : message).trim(),
+        raw_log: rawLog,
+        parsed_data: {
+            format: 'rfc5424',
+            priority: parseInt(priority),
+            facility,
+            syslog_severity: syslogSeverity,
+            version: parseInt(version),
+            program,
+            pid: pid && /^\d+$/.test(pid) ? parseInt(pid) : null,
+            procid: pid,
+            msgid: nil(msgId),
+            structured_data: structured.data,
+            message
+        }
+    };
+}
+
 // Determine event type from program/message
 function classifyEvent(program, message) {
     const prog = program.toLowerCase();
@@ -92,7 +215,13 @@ function classifyEvent(program, message) {
 }
 
 function parse(rawLog, metadata = {}) {
-    // Try BSD format first
+    // Try RFC 5424 first; it is the only format with a version after the priority
+    const rfc5424 = parseRfc5424(rawLog, metadata);
+    if (rfc5424) {
+        return rfc5424;
+    }
+
+    // Then BSD format
     let match = rawLog.match(SYSLOG_BSD_REGEX);
 
     if (match) {
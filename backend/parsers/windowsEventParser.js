@@ -1,5 +1,5 @@
 // Windows Event Log Parser
-// Parses JSON events from the Windows PowerShell agent
+// Parses JSON events from the Windows PowerShell agent (Security, System and Sysmon logs)
 
 // Windows Security Event IDs of interest
 const EVENT_MAPPINGS = {
@@ -46,6 +46,22 @@ const EVENT_MAPPINGS = {
     4702: { type: 'scheduled_task', severity: 'warning', desc: 'Scheduled task updated' }
 };
 
+// Sysmon events (Microsoft-Windows-Sysmon/Operational), looked up only for the Sysmon provider
+const SYSMON_CHANNEL = 'Microsoft-Windows-Sysmon/Operational';
+
+const SYSMON_EVENT_MAPPINGS = {
+    1: { type: 'process', severity: 'info', desc: 'Process created' },
+    3: { type: 'network', severity: 'info', desc: 'Network connection' },
+    7: { type: 'image_load', severity: 'info', desc: 'Image loaded' },
+    8: { type: 'remote_thread', severity: 'warning', desc: 'Remote thread created' },
+    10: { type: 'process_access', severity: 'info', desc: 'Process accessed' },
+    11: { type: 'file_create', severity: 'info', desc: 'File created' },
+    12: { type: 'registry', severity: 'info', desc: 'Registry key created or deleted' },
+    13: { type: 'registry', severity: 'info', desc: 'Registry value set' },
+    14: { type: 'registry', severity: 'info', desc: 'Registry key or value renamed' },
+    22: { type: 'dns', severity: 'info', desc: 'DNS query' }
+};
+
 // Logon Type mappings
 const LOGON_TYPES = {
     2: 'Interactive',
@@ -59,12 +75,131 @@ const LOGON_TYPES = {
     11: 'CachedInteractive'
 };
 
+// EventData field names in template order, per event ID. Events from the agent carry
+// the fields by name; the order is only used for senders that ship bare Properties arrays.
+const SUBJECT_FIELDS = ['SubjectUserSid', 'SubjectUserName', 'SubjectDomainName', 'SubjectLogonId'];
+const ACCOUNT_FIELDS = ['TargetUserName', 'TargetDomainName', 'TargetSid', ...SUBJECT_FIELDS];
+const OBJECT_FIELDS = [...SUBJECT_FIELDS, 'ObjectServer', 'ObjectType', 'ObjectName', 'HandleId'];
+const TASK_FIELDS = [...SUBJECT_FIELDS, 'TaskName', 'TaskContent'];
+
+const EVENT_FIELDS = {
+    4624: [...SUBJECT_FIELDS, 'TargetUserSid', 'TargetUserName', 'TargetDomainName', 'TargetLogonId',
+        'LogonType', 'LogonProcessName', 'AuthenticationPackageName', 'WorkstationName', 'LogonGuid',
+        'TransmittedServices', 'LmPackageName', 'KeyLength', 'ProcessId', 'ProcessName', 'IpAddress', 'IpPort',
+        'ImpersonationLevel', 'RestrictedAdminMode', 'TargetOutboundUserName', 'TargetOutboundDomainName',
+        'VirtualAccount', 'TargetLinkedLogonId', 'ElevatedToken'],
+    4625: [...SUBJECT_FIELDS, 'TargetUserSid', 'TargetUserName', 'TargetDomainName', 'Status', 'FailureReason',
+        'SubStatus', 'LogonType', 'LogonProcessName', 'AuthenticationPackageName', 'WorkstationName',
+        'TransmittedServices', 'LmPackageName', 'KeyLength', 'ProcessId', 'ProcessName', 'IpAddress', 'IpPort'],
+    4634: ['TargetUserSid', 'TargetUserName', 'TargetDomainName', 'TargetLogonId', 'LogonType'],
+    4647: ['TargetUserSid', 'TargetUserName', 'TargetDomainName', 'TargetLogonId'],
+    4648: [...SUBJECT_FIELDS, 'LogonGuid', 'TargetUserName', 'TargetDomainName', 'TargetLogonGuid',
+        'TargetServerName', 'TargetInfo', 'ProcessId', 'ProcessName', 'IpAddress', 'IpPort'],
+    4672: [...SUBJECT_FIELDS, 'PrivilegeList'],
+    4720: [...ACCOUNT_FIELDS, 'PrivilegeList', 'SamAccountName', 'DisplayName', 'UserPrincipalName'],
+    4722: ACCOUNT_FIELDS,
+    4723: [...ACCOUNT_FIELDS, 'PrivilegeList'],
+    4724: ACCOUNT_FIELDS,
+    4725: ACCOUNT_FIELDS,
+    4726: [...ACCOUNT_FIELDS, 'PrivilegeList'],
+    4738: [...ACCOUNT_FIELDS, 'PrivilegeList', 'SamAccountName', 'DisplayName', 'UserPrincipalName'],
+    4740: ACCOUNT_FIELDS,
+    4688: [...SUBJECT_FIELDS, 'NewProcessId', 'NewProcessName', 'TokenElevationType', 'ProcessId', 'CommandLine',
+        'TargetUserSid', 'TargetUserName', 'TargetDomainName', 'TargetLogonId', 'ParentProcessName', 'MandatoryLabel'],
+    4689: [...SUBJECT_FIELDS, 'Status', 'ProcessId', 'ProcessName'],
+    7045: ['ServiceName', 'ImagePath', 'ServiceType', 'StartType', 'AccountName'],
+    4697: [...SUBJECT_FIELDS, 'ServiceName', 'ServiceFileName', 'ServiceType', 'ServiceStartType', 'ServiceAccount'],
+    4656: [...OBJECT_FIELDS, 'TransactionId', 'AccessList', 'AccessReason', 'AccessMask', 'PrivilegeList',
+        'RestrictedSidCount', 'ProcessId', 'ProcessName'],
+    4663: [...OBJECT_FIELDS, 'AccessList', 'AccessMask', 'ProcessId', 'ProcessName'],
+    4719: [...SUBJECT_FIELDS, 'CategoryId', 'SubcategoryId', 'SubcategoryGuid', 'AuditPolicyChanges'],
+    1102: SUBJECT_FIELDS,
+    4616: [...SUBJECT_FIELDS, 'PreviousTime', 'NewTime', 'ProcessId', 'ProcessName'],
+    4698: TASK_FIELDS,
+    4699: TASK_FIELDS,
+    4702: [...SUBJECT_FIELDS, 'TaskName', 'TaskContentNew']
+};
+
+const SYSMON_REGISTRY_FIELDS = ['RuleName', 'EventType', 'UtcTime', 'ProcessGuid', 'ProcessId', 'Image', 'TargetObject'];
+
+const SYSMON_FIELDS = {
+    1: ['RuleName', 'UtcTime', 'ProcessGuid', 'ProcessId', 'Image', 'FileVersion', 'Description', 'Product',
+        'Company', 'OriginalFileName', 'CommandLine', 'CurrentDirectory', 'User', 'LogonGuid', 'LogonId',
+        'TerminalSessionId', 'IntegrityLevel', 'Hashes', 'ParentProcessGuid', 'ParentProcessId', 'ParentImage',
+        'ParentCommandLine', 'ParentUser'],
+    3: ['RuleName', 'UtcTime', 'ProcessGuid', 'ProcessId', 'Image', 'User', 'Protocol', 'Initiated',
+        'SourceIsIpv6', 'SourceIp', 'SourceHostname', 'SourcePort', 'SourcePortName', 'DestinationIsIpv6',
+        'DestinationIp', 'DestinationHostname', 'DestinationPort', 'DestinationPortName'],
+    7: ['RuleName', 'UtcTime', 'ProcessGuid', 'ProcessId', 'Image', 'ImageLoaded', 'FileVersion', 'Description',
+        'Product', 'Company', 'OriginalFileName', 'Hashes', 'Signed', 'Signature', 'SignatureStatus', 'User'],
+    8: ['RuleName', 'UtcTime', 'SourceProcessGuid', 'SourceProcessId', 'SourceImage', 'TargetProcessGuid',
+        'TargetProcessId', 'TargetImage', 'NewThreadId', 'StartAddress', 'StartModule', 'StartFunction',
+        'SourceUser', 'TargetUser'],
+    10: ['RuleName', 'UtcTime', 'SourceProcessGUID', 'SourceProcessId', 'SourceThreadId', 'SourceImage',
+        'TargetProcessGUID', 'TargetProcessId', 'TargetImage', 'GrantedAccess', 'CallTrace', 'SourceUser', 'TargetUser'],
+    11: ['RuleName', 'UtcTime', 'ProcessGuid', 'ProcessId', 'Image', 'TargetFilename', 'CreationUtcTime', 'User'],
+    12: [...SYSMON_REGISTRY_FIELDS, 'User'],
+    13: [...SYSMON_REGISTRY_FIELDS, 'Details', 'User'],
+    14: [...SYSMON_REGISTRY_FIELDS, 'NewName', 'User'],
+    22: ['RuleName', 'UtcTime', 'ProcessGuid', 'ProcessId', 'QueryName', 'QueryStatus', 'QueryResults', 'Image', 'User']
+};
+
+// Events where the account the event is about is the subject, not the target
+const SUBJECT_USER_EVENTS = [4672, 4688, 4689, 4697, 4656, 4663, 4719, 1102, 4616, 4698, 4699, 4702];
+
+function propertyValue(prop) {
+    return prop !== null && typeof prop === 'object' ? prop.Value : prop;
+}
+
+// Named EventData fields: sent by the agent as EventData, or as Properties entries with a
+// Name; bare Properties arrays are mapped through the event's template (EVENT_FIELDS)
+function readEventData(event, fields) {
+    const named = event.EventData || event.event_data;
+    if (named && typeof named === 'object' && !Array.isArray(named)) {
+        return { data: named, from: 'name' };
+    }
+
+    const props = event.Properties || event.properties;
+    if (!Array.isArray(props) || props.length === 0) {
+        return { data: {}, from: null };
+    }
+    if (props.every(p => p && typeof p === 'object' && p.Name)) {
+        return { data: Object.fromEntries(props.map(p => [p.Name, p.Value])), from: 'name' };
+    }
+
+    if (!fields) return { data: {}, from: null };
+    const data = {};
+    fields.forEach((name, i) => {
+        if (i < props.length) data[name] = propertyValue(props[i]);
+    });
+    return { data, from: 'index' };
+}
+
+// EventData value with Windows' "-" placeholder treated as empty
+function field(data, name) {
+    const value = data[name];
+    if (value === undefined || value === null || value === '' || value === '-') return null;
+    return value;
+}
+
+function toInt(value) {
+    return value !== null && /^\d+$/.test(String(value)) ? parseInt(value) : value;
+}
+
+function isSysmon(event) {
+    const provider = event.ProviderName || event.provider || '';
+    const logName = event.LogName || event.log_name || '';
+    return provider === 'Microsoft-Windows-Sysmon' || logName === SYSMON_CHANNEL;
+}
+
 function parseWindowsEvent(event) {
-    const eventId = event.Id || event.EventId || event.event_id;
-    const mapping = EVENT_MAPPINGS[eventId] || {
+    // The agent sends a number; other senders may use strings
+    const eventId = parseInt(event.Id || event.EventId || event.event_id) || null;
+    const sysmon = isSysmon(event);
+    const mapping = (sysmon ? SYSMON_EVENT_MAPPINGS : EVENT_MAPPINGS)[eventId] || {
         type: 'windows',
         severity: 'info',
-        desc: `Windows Event ${eventId}`
+        desc: `${sysmon ? 'Sysmon' : 'Windows'} Event ${eventId}`
     };
 
     // Build parsed event
@@ -79,7 +214,7 @@ function parseWindowsEvent(event) {
         parsed_data: {
             event_id: eventId,
             provider: event.ProviderName || event.provider,
-            log_name: event.LogName || event.log_name || 'Security',
+            log_name: event.LogName || event.log_name || (sysmon ? SYSMON_CHANNEL : 'Security'),
             level: event.Level || event.level,
             keywords: event.Keywords || event.keywords,
             task: event.Task || event.task,
@@ -87,40 +222,77 @@ function parseWindowsEvent(event) {
         }
     };
 
-    // Extract user information
-    if (event.Properties || event.properties) {
-        const props = event.Properties || event.properties;
-        parsed.user = extractUser(props, eventId);
+    const props = event.Properties || event.properties;
+    if (props) {
         parsed.parsed_data.properties = props;
     }
 
+    const { data, from } = readEventData(event, (sysmon ? SYSMON_FIELDS : EVENT_FIELDS)[eventId]);
+    if (from && sysmon) {
+        parsed.parsed_data.event_data = data;
+        parsed.parsed_data.event_data_source = from;
+        parseSysmonEvent(parsed, data, eventId);
+        return parsed;
+    }
+    if (from) {
+        parsed.parsed_data.event_data = data;
+        parsed.parsed_data.event_data_source = from;
+        parseCommonFields(parsed, data, eventId);
+    } else if (Array.isArray(props)) {
+        parsed.user = guessUser(props);
+    }
+
     // Parse specific event types
     if (eventId === 4624 || eventId === 4625) {
-        parseLogonEvent(parsed, event);
+        parseLogonEvent(parsed, data, eventId);
     } else if (eventId === 4688) {
-        parseProcessEvent(parsed, event);
+        parseProcessEvent(parsed, data);
     } else if (eventId === 7045 || eventId === 4697) {
-        parseServiceEvent(parsed, event);
+        parseServiceEvent(parsed, data);
     }
 
     return parsed;
 }
 
-function extractUser(properties, eventId) {
-    if (!properties || !Array.isArray(properties)) return null;
+// Subject/target accounts and the other fields shared by many events
+function parseCommonFields(parsed, data, eventId) {
+    const pd = parsed.parsed_data;
 
-    // Different events have user at different positions
-    if (eventId === 4624 || eventId === 4625) {
-        // TargetUserName is typically at index 5
-        return properties[5]?.Value || properties[5] || null;
-    } else if (eventId === 4688) {
-        // Creator user name
-        return properties[1]?.Value || properties[1] || null;
+    pd.subject_user = field(data, 'SubjectUserName');
+    pd.subject_domain = field(data, 'SubjectDomainName');
+    pd.target_user = field(data, 'TargetUserName');
+    pd.target_domain = field(data, 'TargetDomainName');
+
+    const optional = {
+        logon_id: field(data, 'SubjectLogonId') || field(data, 'TargetLogonId'),
+        process_name: field(data, 'ProcessName'),
+        process_id: field(data, 'ProcessId'),
+        object_name: field(data, 'ObjectName'),
+        object_type: field(data, 'ObjectType'),
+        access_list: field(data, 'AccessList'),
+        task_name: field(data, 'TaskName'),
+        privileges: field(data, 'PrivilegeList'),
+        target_server: field(data, 'TargetServerName')
+    };
+    for (const [key, value] of Object.entries(optional)) {
+        if (value !== null) pd[key] = value;
     }
 
-    // Generic extraction
+    // Explicit-credential logons (4648) carry the address too
+    if (field(data, 'IpAddress')) {
+        pd.source_ip = field(data, 'IpAddress');
+        pd.source_port = toInt(field(data, 'IpPort'));
+    }
+
+    parsed.user = SUBJECT_USER_EVENTS.includes(eventId)
+        ? pd.subject_user || pd.target_user
+        : pd.target_user || pd.subject_user;
+}
+
+// Unknown events without field names: first plain string value
+function guessUser(properties) {
     for (const prop of properties) {
-        const val = prop?.Value || prop;
+        const val = propertyValue(prop);
         if (typeof val === 'string' && val.length > 0 && !val.includes('\\') && !val.includes('-')) {
             return val;
         }
@@ -128,68 +300,187 @@ function extractUser(properties, eventId) {
     return null;
 }
 
-function parseLogonEvent(parsed, event) {
-    const props = event.Properties || event.properties || [];
-
-    // Standard logon event property indices
-    if (props.length >= 10) {
-        parsed.parsed_data.logon_type = LOGON_TYPES[props[8]?.Value || props[8]] || 'Unknown';
-        parsed.parsed_data.target_user = props[5]?.Value || props[5];
-        parsed.parsed_data.target_domain = props[6]?.Value || props[6];
-        parsed.parsed_data.source_ip = props[18]?.Value || props[18] || 'local';
-        parsed.parsed_data.source_port = props[19]?.Value || props[19];
-        parsed.parsed_data.workstation = props[11]?.Value || props[11];
-
-        // Enhance description
-        const logonType = parsed.parsed_data.logon_type;
-        const user = parsed.parsed_data.target_user;
-        const ip = parsed.parsed_data.source_ip;
-
-        if (event.Id === 4625) {
-            parsed.description = `Failed ${logonType} logon for ${user} from ${ip}`;
-            // Multiple failed logins should escalate severity
-            parsed.parsed_data.failure_reason = props[13]?.Value || props[13];
-        } else {
-            parsed.description = `${logonType} logon for ${user} from ${ip}`;
-        }
+function parseLogonEvent(parsed, data, eventId) {
+    const pd = parsed.parsed_data;
+    if (!data.TargetUserName && !data.LogonType) return;
+
+    pd.logon_type = LOGON_TYPES[field(data, 'LogonType')] || 'Unknown';
+    pd.logon_type_id = toInt(field(data, 'LogonType'));
+    pd.workstation = field(data, 'WorkstationName');
+    pd.authentication_package = field(data, 'AuthenticationPackageName');
+    pd.source_ip = pd.source_ip || 'local';
+
+    const user = pd.target_user;
+    if (eventId === 4625) {
+        pd.status = field(data, 'Status');
+        pd.sub_status = field(data, 'SubStatus');
+        pd.failure_reason = field(data, 'FailureReason');
+        parsed.description = `Failed ${pd.logon_type} logon for ${user} from ${pd.source_ip}`;
+    } else {
+        parsed.description = `${pd.logon_type} logon for ${user} from ${pd.source_ip}`;
     }
 }
 
-function parseProcessEvent(parsed, event) {
-    const props = event.Properties || event.properties || [];
+function parseProcessEvent(parsed, data) {
+    const pd = parsed.parsed_data;
+    if (!data.NewProcessName) return;
 
-    if (props.length >= 10) {
-        parsed.parsed_data.new_process_name = props[5]?.Value || props[5];
-        parsed.parsed_data.command_line = props[8]?.Value || props[8];
-        parsed.parsed_data.creator_process = props[13]?.Value || props[13];
-        parsed.parsed_data.token_elevation = props[6]?.Value || props[6];
+    pd.new_process_name = field(data, 'NewProcessName');
+    pd.image = pd.new_process_name;
+    pd.new_process_id = field(data, 'NewProcessId');
+    pd.command_line = field(data, 'CommandLine');
+    pd.creator_process = field(data, 'ParentProcessName');
+    pd.token_elevation = field(data, 'TokenElevationType');
+    pd.mandatory_label = field(data, 'MandatoryLabel');
 
-        const processName = parsed.parsed_data.new_process_name?.split('\\').pop() || 'Unknown';
-        parsed.description = `Process created: ${processName}`;
+    parsed.description = `Process created: ${baseName(pd.new_process_name)}`;
+    flagTempProcess(parsed, pd.new_process_name);
+}
 
-        // Check for suspicious locations
-        const processPath = (props[5]?.Value || props[5] || '').toLowerCase();
-        if (processPath.includes('\\temp\\') ||
-            processPath.includes('\\tmp\\') ||
-            processPath.includes('\\appdata\\local\\temp')) {
-            parsed.severity = 'warning';
-            parsed.description = `Suspicious: Process from temp directory: ${processName}`;
-        }
+function baseName(imagePath) {
+    return imagePath?.split('\\').pop() || 'Unknown';
+}
+
+// Check for suspicious locations
+function flagTempProcess(parsed, imagePath) {
+    const processPath = (imagePath || '').toLowerCase();
+    if (processPath.includes('\\temp\\') ||
+        processPath.includes('\\tmp\\') ||
+        processPath.includes('\\appdata\\local\\temp')) {
+        parsed.severity = 'warning';
+        parsed.description = `Suspicious: Process from temp directory: ${baseName(imagePath)}`;
+    }
+}
+
+// 7045 (System log) and 4697 (Security log) name the same fields differently
+function parseServiceEvent(parsed, data) {
+    const pd = parsed.parsed_data;
+    if (!data.ServiceName) return;
+
+    pd.service_name = field(data, 'ServiceName');
+    pd.service_path = field(data, 'ImagePath') || field(data, 'ServiceFileName');
+    pd.service_type = field(data, 'ServiceType');
+    pd.service_start_type = field(data, 'StartType') || field(data, 'ServiceStartType');
+    pd.service_account = field(data, 'AccountName') || field(data, 'ServiceAccount');
+
+    parsed.description = `New service installed: ${pd.service_name || 'Unknown'}`;
+}
+
+// "SHA1=...,MD5=...,SHA256=...,IMPHASH=..." -> { sha1, md5, sha256, imphash }, lowercase hex
+function parseHashes(value) {
+    if (!value) return null;
+    const hashes = {};
+    for (const pair of String(value).split(',')) {
+        const eq = pair.indexOf('=');
+        if (eq > 0) hashes[pair.slice(0, eq).trim().toLowerCase()] = pair.slice(eq + 1).trim().toLowerCase();
     }
+    return hashes;
+}
+
+// "DOMAIN\user" -> { user, domain }
+function splitAccount(value) {
+    if (!value) return { user: null, domain: null };
+    const at = value.lastIndexOf('\\');
+    return at === -1
+        ? { user: value, domain: null }
+        : { user: value.slice(at + 1), domain: value.slice(0, at) };
 }
 
-function parseServiceEvent(parsed, event) {
-    const props = event.Properties || event.properties || [];
+function toBool(value) {
+    if (value === null) return null;
+    return String(value).toLowerCase() === 'true';
+}
+
+function parseSysmonEvent(parsed, data, eventId) {
+    const pd = parsed.parsed_data;
+    const account = splitAccount(field(data, 'User') || field(data, 'SourceUser'));
+
+    pd.sysmon_rule = field(data, 'RuleName');
+    pd.utc_time = field(data, 'UtcTime');
+    pd.process_guid = field(data, 'ProcessGuid') || field(data, 'SourceProcessGuid') || field(data, 'SourceProcessGUID');
+    pd.process_id = toInt(field(data, 'ProcessId') || field(data, 'SourceProcessId'));
+    pd.image = field(data, 'Image') || field(data, 'SourceImage');
+    pd.username = account.user;
+    pd.user_domain = account.domain;
+    parsed.user = account.user;
 
-    if (props.length >= 5) {
-        parsed.parsed_data.service_name = props[0]?.Value || props[0];
-        parsed.parsed_data.service_path = props[1]?.Value || props[1];
-        parsed.parsed_data.service_type = props[2]?.Value || props[2];
-        parsed.parsed_data.service_start_type = props[3]?.Value || props[3];
-        parsed.parsed_data.service_account = props[4]?.Value || props[4];
+    const actor = baseName(pd.image);
 
-        const serviceName = parsed.parsed_data.service_name || 'Unknown';
-        parsed.description = `New service installed: ${serviceName}`;
+    switch (eventId) {
+        case 1:
+            pd.new_process_name = pd.image;
+            pd.command_line = field(data, 'CommandLine');
+            pd.creator_process = field(data, 'ParentImage');
+            pd.parent_command_line = field(data, 'ParentCommandLine');
+            pd.parent_process_id = toInt(field(data, 'ParentProcessId'));
+            pd.current_directory = field(data, 'CurrentDirectory');
+            pd.integrity_level = field(data, 'IntegrityLevel');
+            pd.logon_id = field(data, 'LogonId');
+            pd.original_file_name = field(data, 'OriginalFileName');
+            pd.company = field(data, 'Company');
+            pd.hashes = parseHashes(field(data, 'Hashes'));
+            parsed.description = `Process created: ${actor} (parent ${baseName(pd.creator_process)})`;
+            flagTempProcess(parsed, pd.image);
+            break;
+        case 3:
+            pd.protocol = field(data, 'Protocol');
+            pd.initiated = toBool(field(data, 'Initiated'));
+            pd.source_ip = field(data, 'SourceIp');
+            pd.source_port = toInt(field(data, 'SourcePort'));
+            pd.source_hostname = field(data, 'SourceHostname');
+            pd.destination_ip = field(data, 'DestinationIp');
+            pd.destination_port = toInt(field(data, 'DestinationPort'));
+            pd.destination_hostname = field(data, 'DestinationHostname');
+            parsed.description = `${actor} connected to ${pd.destination_hostname || pd.destination_ip}:${pd.destination_port}`;
+            break;
+        case 7:
+            pd.image_loaded = field(data, 'ImageLoaded');
+            pd.hashes = parseHashes(field(data, 'Hashes'));
+            pd.signed = toBool(field(data, 'Signed'));
+            pd.signature = field(data, 'Signature');
+            pd.signature_status = field(data, 'SignatureStatus');
+            pd.original_file_name = field(data, 'OriginalFileName');
+            parsed.description = `${actor} loaded ${pd.signed === false ? 'unsigned ' : ''}${pd.image_loaded}`;
+            break;
+        case 8:
+        case 10:
+            pd.source_image = field(data, 'SourceImage');
+            pd.target_image = field(data, 'TargetImage');
+            pd.target_process_id = toInt(field(data, 'TargetProcessId'));
+            pd.target_user = splitAccount(field(data, 'TargetUser')).user;
+            if (eventId === 8) {
+                pd.start_address = field(data, 'StartAddress');
+                pd.start_module = field(data, 'StartModule');
+                pd.start_function = field(data, 'StartFunction');
+                parsed.description = `Remote thread created by ${actor} in ${baseName(pd.target_image)}`;
+            } else {
+                pd.granted_access = field(data, 'GrantedAccess');
+                pd.call_trace = field(data, 'CallTrace');
+                parsed.description = `${actor} accessed ${baseName(pd.target_image)} (${pd.granted_access})`;
+            }
+            break;
+        case 11:
+            pd.target_filename = field(data, 'TargetFilename');
+            pd.creation_time = field(data, 'CreationUtcTime');
+            parsed.description = `${actor} created ${pd.target_filename}`;
+            break;
+        case 12:
+        case 13:
+        case 14:
+            pd.registry_event_type = field(data, 'EventType');
+            pd.target_object = field(data, 'TargetObject');
+            pd.details = field(data, 'Details');
+            pd.new_name = field(data, 'NewName');
+            parsed.description = `Registry ${pd.registry_event_type || 'event'}: ${pd.target_object} by ${actor}`;
+            break;
+        case 22:
+            pd.query_name = field(data, 'QueryName');
+            pd.query_status = field(data, 'QueryStatus');
+            pd.query_results = field(data, 'QueryResults');
+            parsed.description = `DNS query for ${pd.query_name} by ${actor}`;
+            break;
+        default:
+            break;
     }
 }
 
@@ -219,4 +510,4 @@ function parse(rawData, metadata = {}) {
     return parseWindowsEvent(event);
 }
 
-module.exports = { parse, EVENT_MAPPINGS, LOGON_TYPES };
+module.exports = { parse, EVENT_MAPPINGS, EVENT_FIELDS, SYSMON_CHANNEL, SYSMON_EVENT_MAPPINGS, SYSMON_FIELDS, LOGON_TYPES };
@@ -1,15 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const { alertOps } = require('../database/init');
+const { requirePermission } = require('../middleware/auth');
+const { DEFAULT_RISK_WEIGHTS, getRiskWeights, validateRiskWeights, setRiskWeights } = require('../services/riskScoring');
 
-// GET /api/alerts - List alerts with pagination
+// GET /api/alerts - List alerts with pagination; sort=risk for the highest risk score first
 router.get('/', (req, res) => {
     try {
         const limit = Math.min(parseInt(req.query.limit) || 50, 500);
         const offset = parseInt(req.query.offset) || 0;
         const status = req.query.status || null;
+        const sort = req.query.sort === 'risk' ? 'risk' : null;
 
-        const alerts = alertOps.getRecent(limit, offset, status);
+        const alerts = alertOps.getRecent(limit, offset, status, sort);
         const openCount = alertOps.getOpenCount();
 
         res.json({
@@ -27,6 +30,34 @@ router.get('/', (req, res) => {
     }
 });
 
+// GET /api/alerts/risk-weights - Risk scoring weights in effect, and the defaults
+router.get('/risk-weights', (req, res) => {
+    try {
+        res.json({ weights: getRiskWeights(), defaults: DEFAULT_RISK_WEIGHTS });
+    } catch (err) {
+        console.error('[ALERTS] Error fetching risk weights:', err);
+        res.status(500).json({ error: 'Failed to fetch risk weights' });
+    }
+});
+
+// PUT /api/alerts/risk-weights - Change risk scoring weights; omitted weights are kept.
+// Applies to alerts raised from now on.
+router.put('/risk-weights', requirePermission('rules:write'), (req, res) => {
+    try {
+        const invalid = validateRiskWeights(req.body);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const weights = setRiskWeights(req.body);
+        console.log(`[ALERTS] Risk weights updated by ${req.user.username}`);
+        res.json({ weights, defaults: DEFAULT_RISK_WEIGHTS });
+    } catch (err) {
+        console.error('[ALERTS] Error updating risk weights:', err);
+        res.status(500).json({ error: 'Failed to update risk weights' });
+    }
+});
+
 // GET /api/alerts/:id - Get single alert
 router.get('/:id', (req, res) => {
     try {
@@ -42,7 +73,7 @@ router.get('/:id', (req, res) => {
 });
 
 // PATCH /api/alerts/:id - Update alert status
-router.patch('/:id', (req, res) => {
+router.patch('/:id', requirePermission('alerts:write'), (req, res) => {
     try {
         const { status, notes } = req.body;
 
@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const { getArchiveSummary, restoreEvents } = require('../services/archiveService');
+const { requirePermission } = require('../middleware/auth');
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// GET /api/archive - Archived events by day
+router.get('/', (req, res) => {
+    try {
+        res.json(getArchiveSummary());
+    } catch (err) {
+        console.error('[ARCHIVE] Error reading archive:', err);
+        res.status(500).json({ error: 'Failed to read archive' });
+    }
+});
+
+// POST /api/archive/restore - Re-import archived events for a date range
+router.post('/restore', requirePermission('retention:write'), (req, res) => {
+    try {
+        const { from, to = from, dry_run } = req.body;
+
+        if (!DATE_REGEX.test(from || '') || !DATE_REGEX.test(to || '')) {
+            return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format' });
+        }
+        if (from > to) {
+            return res.status(400).json({ error: 'from must not be after to' });
+        }
+
+        const result = restoreEvents(from, to, { dryRun: !!dry_run });
+        res.json(result);
+    } catch (err) {
+        console.error('[ARCHIVE] Error restoring events:', err);
+        res.status(500).json({ error: 'Failed to restore events' });
+    }
+});
+
+module.exports = router;
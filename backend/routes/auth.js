@@ -0,0 +1,267 @@
+const express = require('express');
+const router = express.Router();
+const { userOps, apiKeyOps, enrollmentTokenOps, endpointOps } = require('../database/init');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const {
+    ROLES,
+    login,
+    issueSession,
+    loginRetryAfter,
+    recordLoginFailure,
+    clearLoginFailures,
+    createUser,
+    changePassword,
+    validatePassword,
+    verifyPassword,
+    createApiKey,
+    createEnrollmentToken
+} = require('../services/authService');
+
+// POST /api/auth/login - Exchange username/password for a session token
+router.post('/login', (req, res) => {
+    try {
+        const { username, password } = req.body;
+
+        if (!username || !password) {
+            return res.status(400).json({ error: 'username and password are required' });
+        }
+
+        const retryAfter = loginRetryAfter(username, req.ip);
+        if (retryAfter > 0) {
+            console.log(`[AUTH] Throttled login for ${username} from ${req.ip}`);
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({ error: 'Too many failed logins, try again later' });
+        }
+
+        const session = login(username, password);
+        if (!session) {
+            recordLoginFailure(username, req.ip);
+            console.log(`[AUTH] Failed login for ${username} from ${req.ip}`);
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+
+        clearLoginFailures(username);
+        console.log(`[AUTH] User logged in: ${username}`);
+        res.json(session);
+    } catch (err) {
+        console.error('[AUTH] Login error:', err);
+        res.status(500).json({ error: 'Failed to log in' });
+    }
+});
+
+// Everything below requires a logged-in user
+router.use(requireAuth('user'));
+
+// GET /api/auth/me - Current user
+router.get('/me', (req, res) => {
+    res.json({ user: req.user });
+});
+
+// POST /api/auth/password - Change own password
+router.post('/password', (req, res) => {
+    try {
+        const { current_password, new_password } = req.body;
+        const user = userOps.getById(req.user.id);
+
+        if (!verifyPassword(String(current_password || ''), user.password_hash)) {
+            return res.status(403).json({ error: 'Current password is incorrect' });
+        }
+
+        const invalid = validatePassword(new_password);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        // Other sessions end with the change; this one continues with the new token
+        changePassword(user.id, new_password);
+        console.log(`[AUTH] Password changed for ${user.username}`);
+        res.json({ success: true, ...issueSession(userOps.getById(user.id)) });
+    } catch (err) {
+        console.error('[AUTH] Error changing password:', err);
+        res.status(500).json({ error: 'Failed to change password' });
+    }
+});
+
+// GET /api/auth/users - List users
+router.get('/users', requirePermission('users:write'), (req, res) => {
+    try {
+        const users = userOps.getAll();
+        res.json({ users, count: users.length });
+    } catch (err) {
+        console.error('[AUTH] Error fetching users:', err);
+        res.status(500).json({ error: 'Failed to fetch users' });
+    }
+});
+
+// POST /api/auth/users - Create user
+router.post('/users', requirePermission('users:write'), (req, res) => {
+    try {
+        const { username, password, role = 'viewer' } = req.body;
+
+        if (!username || !/^[A-Za-z0-9_.@-]{2,64}$/.test(username)) {
+            return res.status(400).json({ error: 'username must be 2-64 characters (letters, digits, _ . @ -)' });
+        }
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+        }
+        const invalid = validatePassword(password);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+        if (userOps.getByUsername(username)) {
+            return res.status(409).json({ error: 'Username already exists' });
+        }
+
+        const user = createUser(username, password, role);
+        console.log(`[AUTH] User created: ${username} (${role}) by ${req.user.username}`);
+        res.status(201).json(user);
+    } catch (err) {
+        console.error('[AUTH] Error creating user:', err);
+        res.status(500).json({ error: 'Failed to create user' });
+    }
+});
+
+// PATCH /api/auth/users/:id - Change a user's role or enable/disable them
+router.patch('/users/:id', requirePermission('users:write'), (req, res) => {
+    try {
+        const { disabled, role } = req.body;
+
+        if (disabled === undefined && role === undefined) {
+            return res.status(400).json({ error: 'Nothing to update (disabled, role)' });
+        }
+        if (disabled !== undefined && typeof disabled !== 'boolean') {
+            return res.status(400).json({ error: 'disabled must be a boolean' });
+        }
+        if (role !== undefined && !ROLES.includes(role)) {
+            return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+        }
+        if (req.params.id === req.user.id && (disabled || (role && role !== 'admin'))) {
+            return res.status(400).json({ error: 'You cannot disable or demote your own account' });
+        }
+
+        const user = userOps.getById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (disabled !== undefined) userOps.setDisabled(user.id, disabled);
+        if (role !== undefined) userOps.setRole(user.id, role);
+
+        const updated = userOps.getById(user.id);
+        console.log(`[AUTH] User updated: ${user.username} (${updated.role}${updated.disabled ? ', disabled' : ''}) by ${req.user.username}`);
+        res.json({ success: true, role: updated.role, disabled: !!updated.disabled });
+    } catch (err) {
+        console.error('[AUTH] Error updating user:', err);
+        res.status(500).json({ error: 'Failed to update user' });
+    }
+});
+
+// GET /api/auth/api-keys - List API keys (hashes are never returned)
+router.get('/api-keys', requirePermission('users:write'), (req, res) => {
+    try {
+        const keys = apiKeyOps.getAll();
+        res.json({ api_keys: keys, count: keys.length });
+    } catch (err) {
+        console.error('[AUTH] Error fetching API keys:', err);
+        res.status(500).json({ error: 'Failed to fetch API keys' });
+    }
+});
+
+// POST /api/auth/api-keys - Create an agent API key (the key is only shown once)
+router.post('/api-keys', requirePermission('users:write'), (req, res) => {
+    try {
+        const { name, endpoint_id } = req.body;
+
+        if (!name) {
+            return res.status(400).json({ error: 'name is required' });
+        }
+        // Agent routes only accept a key as the endpoint it is bound to
+        if (!endpoint_id) {
+            return res.status(400).json({ error: 'endpoint_id is required' });
+        }
+        if (!endpointOps.getById(endpoint_id)) {
+            return res.status(404).json({ error: 'Endpoint not found' });
+        }
+
+        const apiKey = createApiKey({ name, endpoint_id, created_by: req.user.username });
+        console.log(`[AUTH] API key created: ${name} (${apiKey.prefix}…) by ${req.user.username}`);
+        res.status(201).json(apiKey);
+    } catch (err) {
+        console.error('[AUTH] Error creating API key:', err);
+        res.status(500).json({ error: 'Failed to create API key' });
+    }
+});
+
+// DELETE /api/auth/api-keys/:id - Revoke an API key
+router.delete('/api-keys/:id', requirePermission('users:write'), (req, res) => {
+    try {
+        const result = apiKeyOps.revoke(req.params.id);
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'API key not found or already revoked' });
+        }
+
+        console.log(`[AUTH] API key revoked: ${req.params.id} by ${req.user.username}`);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('[AUTH] Error revoking API key:', err);
+        res.status(500).json({ error: 'Failed to revoke API key' });
+    }
+});
+
+// GET /api/auth/enrollment-tokens - List enrollment tokens (hashes are never returned)
+router.get('/enrollment-tokens', requirePermission('endpoints:write'), (req, res) => {
+    try {
+        const tokens = enrollmentTokenOps.getAll();
+        res.json({ enrollment_tokens: tokens, count: tokens.length });
+    } catch (err) {
+        console.error('[AUTH] Error fetching enrollment tokens:', err);
+        res.status(500).json({ error: 'Failed to fetch enrollment tokens' });
+    }
+});
+
+// POST /api/auth/enrollment-tokens - Create an enrollment token (the token is only shown once)
+router.post('/enrollment-tokens', requirePermission('endpoints:write'), (req, res) => {
+    try {
+        const { name, max_uses = 1, expires_in_hours = 24 } = req.body;
+
+        if (!name) {
+            return res.status(400).json({ error: 'name is required' });
+        }
+        if (max_uses !== null && !(Number.isInteger(max_uses) && max_uses > 0)) {
+            return res.status(400).json({ error: 'max_uses must be a positive integer or null for unlimited' });
+        }
+        if (expires_in_hours !== null && !(Number.isInteger(expires_in_hours) && expires_in_hours > 0)) {
+            return res.status(400).json({ error: 'expires_in_hours must be a positive integer or null for no expiry' });
+        }
+
+        const token = createEnrollmentToken({
+            name,
+            maxUses: max_uses,
+            expiresInHours: expires_in_hours,
+            created_by: req.user.username
+        });
+        console.log(`[AUTH] Enrollment token created: ${name} (${token.prefix}…) by ${req.user.username}`);
+        res.status(201).json(token);
+    } catch (err) {
+        console.error('[AUTH] Error creating enrollment token:', err);
+        res.status(500).json({ error: 'Failed to create enrollment token' });
+    }
+});
+
+// DELETE /api/auth/enrollment-tokens/:id - Revoke an enrollment token
+router.delete('/enrollment-tokens/:id', requirePermission('endpoints:write'), (req, res) => {
+    try {
+        const result = enrollmentTokenOps.revoke(req.params.id);
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Enrollment token not found or already revoked' });
+        }
+
+        console.log(`[AUTH] Enrollment token revoked: ${req.params.id} by ${req.user.username}`);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('[AUTH] Error revoking enrollment token:', err);
+        res.status(500).json({ error: 'Failed to revoke enrollment token' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,116 @@
+const express = require('express');
+const router = express.Router();
+const { deadLetterOps } = require('../database/init');
+const { reprocessDeadLetters } = require('../services/ingestPipeline');
+const { requirePermission } = require('../middleware/auth');
+
+// Most letters one re-processing request will pick up
+const MAX_REPROCESS = 1000;
+
+function parseFilters(source) {
+    const filters = {};
+    if (typeof source.source === 'string' && source.source) filters.source = source.source;
+    if (typeof source.endpoint_id === 'string' && source.endpoint_id) filters.endpoint_id = source.endpoint_id;
+    return filters;
+}
+
+// GET /api/dead-letters - Logs that failed to parse, newest first
+router.get('/', (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+        const offset = parseInt(req.query.offset) || 0;
+        const filters = parseFilters(req.query);
+
+        const deadLetters = deadLetterOps.getAll(filters, limit, offset);
+        res.json({
+            dead_letters: deadLetters.map(letter => ({ ...letter, raw_json: !!letter.raw_json })),
+            total: deadLetterOps.count(filters),
+            by_source: deadLetterOps.countBySource(),
+            pagination: {
+                limit,
+                offset,
+                count: deadLetters.length
+            }
+        });
+    } catch (err) {
+        console.error('[DEAD-LETTERS] Error fetching dead letters:', err);
+        res.status(500).json({ error: 'Failed to fetch dead letters' });
+    }
+});
+
+// GET /api/dead-letters/:id - Get a single dead letter
+router.get('/:id', (req, res) => {
+    try {
+        const letter = deadLetterOps.getById(req.params.id);
+        if (!letter) {
+            return res.status(404).json({ error: 'Dead letter not found' });
+        }
+        res.json({ ...letter, raw_json: !!letter.raw_json });
+    } catch (err) {
+        console.error('[DEAD-LETTERS] Error fetching dead letter:', err);
+        res.status(500).json({ error: 'Failed to fetch dead letter' });
+    }
+});
+
+// POST /api/dead-letters/reprocess - Run letters through the current parsers again.
+// Body: { ids: [...] } or { source, endpoint_id } filters (oldest first, at most 1000).
+router.post('/reprocess', requirePermission('parsers:write'), (req, res) => {
+    try {
+        const { ids } = req.body;
+        let letters;
+
+        if (ids !== undefined) {
+            if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_REPROCESS || !ids.every(id => typeof id === 'string')) {
+                return res.status(400).json({ error: `ids must be a non-empty array of at most ${MAX_REPROCESS} ids` });
+            }
+            letters = deadLetterOps.getByIds(ids);
+        } else {
+            letters = deadLetterOps.getOldest(parseFilters(req.body), MAX_REPROCESS);
+        }
+
+        const result = reprocessDeadLetters(letters);
+
+        console.log(`[DEAD-LETTERS] Re-processed ${letters.length} dead letters by ${req.user.username}: ${result.reprocessed} parsed, ${result.failed} failed, alerts: ${result.alerts}`);
+        res.json({
+            success: true,
+            selected: letters.length,
+            ...result,
+            remaining: deadLetterOps.count()
+        });
+    } catch (err) {
+        console.error('[DEAD-LETTERS] Error re-processing dead letters:', err);
+        res.status(500).json({ error: 'Failed to re-process dead letters' });
+    }
+});
+
+// DELETE /api/dead-letters/:id - Discard a dead letter
+router.delete('/:id', requirePermission('parsers:write'), (req, res) => {
+    try {
+        const result = deadLetterOps.delete(req.params.id);
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Dead letter not found' });
+        }
+
+        console.log(`[DEAD-LETTERS] Dead letter ${req.params.id} deleted by ${req.user.username}`);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('[DEAD-LETTERS] Error deleting dead letter:', err);
+        res.status(500).json({ error: 'Failed to delete dead letter' });
+    }
+});
+
+// DELETE /api/dead-letters?source=&endpoint_id= - Discard every letter matching the filters
+router.delete('/', requirePermission('parsers:write'), (req, res) => {
+    try {
+        const filters = parseFilters(req.query);
+        const deleted = deadLetterOps.deleteMatching(filters);
+
+        console.log(`[DEAD-LETTERS] ${deleted} dead letters deleted by ${req.user.username}`);
+        res.json({ success: true, deleted });
+    } catch (err) {
+        console.error('[DEAD-LETTERS] Error deleting dead letters:', err);
+        res.status(500).json({ error: 'Failed to delete dead letters' });
+    }
+});
+
+module.exports = router;
@@ -2,9 +2,22 @@ const express = require('express');
 const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const { endpointOps } = require('../database/init');
+const { requireAuth, requirePermission, canActAsEndpoint } = require('../middleware/auth');
+const {
+    issueEndpointCredentials,
+    revokeEndpointCredentials,
+    consumeEnrollmentToken
+} = require('../services/authService');
+
+// Asset inventory values
+const ENVIRONMENTS = ['prod', 'staging', 'dev', 'test'];
+const CRITICALITIES = ['low', 'medium', 'high', 'critical'];
+const MAX_OWNER_LENGTH = 128;
+const MAX_TAGS = 32;
+const TAG_REGEX = /^[\w.:-]{1,64}$/;
 
 // GET /api/endpoints - List all endpoints
-router.get('/', (req, res) => {
+router.get('/', requireAuth('user'), requirePermission('endpoints:read'), (req, res) => {
     try {
         const endpoints = endpointOps.getAll();
         res.json({
@@ -18,7 +31,7 @@ router.get('/', (req, res) => {
 });
 
 // GET /api/endpoints/:id - Get single endpoint
-router.get('/:id', (req, res) => {
+router.get('/:id', requireAuth('user'), requirePermission('endpoints:read'), (req, res) => {
     try {
         const endpoint = endpointOps.getById(req.params.id);
         if (!endpoint) {
@@ -31,8 +44,9 @@ router.get('/:id', (req, res) => {
     }
 });
 
-// POST /api/endpoints/register - Register new agent
-router.post('/register', (req, res) => {
+// POST /api/endpoints/register - Register an agent. New agents authenticate with an
+// enrollment token and receive their endpoint API key; enrolled agents re-register with that key.
+router.post('/register', requireAuth('user', 'agent', 'enrollment'), requirePermission('endpoints:write'), (req, res) => {
     try {
         const { hostname, ip_address, os, os_version, agent_version, config } = req.body;
 
@@ -40,7 +54,26 @@ router.post('/register', (req, res) => {
             return res.status(400).json({ error: 'Hostname is required' });
         }
 
-        const id = req.body.id || uuidv4();
+        // Enrollment always creates a new endpoint, so a token cannot take over an existing one.
+        // An API key registers the endpoint it is bound to and nothing else.
+        let id;
+        if (req.enrollment) {
+            id = uuidv4();
+        } else if (req.apiKey) {
+            id = req.body.id || req.apiKey.endpoint_id;
+        } else {
+            id = req.body.id || uuidv4();
+        }
+
+        if (!canActAsEndpoint(req, id)) {
+            return res.status(403).json({ error: 'API key is not bound to this endpoint' });
+        }
+
+        // A revoked endpoint only comes back through an admin; agents must enroll again
+        const existing = endpointOps.getById(id);
+        if (existing && existing.credentials_revoked_at && !req.user) {
+            return res.status(403).json({ error: 'Endpoint credentials were revoked; enroll the agent again' });
+        }
 
         endpointOps.upsert({
             id,
@@ -53,12 +86,22 @@ router.post('/register', (req, res) => {
             config
         });
 
-        console.log(`[ENDPOINTS] Agent registered: ${hostname} (${id})`);
+        // Issue the endpoint's own key on enrollment, or when an admin registers a host without one
+        let credentials = null;
+        if (req.enrollment) {
+            consumeEnrollmentToken(req.enrollment.id);
+            credentials = issueEndpointCredentials(id, `enrollment:${req.enrollment.name}`);
+        } else if (req.user && !(existing && existing.active_credentials > 0)) {
+            credentials = issueEndpointCredentials(id, req.user.username);
+        }
+
+        console.log(`[ENDPOINTS] Agent registered: ${hostname} (${id})${credentials ? ', credentials issued' : ''}`);
         res.status(201).json({
             id,
             hostname,
             status: 'registered',
-            message: 'Agent registered successfully'
+            message: 'Agent registered successfully',
+            ...(credentials ? { api_key: credentials.key } : {})
         });
     } catch (err) {
         console.error('[ENDPOINTS] Error registering endpoint:', err);
@@ -66,8 +109,45 @@ router.post('/register', (req, res) => {
     }
 });
 
+// PATCH /api/endpoints/:id - Edit the asset record; null clears a field.
+// Body: { owner, environment, criticality, tags: [...] }
+router.patch('/:id', requireAuth('user'), requirePermission('endpoints:write'), (req, res) => {
+    try {
+        const { owner, environment, criticality, tags } = req.body;
+
+        if (owner !== undefined && owner !== null && (typeof owner !== 'string' || owner.length > MAX_OWNER_LENGTH)) {
+            return res.status(400).json({ error: `owner must be a string of at most ${MAX_OWNER_LENGTH} characters or null` });
+        }
+        if (environment !== undefined && environment !== null && !ENVIRONMENTS.includes(environment)) {
+            return res.status(400).json({ error: `environment must be one of: ${ENVIRONMENTS.join(', ')}` });
+        }
+        if (criticality !== undefined && criticality !== null && !CRITICALITIES.includes(criticality)) {
+            return res.status(400).json({ error: `criticality must be one of: ${CRITICALITIES.join(', ')}` });
+        }
+        if (tags !== undefined && tags !== null && (!Array.isArray(tags) || tags.length > MAX_TAGS || !tags.every(tag => typeof tag === 'string' && TAG_REGEX.test(tag)))) {
+            return res.status(400).json({ error: `tags must be an array of at most ${MAX_TAGS} tags of letters, digits and . _ : -` });
+        }
+
+        const result = endpointOps.updateAsset(req.params.id, {
+            owner: owner === undefined || owner === null ? owner : owner.trim() || null,
+            environment,
+            criticality,
+            tags: Array.isArray(tags) ? [...new Set(tags)] : tags
+        });
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Endpoint not found' });
+        }
+
+        console.log(`[ENDPOINTS] Asset record of ${req.params.id} updated by ${req.user.username}`);
+        res.json(endpointOps.getById(req.params.id));
+    } catch (err) {
+        console.error('[ENDPOINTS] Error updating endpoint asset record:', err);
+        res.status(500).json({ error: 'Failed to update endpoint' });
+    }
+});
+
 // PATCH /api/endpoints/:id/status - Update endpoint status
-router.patch('/:id/status', (req, res) => {
+router.patch('/:id/status', requireAuth('user'), requirePermission('endpoints:write'), (req, res) => {
     try {
         const { status } = req.body;
 
@@ -87,4 +167,20 @@ router.patch('/:id/status', (req, res) => {
     }
 });
 
+// POST /api/endpoints/:id/revoke - Revoke the endpoint's credentials; its agent must enroll again
+router.post('/:id/revoke', requireAuth('user'), requirePermission('endpoints:write'), (req, res) => {
+    try {
+        if (!endpointOps.getById(req.params.id)) {
+            return res.status(404).json({ error: 'Endpoint not found' });
+        }
+
+        const revoked = revokeEndpointCredentials(req.params.id);
+        console.log(`[ENDPOINTS] Revoked ${revoked} credentials for ${req.params.id} by ${req.user.username}`);
+        res.json({ success: true, revoked });
+    } catch (err) {
+        console.error('[ENDPOINTS] Error revoking endpoint credentials:', err);
+        res.status(500).json({ error: 'Failed to revoke endpoint credentials' });
+    }
+});
+
 module.exports = router;
@@ -1,20 +1,31 @@
 const express = require('express');
 const router = express.Router();
 const { eventOps } = require('../database/init');
+const { QuerySyntaxError } = require('../database/search');
+
+// Filters shared by the list and aggregate endpoints
+function parseFilters(query) {
+    const filters = {};
+
+    if (query.severity) filters.severity = query.severity;
+    if (query.type) filters.event_type = query.type;
+    if (query.endpoint) filters.endpoint_id = query.endpoint;
+    if (query.source) filters.source = query.source;
+    if (query.since) filters.since = query.since;
+    if (query.until) filters.until = query.until;
+    if (query.q) filters.query = query.q;
+    if (query.search) filters.search = query.search;
+
+    return filters;
+}
 
 // GET /api/events - List events with pagination and filters
 router.get('/', (req, res) => {
     try {
         const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
         const offset = parseInt(req.query.offset) || 0;
-        const filters = {};
-
-        if (req.query.severity) filters.severity = req.query.severity;
-        if (req.query.type) filters.event_type = req.query.type;
-        if (req.query.endpoint) filters.endpoint_id = req.query.endpoint;
-        if (req.query.source) filters.source = req.query.source;
-        if (req.query.since) filters.since = req.query.since;
-        if (req.query.search) filters.search = req.query.search;
+        const filters = parseFilters(req.query);
+        if (req.query.sort) filters.sort = req.query.sort;
 
         const events = eventOps.getRecent(limit, offset, filters);
         res.json({
@@ -26,11 +37,61 @@ router.get('/', (req, res) => {
             }
         });
     } catch (err) {
+        if (err instanceof QuerySyntaxError) {
+            return res.status(400).json({ error: err.message, position: err.position });
+        }
         console.error('[EVENTS] Error fetching events:', err);
         res.status(500).json({ error: 'Failed to fetch events' });
     }
 });
 
+// Named histogram intervals; anything else must look like 30s, 5m, 1h or 1d
+const INTERVALS = { minute: 60, hour: 3600, day: 86400 };
+const INTERVAL_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+function parseInterval(value) {
+    if (Object.prototype.hasOwnProperty.call(INTERVALS, value)) return INTERVALS[value];
+    const match = String(value).match(/^(\d+)([smhd])$/);
+    if (!match || parseInt(match[1], 10) === 0) return null;
+    return parseInt(match[1], 10) * INTERVAL_UNITS[match[2]];
+}
+
+// GET /api/events/aggregate - Grouped counts and time histograms
+router.get('/aggregate', (req, res) => {
+    try {
+        const groupBy = req.query.group_by
+            ? String(req.query.group_by).split(',').map(f => f.trim()).filter(Boolean)
+            : [];
+        let interval = null;
+
+        if (req.query.interval) {
+            interval = parseInterval(req.query.interval);
+            if (!interval) {
+                return res.status(400).json({ error: 'interval must be minute, hour, day or a duration like 5m, 1h' });
+            }
+        }
+        if (groupBy.length === 0 && !interval) {
+            return res.status(400).json({ error: 'group_by or interval is required' });
+        }
+
+        const size = Math.min(parseInt(req.query.size) || 10, 100);
+        const filters = parseFilters(req.query);
+
+        const result = eventOps.aggregate({ groupBy, interval, size }, filters);
+        res.json({
+            group_by: groupBy,
+            interval: interval ? { seconds: interval } : null,
+            ...result
+        });
+    } catch (err) {
+        if (err instanceof QuerySyntaxError) {
+            return res.status(400).json({ error: err.message, position: err.position });
+        }
+        console.error('[EVENTS] Error aggregating events:', err);
+        res.status(500).json({ error: 'Failed to aggregate events' });
+    }
+});
+
 // GET /api/events/stats - Event statistics
 router.get('/stats', (req, res) => {
     try {
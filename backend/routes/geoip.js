@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const net = require('net');
+const { getGeoipStatus, lookupIp, reloadGeoip } = require('../services/geoipService');
+const { requirePermission } = require('../middleware/auth');
+
+// GET /api/geoip - Configured databases and whether they are loaded
+router.get('/', (req, res) => {
+    try {
+        res.json(getGeoipStatus());
+    } catch (err) {
+        console.error('[GEOIP] Error fetching status:', err);
+        res.status(500).json({ error: 'Failed to fetch GeoIP status' });
+    }
+});
+
+// GET /api/geoip/lookup/:ip - Geo and ASN data for an IP address
+router.get('/lookup/:ip', (req, res) => {
+    try {
+        const ip = req.params.ip;
+        if (!net.isIP(ip)) {
+            return res.status(400).json({ error: 'Invalid IP address' });
+        }
+        res.json({ ip, geo: lookupIp(ip) });
+    } catch (err) {
+        console.error('[GEOIP] Error looking up IP:', err);
+        res.status(500).json({ error: 'Failed to look up IP address' });
+    }
+});
+
+// POST /api/geoip/reload - Load the database files again without a restart
+router.post('/reload', requirePermission('parsers:write'), (req, res) => {
+    try {
+        const status = reloadGeoip();
+        console.log(`[GEOIP] Databases reloaded by ${req.user.username}`);
+        res.json({ success: true, ...status });
+    } catch (err) {
+        console.error('[GEOIP] Error reloading databases:', err);
+        res.status(500).json({ error: 'Failed to reload GeoIP databases' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,292 @@
+const express = require('express');
+const router = express.Router();
+const { indicatorOps } = require('../database/init');
+const {
+    INDICATOR_TYPES,
+    IMPORT_FORMATS,
+    IndicatorFormatError,
+    parseImport,
+    importIndicators,
+    invalidateIndicators,
+    retroHunt
+} = require('../services/indicatorService');
+const { broadcast } = require('../services/websocketService');
+const { requirePermission } = require('../middleware/auth');
+
+const RETRO_HUNT_DAYS = parseInt(process.env.IOC_RETRO_HUNT_DAYS) || 7;
+const MAX_RETRO_HUNT_DAYS = 90;
+const MAX_IMPORT = 100000;
+const MAX_SKIPPED_LISTED = 100;
+const SOURCE_REGEX = /^[\w .:/@-]{1,128}$/;
+
+function parseFilters(query) {
+    const filters = {};
+    if (INDICATOR_TYPES.includes(query.type)) filters.type = query.type;
+    if (typeof query.source === 'string' && query.source) filters.source = query.source;
+    if (typeof query.search === 'string' && query.search) filters.search = query.search;
+    if (query.active === 'true') filters.active = true;
+    if (query.active === 'false') filters.active = false;
+    return filters;
+}
+
+// Check the import options present in the body; returns an error message or null
+function validateOptions(body) {
+    const { source, confidence, expires_in_days, retro_hunt_days } = body;
+
+    if (source !== undefined && (typeof source !== 'string' || !SOURCE_REGEX.test(source))) {
+        return 'source must be 1-128 letters, digits, spaces or . _ : / @ -';
+    }
+    if (confidence !== undefined && (!Number.isInteger(confidence) || confidence < 0 || confidence > 100)) {
+        return 'confidence must be an integer from 0 to 100';
+    }
+    if (expires_in_days !== undefined && (typeof expires_in_days !== 'number' || !(expires_in_days > 0))) {
+        return 'expires_in_days must be a positive number';
+    }
+    if (retro_hunt_days !== undefined && (!Number.isInteger(retro_hunt_days) || retro_hunt_days < 0 || retro_hunt_days > MAX_RETRO_HUNT_DAYS)) {
+        return `retro_hunt_days must be an integer from 0 to ${MAX_RETRO_HUNT_DAYS}`;
+    }
+    return null;
+}
+
+// Store parsed items, retro-hunt them and build the response body
+function storeAndHunt(req, items, skippedEarlier) {
+    const { source, confidence, expires_in_days } = req.body;
+    const days = req.body.retro_hunt_days ?? RETRO_HUNT_DAYS;
+
+    const { ids, skipped } = importIndicators(items, { source, confidence, expires_in_days, created_by: req.user.username });
+    const allSkipped = [...skippedEarlier, ...skipped];
+    const hunt = retroHunt(ids, days);
+
+    if (hunt.alerts.length > 0) {
+        broadcast('alerts', { type: 'new_alerts', count: hunt.alerts.length, alerts: hunt.alerts });
+    }
+
+    console.log(`[INDICATORS] ${ids.length} indicators imported${source ? ` from ${source}` : ''} by ${req.user.username}, ${allSkipped.length} skipped; retro-hunt over ${hunt.days} days: ${hunt.matched_events} events, alerts: ${hunt.alerts.length}`);
+    return {
+        success: true,
+        imported: ids.length,
+        skipped: allSkipped.length,
+        skipped_values: allSkipped.slice(0, MAX_SKIPPED_LISTED),
+        retro_hunt: {
+            days: hunt.days,
+            scanned: hunt.scanned,
+            matched_events: hunt.matched_events,
+            alerts: hunt.alerts.length
+        }
+    };
+}
+
+// GET /api/indicators - List indicators, most recently updated first
+router.get('/', (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+        const offset = parseInt(req.query.offset) || 0;
+        const filters = parseFilters(req.query);
+
+        const indicators = indicatorOps.getAll(filters, limit, offset);
+        res.json({
+            indicators,
+            total: indicatorOps.count(filters),
+            by_type: indicatorOps.countByType(),
+            pagination: {
+                limit,
+                offset,
+                count: indicators.length
+            }
+        });
+    } catch (err) {
+        console.error('[INDICATORS] Error fetching indicators:', err);
+        res.status(500).json({ error: 'Failed to fetch indicators' });
+    }
+});
+
+// GET /api/indicators/:id - Get a single indicator
+router.get('/:id', (req, res) => {
+    try {
+        const indicator = indicatorOps.getById(req.params.id);
+        if (!indicator) {
+            return res.status(404).json({ error: 'Indicator not found' });
+        }
+        res.json(indicator);
+    } catch (err) {
+        console.error('[INDICATORS] Error fetching indicator:', err);
+        res.status(500).json({ error: 'Failed to fetch indicator' });
+    }
+});
+
+// POST /api/indicators - Add indicators given as JSON.
+// Body: { indicators: ["198.51.100.7", { type, value, confidence, description, expires_at }], source, ... }
+router.post('/', requirePermission('indicators:write'), (req, res) => {
+    try {
+        const { indicators } = req.body;
+
+        if (!Array.isArray(indicators) || indicators.length === 0 || indicators.length > MAX_IMPORT) {
+            return res.status(400).json({ error: `indicators must be a non-empty array of at most ${MAX_IMPORT} entries` });
+        }
+        const invalid = validateOptions(req.body);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const items = indicators.map(item => (item !== null && typeof item === 'object' ? item : { value: item }));
+        res.status(201).json(storeAndHunt(req, items, []));
+    } catch (err) {
+        console.error('[INDICATORS] Error adding indicators:', err);
+        res.status(500).json({ error: 'Failed to add indicators' });
+    }
+});
+
+// POST /api/indicators/import - Import a feed.
+// Body: { format: stix|csv|list, content, type (list/csv default), source, confidence, expires_in_days, retro_hunt_days }
+router.post('/import', requirePermission('indicators:write'), (req, res) => {
+    try {
+        const { format, content, type } = req.body;
+
+        if (!IMPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `format must be one of: ${IMPORT_FORMATS.join(', ')}` });
+        }
+        if (content === undefined || content === null || content === '') {
+            return res.status(400).json({ error: 'content is required' });
+        }
+        if (type !== undefined && !INDICATOR_TYPES.includes(type)) {
+            return res.status(400).json({ error: `type must be one of: ${INDICATOR_TYPES.join(', ')}` });
+        }
+        const invalid = validateOptions(req.body);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        let parsed;
+        try {
+            parsed = parseImport(format, content, type);
+        } catch (parseErr) {
+            if (parseErr instanceof IndicatorFormatError) {
+                return res.status(400).json({ error: parseErr.message });
+            }
+            throw parseErr;
+        }
+        if (parsed.items.length > MAX_IMPORT) {
+            return res.status(400).json({ error: `At most ${MAX_IMPORT} indicators can be imported at once` });
+        }
+
+        res.status(201).json(storeAndHunt(req, parsed.items, parsed.skipped));
+    } catch (err) {
+        console.error('[INDICATORS] Error importing indicators:', err);
+        res.status(500).json({ error: 'Failed to import indicators' });
+    }
+});
+
+// POST /api/indicators/retro-hunt - Check indicators against recent events again.
+// Body: { ids: [...] } or { source } (all active indicators of a feed), and days
+router.post('/retro-hunt', requirePermission('indicators:write'), (req, res) => {
+    try {
+        const { ids, source } = req.body;
+        const days = req.body.days ?? RETRO_HUNT_DAYS;
+
+        if (!Number.isInteger(days) || days < 1 || days > MAX_RETRO_HUNT_DAYS) {
+            return res.status(400).json({ error: `days must be an integer from 1 to ${MAX_RETRO_HUNT_DAYS}` });
+        }
+        let indicatorIds;
+        if (ids !== undefined) {
+            if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_IMPORT || !ids.every(id => typeof id === 'string')) {
+                return res.status(400).json({ error: `ids must be a non-empty array of at most ${MAX_IMPORT} ids` });
+            }
+            indicatorIds = ids;
+        } else if (typeof source === 'string' && source) {
+            indicatorIds = indicatorOps.getAll({ source, active: true }, MAX_IMPORT, 0).map(i => i.id);
+        } else {
+            return res.status(400).json({ error: 'ids or source is required' });
+        }
+
+        const hunt = retroHunt(indicatorIds, days);
+        if (hunt.alerts.length > 0) {
+            broadcast('alerts', { type: 'new_alerts', count: hunt.alerts.length, alerts: hunt.alerts });
+        }
+
+        console.log(`[INDICATORS] Retro-hunt of ${indicatorIds.length} indicators over ${days} days by ${req.user.username}: ${hunt.matched_events} events, alerts: ${hunt.alerts.length}`);
+        res.json({
+            success: true,
+            indicators: indicatorIds.length,
+            days: hunt.days,
+            scanned: hunt.scanned,
+            matched_events: hunt.matched_events,
+            alerts: hunt.alerts.length
+        });
+    } catch (err) {
+        console.error('[INDICATORS] Error running retro-hunt:', err);
+        res.status(500).json({ error: 'Failed to run retro-hunt' });
+    }
+});
+
+// PATCH /api/indicators/:id - Change confidence, description or expiry (null never expires)
+router.patch('/:id', requirePermission('indicators:write'), (req, res) => {
+    try {
+        const { confidence, description, expires_at } = req.body;
+
+        if (confidence !== undefined && (!Number.isInteger(confidence) || confidence < 0 || confidence > 100)) {
+            return res.status(400).json({ error: 'confidence must be an integer from 0 to 100' });
+        }
+        if (description !== undefined && typeof description !== 'string') {
+            return res.status(400).json({ error: 'description must be a string' });
+        }
+        let expiresAt = expires_at;
+        if (expires_at !== undefined && expires_at !== null) {
+            const date = new Date(expires_at);
+            if (typeof expires_at !== 'string' || isNaN(date.getTime())) {
+                return res.status(400).json({ error: 'expires_at must be an ISO 8601 timestamp or null' });
+            }
+            expiresAt = date.toISOString();
+        }
+
+        const result = indicatorOps.update(req.params.id, { confidence, description, expires_at: expiresAt });
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Indicator not found' });
+        }
+        invalidateIndicators();
+
+        console.log(`[INDICATORS] Indicator ${req.params.id} updated by ${req.user.username}`);
+        res.json(indicatorOps.getById(req.params.id));
+    } catch (err) {
+        console.error('[INDICATORS] Error updating indicator:', err);
+        res.status(500).json({ error: 'Failed to update indicator' });
+    }
+});
+
+// DELETE /api/indicators/:id - Remove an indicator
+router.delete('/:id', requirePermission('indicators:write'), (req, res) => {
+    try {
+        const result = indicatorOps.delete(req.params.id);
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Indicator not found' });
+        }
+        invalidateIndicators();
+
+        console.log(`[INDICATORS] Indicator ${req.params.id} deleted by ${req.user.username}`);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('[INDICATORS] Error deleting indicator:', err);
+        res.status(500).json({ error: 'Failed to delete indicator' });
+    }
+});
+
+// DELETE /api/indicators?source=&type=&active=false - Remove every indicator matching the filters,
+// e.g. a whole feed or everything expired. At least one filter is required.
+router.delete('/', requirePermission('indicators:write'), (req, res) => {
+    try {
+        const filters = parseFilters(req.query);
+        if (Object.keys(filters).length === 0) {
+            return res.status(400).json({ error: 'At least one of source, type, search or active is required' });
+        }
+
+        const deleted = indicatorOps.deleteMatching(filters);
+        invalidateIndicators();
+
+        console.log(`[INDICATORS] ${deleted} indicators deleted by ${req.user.username}`);
+        res.json({ success: true, deleted });
+    } catch (err) {
+        console.error('[INDICATORS] Error deleting indicators:', err);
+        res.status(500).json({ error: 'Failed to delete indicators' });
+    }
+});
+
+module.exports = router;
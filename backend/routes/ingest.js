@@ -2,23 +2,16 @@ const express = require('express');
 const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const { eventOps, endpointOps } = require('../database/init');
+const { requireAuth, requirePermission, canActAsEndpoint } = require('../middleware/auth');
 const { processEvent } = require('../services/detectionEngine');
 const { broadcast } = require('../services/websocketService');
-const syslogParser = require('../parsers/syslogParser');
-const authLogParser = require('../parsers/authLogParser');
-const windowsEventParser = require('../parsers/windowsEventParser');
-
-// Parser selection based on source
-const PARSERS = {
-    syslog: syslogParser,
-    auth: authLogParser,
-    windows: windowsEventParser
-};
+const { getParser, enrichEvent, ingestEvents, quarantine } = require('../services/ingestPipeline');
 
 // POST /api/ingest/batch - Receive batch of events from agents
-router.post('/batch', async (req, res) => {
+router.post('/batch', requireAuth('user', 'agent'), requirePermission('endpoints:write'), async (req, res) => {
     try {
-        const { endpoint_id, source, events: rawEvents } = req.body;
+        const { source, events: rawEvents } = req.body;
+        const endpoint_id = req.body.endpoint_id || req.apiKey?.endpoint_id;
 
         if (!endpoint_id || !source || !Array.isArray(rawEvents)) {
             return res.status(400).json({
@@ -26,77 +19,28 @@ router.post('/batch', async (req, res) => {
             });
         }
 
-        const parser = PARSERS[source] || syslogParser;
+        if (!canActAsEndpoint(req, endpoint_id)) {
+            return res.status(403).json({ error: 'API key is not bound to this endpoint' });
+        }
+
         const endpoint = endpointOps.getById(endpoint_id);
 
         if (!endpoint) {
             return res.status(404).json({ error: 'Endpoint not registered' });
         }
-
-        // Update endpoint last seen
-        endpointOps.heartbeat(endpoint_id);
-
-        // Parse and process events
-        const parsedEvents = [];
-        const alerts = [];
-
-        for (const rawEvent of rawEvents) {
-            try {
-                // Parse the raw log
-                const parsed = parser.parse(rawEvent.log || rawEvent, {
-                    hostname: endpoint.hostname,
-                    ip_address: endpoint.ip_address
-                });
-
-                // Assign ID and endpoint info
-                const event = {
-                    id: uuidv4(),
-                    ...parsed,
-                    endpoint_id,
-                    hostname: parsed.hostname || endpoint.hostname,
-                    ip_address: parsed.ip_address || endpoint.ip_address,
-                    timestamp: rawEvent.timestamp || parsed.timestamp
-                };
-
-                parsedEvents.push(event);
-
-                // Run through detection engine
-                const detectionResult = processEvent(event);
-                if (detectionResult.alerts.length > 0) {
-                    alerts.push(...detectionResult.alerts);
-                }
-            } catch (parseErr) {
-                console.error('[INGEST] Parse error:', parseErr.message);
-            }
+        if (endpoint.credentials_revoked_at) {
+            return res.status(403).json({ error: 'Endpoint credentials were revoked; enroll the agent again' });
         }
 
-        // Batch insert events
-        if (parsedEvents.length > 0) {
-            eventOps.insertBatch(parsedEvents);
-
-            // Broadcast new events to WebSocket clients
-            broadcast('events', {
-                type: 'new_events',
-                count: parsedEvents.length,
-                events: parsedEvents.slice(0, 10) // Send first 10 for UI update
-            });
-        }
+        const { events: parsedEvents, alerts, failures } = ingestEvents(endpoint, source, rawEvents);
 
-        // Broadcast alerts
-        if (alerts.length > 0) {
-            broadcast('alerts', {
-                type: 'new_alerts',
-                count: alerts.length,
-                alerts
-            });
-        }
-
-        console.log(`[INGEST] Received ${rawEvents.length} events from ${endpoint.hostname}, parsed ${parsedEvents.length}, alerts: ${alerts.length}`);
+        console.log(`[INGEST] Received ${rawEvents.length} events from ${endpoint.hostname}, parsed ${parsedEvents.length}, failed: ${failures.length}, alerts: ${alerts.length}`);
 
         res.json({
             success: true,
             received: rawEvents.length,
             processed: parsedEvents.length,
+            failed: failures.length,
             alerts: alerts.length
         });
     } catch (err) {
@@ -106,21 +50,42 @@ router.post('/batch', async (req, res) => {
 });
 
 // POST /api/ingest/single - Receive single event (for testing)
-router.post('/single', (req, res) => {
+router.post('/single', requireAuth('user', 'agent'), requirePermission('events:generate'), (req, res) => {
     try {
-        const { endpoint_id, source, log, timestamp } = req.body;
+        const { source, log, timestamp } = req.body;
+        const endpoint_id = req.body.endpoint_id || req.apiKey?.endpoint_id;
 
         if (!log) {
             return res.status(400).json({ error: 'log is required' });
         }
+        if (!canActAsEndpoint(req, endpoint_id)) {
+            return res.status(403).json({ error: 'API key is not bound to this endpoint' });
+        }
 
-        const parser = PARSERS[source] || syslogParser;
         const endpoint = endpoint_id ? endpointOps.getById(endpoint_id) : null;
+        if (endpoint && endpoint.credentials_revoked_at) {
+            return res.status(403).json({ error: 'Endpoint credentials were revoked; enroll the agent again' });
+        }
 
-        const parsed = parser.parse(log, {
-            hostname: endpoint?.hostname || 'test',
-            ip_address: endpoint?.ip_address
-        });
+        const parser = getParser(source);
+
+        let parsed;
+        try {
+            parsed = parser.parse(log, {
+                hostname: endpoint?.hostname || 'test',
+                ip_address: endpoint?.ip_address
+            });
+        } catch (parseErr) {
+            console.error('[INGEST] Parse error:', parseErr.message);
+            // Only logs of a registered endpoint can be replayed, so only those are kept
+            const [deadLetterId] = endpoint
+                ? quarantine(endpoint.id, source || 'syslog', [{ rawEvent: { log, timestamp }, error: parseErr.message }])
+                : [];
+            return res.status(422).json({
+                error: `Failed to parse log: ${parseErr.message}`,
+                dead_letter_id: deadLetterId || null
+            });
+        }
 
         const event = {
             id: uuidv4(),
@@ -129,6 +94,7 @@ router.post('/single', (req, res) => {
             hostname: parsed.hostname || endpoint?.hostname || 'test',
             timestamp: timestamp || parsed.timestamp
         };
+        enrichEvent(event, endpoint);
 
         eventOps.insert(event);
 
@@ -154,19 +120,28 @@ router.post('/single', (req, res) => {
 });
 
 // POST /api/ingest/heartbeat - Agent heartbeat
-router.post('/heartbeat', (req, res) => {
+router.post('/heartbeat', requireAuth('user', 'agent'), requirePermission('endpoints:write'), (req, res) => {
     try {
-        const { endpoint_id, stats } = req.body;
+        const { stats } = req.body;
+        const endpoint_id = req.body.endpoint_id || req.apiKey?.endpoint_id;
 
         if (!endpoint_id) {
             return res.status(400).json({ error: 'endpoint_id is required' });
         }
+        if (!canActAsEndpoint(req, endpoint_id)) {
+            return res.status(403).json({ error: 'API key is not bound to this endpoint' });
+        }
 
-        const result = endpointOps.heartbeat(endpoint_id);
+        const endpoint = endpointOps.getById(endpoint_id);
 
-        if (result.changes === 0) {
+        if (!endpoint) {
             return res.status(404).json({ error: 'Endpoint not registered' });
         }
+        if (endpoint.credentials_revoked_at) {
+            return res.status(403).json({ error: 'Endpoint credentials were revoked; enroll the agent again' });
+        }
+
+        endpointOps.heartbeat(endpoint_id);
 
         // Broadcast endpoint status update
         broadcast('endpoints', {
@@ -183,7 +158,7 @@ router.post('/heartbeat', (req, res) => {
 });
 
 // POST /api/ingest/test - Generate test events
-router.post('/test', (req, res) => {
+router.post('/test', requireAuth('user'), requirePermission('events:generate'), (req, res) => {
     try {
         const testEvents = [
             { source: 'syslog', log: '<13>Jan 18 10:30:45 web-server-01 sshd[1234]: Failed password for root from 192.168.1.100 port 22 ssh2' },
@@ -199,12 +174,13 @@ router.post('/test', (req, res) => {
         const alerts = [];
 
         for (const { source, log } of testEvents) {
-            const parser = PARSERS[source] || syslogParser;
+            const parser = getParser(source);
             const parsed = parser.parse(log, { hostname: 'test-server' });
             const event = {
                 id: uuidv4(),
                 ...parsed
             };
+            enrichEvent(event);
             eventOps.insert(event);
             parsedEvents.push(event);
 
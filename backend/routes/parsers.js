@@ -0,0 +1,220 @@
+const express = require('express');
+const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
+const { customParserOps } = require('../database/init');
+const { BUILTIN_PATTERNS, testParser } = require('../parsers/grokParser');
+const { invalidateCustomParsers } = require('../services/customParserService');
+const { requirePermission } = require('../middleware/auth');
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+const NAME_REGEX = /^[a-z0-9][a-z0-9_.-]{0,63}$/i;
+const PATTERN_NAME_REGEX = /^[A-Za-z0-9_]+$/;
+const MAX_SAMPLES = 100;
+
+// Check the parts of a definition present in the body; returns an error message or null
+function validateDefinition(body) {
+    const { patterns, pattern_definitions, event_type, severity, enabled, samples } = body;
+
+    if (patterns !== undefined) {
+        if (!Array.isArray(patterns) || patterns.length === 0 || !patterns.every(p => typeof p === 'string' && p)) {
+            return 'patterns must be a non-empty array of strings';
+        }
+    }
+    if (pattern_definitions !== undefined) {
+        if (!pattern_definitions || typeof pattern_definitions !== 'object' || Array.isArray(pattern_definitions)) {
+            return 'pattern_definitions must be an object of NAME: pattern';
+        }
+        for (const [name, value] of Object.entries(pattern_definitions)) {
+            if (!PATTERN_NAME_REGEX.test(name) || typeof value !== 'string') {
+                return `Invalid pattern definition: ${name}`;
+            }
+        }
+    }
+    if (event_type !== undefined && (typeof event_type !== 'string' || !event_type)) {
+        return 'event_type must be a non-empty string';
+    }
+    if (severity !== undefined && !SEVERITIES.includes(severity)) {
+        return 'Invalid severity. Must be: info, warning, or critical';
+    }
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        return 'enabled must be a boolean';
+    }
+    if (samples !== undefined) {
+        if (!Array.isArray(samples) || samples.length > MAX_SAMPLES || !samples.every(s => typeof s === 'string')) {
+            return `samples must be an array of at most ${MAX_SAMPLES} strings`;
+        }
+    }
+    return null;
+}
+
+// Compile the definition and run the samples through it.
+// Returns { error } when a pattern does not compile, otherwise { results, matched }.
+function runSamples(definition, samples = []) {
+    try {
+        const results = testParser(definition, samples);
+        return { results, matched: results.filter(r => r.matched).length };
+    } catch (err) {
+        return { error: err.message };
+    }
+}
+
+// GET /api/parsers - List custom parsers
+router.get('/', (req, res) => {
+    try {
+        const parsers = customParserOps.getAll();
+        res.json({
+            parsers,
+            count: parsers.length
+        });
+    } catch (err) {
+        console.error('[PARSERS] Error fetching parsers:', err);
+        res.status(500).json({ error: 'Failed to fetch parsers' });
+    }
+});
+
+// GET /api/parsers/patterns - Built-in sub-patterns usable as %{NAME}
+router.get('/patterns', (req, res) => {
+    res.json({ patterns: BUILTIN_PATTERNS });
+});
+
+// POST /api/parsers/test - Try patterns against sample lines without saving
+router.post('/test', requirePermission('parsers:write'), (req, res) => {
+    try {
+        const { patterns, pattern_definitions, event_type, severity, samples } = req.body;
+
+        if (patterns === undefined || samples === undefined) {
+            return res.status(400).json({ error: 'patterns and samples are required' });
+        }
+        const invalid = validateDefinition(req.body);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const test = runSamples({ name: 'test', patterns, pattern_definitions, event_type, severity }, samples);
+        if (test.error) {
+            return res.status(400).json({ error: test.error });
+        }
+        res.json({ ...test, total: samples.length });
+    } catch (err) {
+        console.error('[PARSERS] Error testing patterns:', err);
+        res.status(500).json({ error: 'Failed to test patterns' });
+    }
+});
+
+// GET /api/parsers/:id - Get a single parser
+router.get('/:id', (req, res) => {
+    try {
+        const parser = customParserOps.getById(req.params.id);
+        if (!parser) {
+            return res.status(404).json({ error: 'Parser not found' });
+        }
+        res.json(parser);
+    } catch (err) {
+        console.error('[PARSERS] Error fetching parser:', err);
+        res.status(500).json({ error: 'Failed to fetch parser' });
+    }
+});
+
+// POST /api/parsers - Create a parser; when samples are given, every one must match
+router.post('/', requirePermission('parsers:write'), (req, res) => {
+    try {
+        const { name, description, patterns, pattern_definitions, event_type, severity, enabled, samples } = req.body;
+
+        if (!name || !NAME_REGEX.test(name)) {
+            return res.status(400).json({ error: 'name must be 1-64 letters, digits, ".", "_" or "-"' });
+        }
+        if (patterns === undefined) {
+            return res.status(400).json({ error: 'patterns is required' });
+        }
+        const invalid = validateDefinition(req.body);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const definition = { name, patterns, pattern_definitions, event_type, severity };
+        const test = runSamples(definition, samples);
+        if (test.error) {
+            return res.status(400).json({ error: test.error });
+        }
+        if (test.matched < test.results.length) {
+            return res.status(400).json({ error: 'Not every sample matched the patterns', results: test.results });
+        }
+
+        const id = uuidv4();
+        try {
+            customParserOps.insert({ id, ...definition, description, enabled, created_by: req.user.username });
+        } catch (insertErr) {
+            if (insertErr.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+                return res.status(409).json({ error: 'A parser with this name already exists' });
+            }
+            throw insertErr;
+        }
+        invalidateCustomParsers();
+
+        console.log(`[PARSERS] Parser created: ${name} by ${req.user.username}`);
+        res.status(201).json(customParserOps.getById(id));
+    } catch (err) {
+        console.error('[PARSERS] Error creating parser:', err);
+        res.status(500).json({ error: 'Failed to create parser' });
+    }
+});
+
+// PATCH /api/parsers/:id - Change patterns, defaults, description or enabled flag
+router.patch('/:id', requirePermission('parsers:write'), (req, res) => {
+    try {
+        const invalid = validateDefinition(req.body);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const existing = customParserOps.getById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Parser not found' });
+        }
+
+        const { description, patterns, pattern_definitions, event_type, severity, enabled, samples } = req.body;
+        const test = runSamples({
+            ...existing,
+            patterns: patterns || existing.patterns,
+            pattern_definitions: pattern_definitions || existing.pattern_definitions,
+            event_type: event_type || existing.event_type,
+            severity: severity || existing.severity
+        }, samples);
+        if (test.error) {
+            return res.status(400).json({ error: test.error });
+        }
+        if (test.matched < test.results.length) {
+            return res.status(400).json({ error: 'Not every sample matched the patterns', results: test.results });
+        }
+
+        customParserOps.update(req.params.id, { description, patterns, pattern_definitions, event_type, severity, enabled });
+        invalidateCustomParsers();
+
+        console.log(`[PARSERS] Parser updated: ${existing.name} by ${req.user.username}`);
+        res.json(customParserOps.getById(req.params.id));
+    } catch (err) {
+        console.error('[PARSERS] Error updating parser:', err);
+        res.status(500).json({ error: 'Failed to update parser' });
+    }
+});
+
+// DELETE /api/parsers/:id - Remove a parser; its source falls back to the built-in parsers
+router.delete('/:id', requirePermission('parsers:write'), (req, res) => {
+    try {
+        const existing = customParserOps.getById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Parser not found' });
+        }
+
+        customParserOps.delete(req.params.id);
+        invalidateCustomParsers();
+
+        console.log(`[PARSERS] Parser deleted: ${existing.name} by ${req.user.username}`);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('[PARSERS] Error deleting parser:', err);
+        res.status(500).json({ error: 'Failed to delete parser' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,125 @@
+const express = require('express');
+const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
+const { retentionOps } = require('../database/init');
+const { pruneEvents } = require('../services/retentionService');
+const { requirePermission } = require('../middleware/auth');
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+function validRetentionDays(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+// GET /api/retention/policies - List retention policies
+router.get('/policies', (req, res) => {
+    try {
+        const policies = retentionOps.getAll();
+        res.json({
+            policies,
+            count: policies.length
+        });
+    } catch (err) {
+        console.error('[RETENTION] Error fetching policies:', err);
+        res.status(500).json({ error: 'Failed to fetch retention policies' });
+    }
+});
+
+// POST /api/retention/policies - Create a policy
+router.post('/policies', requirePermission('retention:write'), (req, res) => {
+    try {
+        const { source, severity, retention_days, enabled, description } = req.body;
+
+        if (!validRetentionDays(retention_days)) {
+            return res.status(400).json({ error: 'retention_days must be a positive integer' });
+        }
+        if (severity && !SEVERITIES.includes(severity)) {
+            return res.status(400).json({ error: 'Invalid severity. Must be: info, warning, or critical' });
+        }
+
+        const id = uuidv4();
+        try {
+            retentionOps.insert({ id, source, severity, retention_days, enabled, description });
+        } catch (insertErr) {
+            if (insertErr.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+                return res.status(409).json({ error: 'A policy for this source and severity already exists' });
+            }
+            throw insertErr;
+        }
+
+        console.log(`[RETENTION] Policy created: ${source || '*'}/${severity || '*'} = ${retention_days} days`);
+        res.status(201).json(retentionOps.getById(id));
+    } catch (err) {
+        console.error('[RETENTION] Error creating policy:', err);
+        res.status(500).json({ error: 'Failed to create retention policy' });
+    }
+});
+
+// PATCH /api/retention/policies/:id - Change retention period, enabled flag or description
+router.patch('/policies/:id', requirePermission('retention:write'), (req, res) => {
+    try {
+        const { retention_days, enabled, description } = req.body;
+
+        if (retention_days !== undefined && !validRetentionDays(retention_days)) {
+            return res.status(400).json({ error: 'retention_days must be a positive integer' });
+        }
+        if (enabled !== undefined && typeof enabled !== 'boolean') {
+            return res.status(400).json({ error: 'enabled must be a boolean' });
+        }
+
+        const result = retentionOps.update(req.params.id, { retention_days, enabled, description });
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Retention policy not found' });
+        }
+
+        res.json(retentionOps.getById(req.params.id));
+    } catch (err) {
+        console.error('[RETENTION] Error updating policy:', err);
+        res.status(500).json({ error: 'Failed to update retention policy' });
+    }
+});
+
+// DELETE /api/retention/policies/:id - Remove a policy
+router.delete('/policies/:id', requirePermission('retention:write'), (req, res) => {
+    try {
+        const result = retentionOps.delete(req.params.id);
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Retention policy not found' });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        console.error('[RETENTION] Error deleting policy:', err);
+        res.status(500).json({ error: 'Failed to delete retention policy' });
+    }
+});
+
+// GET /api/retention/runs - Recent pruning runs, newest first
+router.get('/runs', (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const runs = retentionOps.getRuns(limit);
+        res.json({
+            runs,
+            last_run: runs.find(r => !r.dry_run) || null
+        });
+    } catch (err) {
+        console.error('[RETENTION] Error fetching runs:', err);
+        res.status(500).json({ error: 'Failed to fetch retention runs' });
+    }
+});
+
+// POST /api/retention/run - Prune now (dry_run reports what would be deleted)
+router.post('/run', requirePermission('retention:write'), (req, res) => {
+    try {
+        const run = pruneEvents({ dryRun: !!(req.body && req.body.dry_run) });
+        if (run.error) {
+            return res.status(500).json({ error: `Retention run failed: ${run.error}`, run });
+        }
+        res.json(run);
+    } catch (err) {
+        console.error('[RETENTION] Error running retention:', err);
+        res.status(500).json({ error: 'Failed to run retention' });
+    }
+});
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const { ruleOps } = require('../database/init');
+const { convertSigma } = require('../services/sigmaConverter');
+const { requirePermission } = require('../middleware/auth');
 
 // GET /api/rules - List all rules
 router.get('/', (req, res) => {
@@ -19,7 +21,7 @@ router.get('/', (req, res) => {
 });
 
 // POST /api/rules - Create new rule
-router.post('/', (req, res) => {
+router.post('/', requirePermission('rules:write'), (req, res) => {
     try {
         const { name, description, severity, rule_type, conditions, actions, enabled } = req.body;
 
@@ -27,8 +29,8 @@ router.post('/', (req, res) => {
             return res.status(400).json({ error: 'Name, rule_type, and conditions are required' });
         }
 
-        if (!['signature', 'threshold', 'correlation'].includes(rule_type)) {
-            return res.status(400).json({ error: 'Invalid rule_type. Must be: signature, threshold, or correlation' });
+        if (!['signature', 'threshold', 'correlation', 'ioc'].includes(rule_type)) {
+            return res.status(400).json({ error: 'Invalid rule_type. Must be: signature, threshold, correlation, or ioc' });
         }
 
         const id = uuidv4();
@@ -55,8 +57,59 @@ router.post('/', (req, res) => {
     }
 });
 
+// POST /api/rules/sigma - Import Sigma YAML rules
+router.post('/sigma', requirePermission('rules:write'), (req, res) => {
+    try {
+        const { yaml, enabled, dry_run } = req.body;
+
+        if (!yaml || typeof yaml !== 'string') {
+            return res.status(400).json({ error: 'yaml (Sigma rule text) is required' });
+        }
+
+        let results;
+        try {
+            results = convertSigma(yaml, { enabled: enabled !== false });
+        } catch (parseErr) {
+            return res.status(400).json({ error: `Invalid YAML: ${parseErr.message}` });
+        }
+
+        const imported = [];
+        const failed = [];
+
+        for (const result of results) {
+            if (!result.rule) {
+                failed.push({ title: result.title || null, error: result.error });
+                continue;
+            }
+
+            if (!dry_run) {
+                ruleOps.upsert(result.rule);
+                console.log(`[RULES] Sigma rule imported: ${result.rule.name} (${result.rule.id})`);
+            }
+
+            imported.push({
+                id: result.rule.id,
+                name: result.rule.name,
+                rule_type: result.rule.rule_type,
+                enabled: result.rule.enabled,
+                untranslated: result.untranslated,
+                ...(dry_run ? { rule: result.rule } : {})
+            });
+        }
+
+        res.status(dry_run ? 200 : 201).json({
+            imported,
+            failed,
+            dry_run: !!dry_run
+        });
+    } catch (err) {
+        console.error('[RULES] Error importing Sigma rules:', err);
+        res.status(500).json({ error: 'Failed to import Sigma rules' });
+    }
+});
+
 // PATCH /api/rules/:id - Toggle rule enabled/disabled
-router.patch('/:id', (req, res) => {
+router.patch('/:id', requirePermission('rules:write'), (req, res) => {
     try {
         const { enabled } = req.body;
 
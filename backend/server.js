@@ -5,7 +5,12 @@ const morgan = require('morgan');
 const http = require('http');
 const { initDatabase, endpointOps } = require('./database/init');
 const { initWebSocket } = require('./services/websocketService');
-const { loadDefaultRules } = require('./services/detectionEngine');
+const { loadDefaultRules, loadSigmaRules } = require('./services/detectionEngine');
+const { loadDefaultPolicies, pruneEvents } = require('./services/retentionService');
+const { ensureAdminUser } = require('./services/authService');
+const { startSyslogReceiver, stopSyslogReceiver, getSyslogStats } = require('./services/syslogReceiver');
+const { initGeoip } = require('./services/geoipService');
+const { requireAuth, requirePermission } = require('./middleware/auth');
 
 // Routes
 const eventsRouter = require('./routes/events');
@@ -13,15 +18,33 @@ const alertsRouter = require('./routes/alerts');
 const endpointsRouter = require('./routes/endpoints');
 const rulesRouter = require('./routes/rules');
 const ingestRouter = require('./routes/ingest');
+const retentionRouter = require('./routes/retention');
+const archiveRouter = require('./routes/archive');
+const authRouter = require('./routes/auth');
+const parsersRouter = require('./routes/parsers');
+const deadLettersRouter = require('./routes/deadLetters');
+const geoipRouter = require('./routes/geoip');
+const indicatorsRouter = require('./routes/indicators');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+const RETENTION_INTERVAL_MINUTES = parseInt(process.env.RETENTION_INTERVAL_MINUTES) || 60;
 
 // Initialize database
 initDatabase();
 
+// Create the initial admin account on first start
+ensureAdminUser();
+
 // Load default detection rules
 loadDefaultRules();
+loadSigmaRules();
+
+// Create default retention policies on first start
+loadDefaultPolicies();
+
+// Load the GeoIP databases used to enrich event IPs (reloaded when the files change)
+initGeoip();
 
 // Middleware
 app.use(helmet({
@@ -39,16 +62,25 @@ app.get('/health', (req, res) => {
     res.json({
         status: 'healthy',
         timestamp: new Date().toISOString(),
-        uptime: process.uptime()
+        uptime: process.uptime(),
+        syslog: getSyslogStats()
     });
 });
 
-// API Routes
-app.use('/api/events', eventsRouter);
-app.use('/api/alerts', alertsRouter);
+// API Routes. Dashboard routes require a user session whose role grants the read
+// permission; endpoints and ingest also accept agent API keys and check credentials per route.
+app.use('/api/auth', authRouter);
+app.use('/api/events', requireAuth('user'), requirePermission('events:read'), eventsRouter);
+app.use('/api/alerts', requireAuth('user'), requirePermission('alerts:read'), alertsRouter);
 app.use('/api/endpoints', endpointsRouter);
-app.use('/api/rules', rulesRouter);
+app.use('/api/rules', requireAuth('user'), requirePermission('rules:read'), rulesRouter);
 app.use('/api/ingest', ingestRouter);
+app.use('/api/retention', requireAuth('user'), requirePermission('retention:read'), retentionRouter);
+app.use('/api/archive', requireAuth('user'), requirePermission('retention:read'), archiveRouter);
+app.use('/api/parsers', requireAuth('user'), requirePermission('parsers:read'), parsersRouter);
+app.use('/api/dead-letters', requireAuth('user'), requirePermission('parsers:read'), deadLettersRouter);
+app.use('/api/geoip', requireAuth('user'), requirePermission('events:read'), geoipRouter);
+app.use('/api/indicators', requireAuth('user'), requirePermission('indicators:read'), indicatorsRouter);
 
 // Error handling
 app.use((err, req, res) => {
@@ -75,9 +107,15 @@ setInterval(() => {
     endpointOps.markStale(2); // Mark offline if no heartbeat for 2 minutes
 }, 60000);
 
+// Periodic retention pruning (archive, then delete events past their policy's retention period)
+setInterval(() => {
+    pruneEvents();
+}, RETENTION_INTERVAL_MINUTES * 60000);
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
     console.log('[SERVER] SIGTERM received, shutting down...');
+    stopSyslogReceiver();
     server.close(() => {
         console.log('[SERVER] Server closed');
         process.exit(0);
@@ -94,6 +132,7 @@ server.listen(PORT, () => {
 ║                                                           ║
 ║  Endpoints:                                               ║
 ║    GET  /health           - Health check                  ║
+║    POST /api/auth/login   - Dashboard login               ║
 ║    GET  /api/events       - List events                   ║
 ║    GET  /api/events/stats - Event statistics              ║
 ║    GET  /api/alerts       - List alerts                   ║
@@ -101,10 +140,16 @@ server.listen(PORT, () => {
 ║    GET  /api/endpoints    - List endpoints                ║
 ║    POST /api/endpoints/register - Register agent          ║
 ║    GET  /api/rules        - List rules                    ║
+║    POST /api/rules/sigma  - Import Sigma rules            ║
 ║    POST /api/ingest/batch - Receive events                ║
 ║    POST /api/ingest/heartbeat - Agent heartbeat           ║
+║    GET  /api/retention/policies - Retention policies      ║
+║    POST /api/archive/restore - Restore archived events    ║
 ╚═══════════════════════════════════════════════════════════╝
     `);
+
+    // Syslog listeners for devices that cannot run an agent
+    startSyslogReceiver();
 });
 
 module.exports = { app, server };
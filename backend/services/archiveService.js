@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { eventOps } = require('../database/init');
+
+// Archive layout: <ARCHIVE_DIR>/<YYYY-MM-DD>/part-<stamp>-<n>.ndjson.gz plus manifest.json
+// listing every part with its event count, time range and SHA-256 checksum
+const ARCHIVE_DIR = process.env.ARCHIVE_DIR || path.join(__dirname, '../archive');
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_VERSION = 1;
+
+let partCounter = 0;
+
+function manifestPath() {
+    return path.join(ARCHIVE_DIR, MANIFEST_FILE);
+}
+
+function loadManifest() {
+    if (!fs.existsSync(manifestPath())) {
+        return { version: MANIFEST_VERSION, parts: [] };
+    }
+    return JSON.parse(fs.readFileSync(manifestPath(), 'utf8'));
+}
+
+// Write to a temp file and rename so a crash never leaves a truncated manifest
+function saveManifest(manifest) {
+    fs.mkdirSync(ARCHIVE_DIR, { recursive: true });
+    const tmp = `${manifestPath()}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(manifest, null, 2));
+    fs.renameSync(tmp, manifestPath());
+}
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// UTC day an event belongs to; events with unparseable timestamps go to "unknown"
+function partitionDay(timestamp) {
+    const ms = Date.parse(timestamp);
+    return Number.isNaN(ms) ? 'unknown' : new Date(ms).toISOString().slice(0, 10);
+}
+
+// Write events to one gzip NDJSON part per day and record them in the manifest.
+// Returns the number of events archived.
+function archiveEvents(events) {
+    if (events.length === 0) return 0;
+
+    const byDay = new Map();
+    for (const event of events) {
+        const day = partitionDay(event.timestamp);
+        if (!byDay.has(day)) byDay.set(day, []);
+        byDay.get(day).push(event);
+    }
+
+    const manifest = loadManifest();
+    const stamp = new Date().toISOString().replace(/[-:.]/g, '');
+
+    for (const [day, dayEvents] of byDay) {
+        const dir = path.join(ARCHIVE_DIR, day);
+        fs.mkdirSync(dir, { recursive: true });
+
+        const file = `part-${stamp}-${++partCounter}.ndjson.gz`;
+        const ndjson = dayEvents.map(e => JSON.stringify(e)).join('\n') + '\n';
+        const data = zlib.gzipSync(ndjson);
+        fs.writeFileSync(path.join(dir, file), data);
+
+        const timestamps = dayEvents.map(e => e.timestamp).sort();
+        manifest.parts.push({
+            file: `${day}/${file}`,
+            day,
+            count: dayEvents.length,
+            first_timestamp: timestamps[0],
+            last_timestamp: timestamps[timestamps.length - 1],
+            bytes: data.length,
+            sha256: sha256(data),
+            created_at: new Date().toISOString()
+        });
+    }
+
+    saveManifest(manifest);
+    return events.length;
+}
+
+// Summarize the archive by day
+function getArchiveSummary() {
+    const manifest = loadManifest();
+    const days = new Map();
+
+    for (const part of manifest.parts) {
+        if (!days.has(part.day)) {
+            days.set(part.day, { day: part.day, parts: 0, count: 0, bytes: 0 });
+        }
+        const summary = days.get(part.day);
+        summary.parts++;
+        summary.count += part.count;
+        summary.bytes += part.bytes;
+    }
+
+    return {
+        directory: ARCHIVE_DIR,
+        parts: manifest.parts.length,
+        events: manifest.parts.reduce((sum, p) => sum + p.count, 0),
+        days: [...days.values()].sort((a, b) => a.day.localeCompare(b.day))
+    };
+}
+
+// Re-import archived events for days from..to (inclusive, YYYY-MM-DD). Parts whose
+// checksum does not match the manifest are skipped and reported as corrupt.
+function restoreEvents(from, to, { dryRun = false } = {}) {
+    const parts = loadManifest().parts.filter(p => p.day >= from && p.day <= to);
+    const result = { from, to, dry_run: dryRun, parts: parts.length, events: 0, restored: 0, corrupt: [] };
+
+    for (const part of parts) {
+        const filePath = path.join(ARCHIVE_DIR, part.file);
+        if (!fs.existsSync(filePath)) {
+            result.corrupt.push({ file: part.file, error: 'missing' });
+            continue;
+        }
+
+        const data = fs.readFileSync(filePath);
+        if (sha256(data) !== part.sha256) {
+            result.corrupt.push({ file: part.file, error: 'checksum mismatch' });
+            continue;
+        }
+
+        const events = zlib.gunzipSync(data).toString('utf8')
+            .split('\n')
+            .filter(Boolean)
+            .map(line => JSON.parse(line));
+
+        result.events += events.length;
+        if (!dryRun) {
+            result.restored += eventOps.restore(events);
+        }
+    }
+
+    if (!dryRun) {
+        console.log(`[ARCHIVE] Restored ${result.restored} events from ${from} to ${to}`);
+    }
+    if (result.corrupt.length > 0) {
+        console.error(`[ARCHIVE] ${result.corrupt.length} archive parts failed verification`);
+    }
+
+    return result;
+}
+
+module.exports = {
+    ARCHIVE_DIR,
+    archiveEvents,
+    getArchiveSummary,
+    restoreEvents
+};
@@ -0,0 +1,326 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { userOps, apiKeyOps, enrollmentTokenOps, endpointOps, settingOps } = require('../database/init');
+
+const TOKEN_TTL = process.env.JWT_EXPIRES_IN || '12h';
+const SCRYPT_KEYLEN = 64;
+const MIN_PASSWORD_LENGTH = 8;
+const API_KEY_PREFIX = 'msk_';
+const ENROLLMENT_TOKEN_PREFIX = 'mse_';
+
+// Failed logins allowed per username and per client address before further
+// attempts are refused for the rest of the window
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5;
+const LOGIN_WINDOW_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000;
+const MAX_TRACKED_LOGINS = 10000;
+
+// Roles from least to most privileged; each role has the permissions of the ones before it
+const ROLES = ['viewer', 'analyst', 'engineer', 'admin'];
+const ROLE_PERMISSIONS = {
+    viewer: ['events:read', 'alerts:read', 'rules:read'],
+    analyst: ['alerts:write', 'endpoints:read', 'indicators:read'],
+    engineer: ['rules:write', 'events:generate', 'retention:read', 'parsers:read', 'parsers:write', 'indicators:write'],
+    admin: ['endpoints:write', 'retention:write', 'users:write']
+};
+
+function permissionsFor(role) {
+    const index = ROLES.indexOf(role);
+    return ROLES.slice(0, index + 1).flatMap(r => ROLE_PERMISSIONS[r]);
+}
+
+function hasPermission(user, permission) {
+    return !!user && permissionsFor(user.role).includes(permission);
+}
+
+let jwtSecret = null;
+
+// "user:<name>" / "ip:<address>" -> { count, since }
+const loginFailures = new Map();
+
+// Signing secret: JWT_SECRET, or a random secret generated once and kept in settings
+// so dashboard sessions survive restarts
+function getJwtSecret() {
+    if (jwtSecret) return jwtSecret;
+
+    jwtSecret = process.env.JWT_SECRET || settingOps.get('jwt_secret');
+    if (!jwtSecret) {
+        jwtSecret = crypto.randomBytes(48).toString('hex');
+        settingOps.set('jwt_secret', jwtSecret);
+        console.log('[AUTH] Generated JWT signing secret (set JWT_SECRET to use your own)');
+    }
+    return jwtSecret;
+}
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = crypto.scryptSync(password, Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+}
+
+function publicUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        role: user.role,
+        permissions: permissionsFor(user.role)
+    };
+}
+
+function loginKeys(username, ip) {
+    return [`user:${username}`, `ip:${ip}`];
+}
+
+// Failures of a key within the current window, dropping expired ones
+function currentFailures(key, now) {
+    const entry = loginFailures.get(key);
+    if (entry && now - entry.since >= LOGIN_WINDOW_MS) {
+        loginFailures.delete(key);
+        return null;
+    }
+    return entry || null;
+}
+
+// Seconds until this username or address may try to log in again; 0 when allowed
+function loginRetryAfter(username, ip) {
+    const now = Date.now();
+    let waitMs = 0;
+    for (const key of loginKeys(username, ip)) {
+        const entry = currentFailures(key, now);
+        if (entry && entry.count >= LOGIN_MAX_FAILURES) {
+            waitMs = Math.max(waitMs, entry.since + LOGIN_WINDOW_MS - now);
+        }
+    }
+    return Math.ceil(waitMs / 1000);
+}
+
+function recordLoginFailure(username, ip) {
+    const now = Date.now();
+    if (loginFailures.size >= MAX_TRACKED_LOGINS) {
+        for (const key of [...loginFailures.keys()]) currentFailures(key, now);
+        // Still full: forget the oldest entries rather than grow without bound
+        for (const key of loginFailures.keys()) {
+            if (loginFailures.size < MAX_TRACKED_LOGINS) break;
+            loginFailures.delete(key);
+        }
+    }
+    for (const key of loginKeys(username, ip)) {
+        const entry = currentFailures(key, now) || { count: 0, since: now };
+        entry.count++;
+        loginFailures.set(key, entry);
+    }
+}
+
+// After a successful login. The address keeps its count, so logging into one
+// account does not reset guessing at others.
+function clearLoginFailures(username) {
+    loginFailures.delete(loginKeys(username, null)[0]);
+}
+
+// Signed session token for a user. The token carries the user's token_version,
+// so changing the password ends sessions issued before.
+function issueSession(user) {
+    const token = jwt.sign({ username: user.username, ver: user.token_version }, getJwtSecret(), {
+        subject: user.id,
+        expiresIn: TOKEN_TTL
+    });
+    const { exp } = jwt.decode(token);
+
+    return {
+        token,
+        expires_at: new Date(exp * 1000).toISOString(),
+        user: publicUser(user)
+    };
+}
+
+// Check credentials and return a signed session token, or null
+function login(username, password) {
+    const user = userOps.getByUsername(String(username || ''));
+    if (!user || user.disabled || !verifyPassword(String(password || ''), user.password_hash)) {
+        return null;
+    }
+
+    userOps.updateLastLogin(user.id);
+    return issueSession(user);
+}
+
+// Resolve a session token to its (still enabled) user, or null. Tokens issued
+// before the user's last password change are refused.
+function verifyToken(token) {
+    try {
+        const payload = jwt.verify(token, getJwtSecret());
+        const user = userOps.getById(payload.sub);
+        if (!user || user.disabled) return null;
+        if ((payload.ver || 0) !== user.token_version) return null;
+        return publicUser(user);
+    } catch (_err) {
+        return null;
+    }
+}
+
+function createUser(username, password, role = 'viewer') {
+    const id = uuidv4();
+    userOps.insert({ id, username, password_hash: hashPassword(password), role });
+    return publicUser(userOps.getById(id));
+}
+
+function changePassword(userId, password) {
+    return userOps.updatePassword(userId, hashPassword(password));
+}
+
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function generateSecret(prefix) {
+    return prefix + crypto.randomBytes(24).toString('base64url');
+}
+
+// Create an API key. The plaintext key is only returned here; the database keeps its hash
+function createApiKey({ name, endpoint_id = null, created_by = null }) {
+    const key = generateSecret(API_KEY_PREFIX);
+    const record = {
+        id: uuidv4(),
+        name,
+        prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+        key_hash: hashSecret(key),
+        endpoint_id,
+        created_by
+    };
+    apiKeyOps.insert(record);
+
+    return {
+        id: record.id,
+        name,
+        prefix: record.prefix,
+        endpoint_id,
+        key
+    };
+}
+
+// Resolve an API key to its active record, or null
+function verifyApiKey(key) {
+    if (typeof key !== 'string' || !key.startsWith(API_KEY_PREFIX)) return null;
+
+    const record = apiKeyOps.getByHash(hashSecret(key));
+    if (!record) return null;
+
+    apiKeyOps.touch(record.id);
+    return {
+        id: record.id,
+        name: record.name,
+        endpoint_id: record.endpoint_id
+    };
+}
+
+// Issue the per-endpoint key an agent uses after enrolling
+function issueEndpointCredentials(endpointId, createdBy) {
+    endpointOps.setCredentialsRevoked(endpointId, false);
+    return createApiKey({ name: `endpoint ${endpointId}`, endpoint_id: endpointId, created_by: createdBy });
+}
+
+// Revoke every key bound to an endpoint and mark it revoked, so no key can send data as it
+// until it is enrolled again
+function revokeEndpointCredentials(endpointId) {
+    endpointOps.setCredentialsRevoked(endpointId, true);
+    return apiKeyOps.revokeForEndpoint(endpointId).changes;
+}
+
+// Create an enrollment token. maxUses null makes it reusable; expiresInHours null never expires.
+// Like API keys, the plaintext token is only returned here.
+function createEnrollmentToken({ name, maxUses = 1, expiresInHours = 24, created_by = null }) {
+    const token = generateSecret(ENROLLMENT_TOKEN_PREFIX);
+    const id = uuidv4();
+    enrollmentTokenOps.insert({
+        id,
+        name,
+        prefix: token.slice(0, ENROLLMENT_TOKEN_PREFIX.length + 6),
+        token_hash: hashSecret(token),
+        max_uses: maxUses,
+        expires_in_hours: expiresInHours,
+        created_by
+    });
+
+    const record = enrollmentTokenOps.getById(id);
+    return {
+        id,
+        name,
+        prefix: record.prefix,
+        max_uses: record.max_uses,
+        expires_at: record.expires_at,
+        token
+    };
+}
+
+// Resolve an enrollment token that can still be used, or null. Uses are only
+// counted by consumeEnrollmentToken once registration succeeds.
+function verifyEnrollmentToken(token) {
+    if (typeof token !== 'string' || !token.startsWith(ENROLLMENT_TOKEN_PREFIX)) return null;
+
+    const record = enrollmentTokenOps.getUsableByHash(hashSecret(token));
+    return record ? { id: record.id, name: record.name } : null;
+}
+
+function consumeEnrollmentToken(id) {
+    return enrollmentTokenOps.recordUse(id);
+}
+
+// Create the first admin account. Uses ADMIN_USERNAME / ADMIN_PASSWORD when set,
+// otherwise prints a generated password once.
+function ensureAdminUser() {
+    if (userOps.getCount() > 0) {
+        return;
+    }
+
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    const generated = !process.env.ADMIN_PASSWORD;
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+
+    createUser(username, password, 'admin');
+    if (generated) {
+        console.log(`[AUTH] Created initial user "${username}" with password: ${password}`);
+        console.log('[AUTH] Change it after logging in (POST /api/auth/password)');
+    } else {
+        console.log(`[AUTH] Created initial user "${username}" from ADMIN_PASSWORD`);
+    }
+}
+
+module.exports = {
+    ROLES,
+    permissionsFor,
+    hasPermission,
+    login,
+    issueSession,
+    loginRetryAfter,
+    recordLoginFailure,
+    clearLoginFailures,
+    verifyToken,
+    createUser,
+    changePassword,
+    validatePassword,
+    verifyPassword,
+    createApiKey,
+    verifyApiKey,
+    issueEndpointCredentials,
+    revokeEndpointCredentials,
+    createEnrollmentToken,
+    verifyEnrollmentToken,
+    consumeEnrollmentToken,
+    ensureAdminUser
+};
@@ -0,0 +1,31 @@
+const { customParserOps } = require('../database/init');
+const { createParser } = require('../parsers/grokParser');
+
+// Compiled enabled parsers by name, loaded on first use and after every change
+let parsers = null;
+
+function loadParsers() {
+    parsers = new Map();
+
+    for (const definition of customParserOps.getAll()) {
+        if (!definition.enabled) continue;
+        try {
+            parsers.set(definition.name, createParser(definition));
+        } catch (err) {
+            console.error(`[PARSERS] Skipping parser "${definition.name}":`, err.message);
+        }
+    }
+}
+
+// Parser for an ingest source name, or null when none is defined
+function getCustomParser(source) {
+    if (typeof source !== 'string') return null;
+    if (!parsers) loadParsers();
+    return parsers.get(source) || null;
+}
+
+function invalidateCustomParsers() {
+    parsers = null;
+}
+
+module.exports = { getCustomParser, invalidateCustomParsers };
@@ -2,10 +2,21 @@ const { v4: uuidv4 } = require('uuid');
 const fs = require('fs');
 const path = require('path');
 const { ruleOps, alertOps } = require('../database/init');
+const { convertSigma } = require('./sigmaConverter');
+const { scoreAlert } = require('./riskScoring');
 
 // In-memory state for threshold-based detection
 const thresholdState = new Map(); // key: rule_id:group_key -> { count, window_start, events[] }
 
+// In-memory state for correlation sequences
+const sequenceState = new Map(); // key: rule_id -> partial matches [{ step, key, events[], stepEvents[], started, ... }]
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+// Alerts on endpoints of these criticality tiers are raised one severity level,
+// unless the rule sets actions.escalate to false
+const ESCALATE_CRITICALITY = (process.env.ESCALATE_CRITICALITY || 'critical').split(',').map(tier => tier.trim()).filter(Boolean);
+
 // Default detection rules
 const DEFAULT_RULES = [
     {
@@ -56,6 +67,55 @@ const DEFAULT_RULES = [
         },
         actions: { alert: true }
     },
+    {
+        id: 'ssh-compromise-chain',
+        name: 'SSH Compromise Chain',
+        description: 'Detects failed SSH logins, a successful login from the same IP, sudo to root by that user and a new account on the same host',
+        enabled: true,
+        severity: 'critical',
+        rule_type: 'correlation',
+        conditions: {
+            sequence: [
+                {
+                    count: 3,
+                    window_seconds: 300,
+                    group_by: 'parsed_data.source_ip',
+                    match: {
+                        field: 'parsed_data.auth_result',
+                        equals: 'failure'
+                    }
+                },
+                {
+                    window_seconds: 600,
+                    group_by: 'parsed_data.source_ip',
+                    match: {
+                        field: 'parsed_data.auth_result',
+                        equals: 'success'
+                    }
+                },
+                {
+                    window_seconds: 1800,
+                    group_by: 'parsed_data.username',
+                    key_from: 'parsed_data.username',
+                    match: {
+                        field: 'event_type',
+                        equals: 'privilege'
+                    }
+                },
+                {
+                    window_seconds: 1800,
+                    group_by: 'hostname',
+                    key_from: 'hostname',
+                    match: {
+                        field: 'parsed_data.action',
+                        equals: 'user_created'
+                    }
+                }
+            ],
+            max_span_seconds: 3600
+        },
+        actions: { alert: true }
+    },
     {
         id: 'privilege-escalation-sudo',
         name: 'Sudo to Root',
@@ -135,6 +195,61 @@ const DEFAULT_RULES = [
         },
         actions: { alert: true }
     },
+    {
+        id: 'login-unexpected-country',
+        name: 'Login from Unexpected Country',
+        description: 'Detects successful logins from a source IP that GeoIP places outside the expected countries. Set the country codes in rules/default-rules.json and enable it.',
+        enabled: false,
+        severity: 'warning',
+        rule_type: 'signature',
+        conditions: {
+            field: 'event.category',
+            equals: 'authentication',
+            additional: {
+                all: [
+                    { field: 'event.outcome', equals: 'success' },
+                    { field: 'parsed_data.geo.country_code', matches: '.' }
+                ]
+            },
+            not: {
+                field: 'parsed_data.geo.country_code',
+                in: ['US']
+            }
+        },
+        actions: { alert: true }
+    },
+    {
+        id: 'critical-asset-remote-login',
+        name: 'Remote Login to Critical Asset',
+        description: 'Detects successful network logins to endpoints with high or critical asset criticality. Enable it once the asset inventory is filled in.',
+        enabled: false,
+        severity: 'warning',
+        rule_type: 'signature',
+        conditions: {
+            field: 'endpoint.criticality',
+            in: ['high', 'critical'],
+            additional: {
+                all: [
+                    { field: 'event.category', equals: 'authentication' },
+                    { field: 'event.outcome', equals: 'success' },
+                    { field: 'source.ip', matches: '.' }
+                ]
+            }
+        },
+        actions: { alert: true }
+    },
+    {
+        id: 'threat-intel-match',
+        name: 'Threat Intel Indicator Match',
+        description: 'Detects events whose IP, domain, file hash or user matches an imported threat intelligence indicator with confidence 50 or higher',
+        enabled: true,
+        severity: 'critical',
+        rule_type: 'ioc',
+        conditions: {
+            min_confidence: 50
+        },
+        actions: { alert: true }
+    },
     {
         id: 'failed-login-burst',
         name: 'Failed Login Burst',
@@ -150,6 +265,215 @@ const DEFAULT_RULES = [
             group_by: 'hostname'
         },
         actions: { alert: true }
+    },
+    {
+        id: 'auditd-reverse-shell',
+        name: 'Reverse Shell Execution',
+        description: 'Detects execve of common reverse shell command lines (/dev/tcp redirection, nc -e, socat exec, scripted sockets)',
+        enabled: true,
+        severity: 'critical',
+        rule_type: 'signature',
+        conditions: {
+            field: 'parsed_data.command_line',
+            matches: '/dev/(tcp|udp)/|\\b(nc|ncat|netcat)\\b.*\\s-[ec]\\s|\\bsocat\\b.*\\bexec:|\\b(python[0-9.]*|perl|ruby|php)\\b.*\\s-[er]?c?\\s.*\\bsocket\\b',
+            additional: {
+                field: 'source',
+                equals: 'auditd'
+            }
+        },
+        actions: { alert: true }
+    },
+    {
+        id: 'auditd-download-exec',
+        name: 'Download or Decode Piped to Shell',
+        description: 'Detects curl/wget output or base64-decoded data piped straight into a shell',
+        enabled: true,
+        severity: 'critical',
+        rule_type: 'signature',
+        conditions: {
+            field: 'parsed_data.command_line',
+            matches: '\\b(curl|wget|base64\\s+(-d|--decode))\\b[^|]*\\|\\s*(sudo\\s+)?(ba|da|z)?sh\\b',
+            additional: {
+                field: 'source',
+                equals: 'auditd'
+            }
+        },
+        actions: { alert: true }
+    },
+    {
+        id: 'auditd-exec-from-writable-dir',
+        name: 'Execution from World-Writable Directory',
+        description: 'Detects binaries executed from /tmp, /var/tmp or /dev/shm',
+        enabled: true,
+        severity: 'warning',
+        rule_type: 'signature',
+        conditions: {
+            field: 'parsed_data.exe',
+            matches: '^/(tmp|var/tmp|dev/shm)/',
+            additional: {
+                field: 'event_type',
+                equals: 'process',
+                additional: {
+                    field: 'source',
+                    equals: 'auditd'
+                }
+            }
+        },
+        actions: { alert: true }
+    },
+    {
+        id: 'web-4xx-burst',
+        name: 'HTTP 4xx Burst',
+        description: 'Detects 20 or more 4xx responses to the same client IP within 60 seconds (scanning or brute forcing)',
+        enabled: true,
+        severity: 'warning',
+        rule_type: 'threshold',
+        conditions: {
+            field: 'event_type',
+            equals: 'web',
+            additional: {
+                field: 'parsed_data.status',
+                matches: '^4\\d\\d$'
+            },
+            threshold: 20,
+            window_seconds: 60,
+            group_by: 'parsed_data.source_ip'
+        },
+        actions: { alert: true }
+    },
+    {
+        id: 'web-sql-injection',
+        name: 'SQL Injection Attempt',
+        description: 'Detects SQL injection patterns in requested URLs',
+        enabled: true,
+        severity: 'warning',
+        rule_type: 'signature',
+        conditions: {
+            field: 'parsed_data.decoded_url',
+            matches: '\\bunion\\b.{0,20}\\bselect\\b|\'\\s*(or|and)\\s+\'?\\w*\'?\\s*=\\s*\'?\\w*|\\b(or|and)\\s+\\d+\\s*=\\s*\\d+|\\b(sleep|benchmark|pg_sleep)\\s*\\(|waitfor\\s+delay|information_schema|;\\s*(drop|insert|update|delete|exec)\\s|\'\\s*(--|#)',
+            additional: {
+                field: 'event_type',
+                equals: 'web'
+            }
+        },
+        actions: { alert: true }
+    },
+    {
+        id: 'web-path-traversal',
+        name: 'Path Traversal Attempt',
+        description: 'Detects directory traversal and sensitive file requests in URLs',
+        enabled: true,
+        severity: 'warning',
+        rule_type: 'signature',
+        conditions: {
+            field: 'parsed_data.decoded_url',
+            matches: '\\.\\.[/\\\\]|/etc/(passwd|shadow|hosts)|/proc/self/|win\\.ini|boot\\.ini|\\.(git|svn)/|\\.env\\b',
+            additional: {
+                field: 'event_type',
+                equals: 'web'
+            }
+        },
+        actions: { alert: true }
+    },
+    {
+        id: 'web-scanner-user-agent',
+        name: 'Web Scanner User Agent',
+        description: 'Detects requests from known vulnerability scanners and attack tools',
+        enabled: true,
+        severity: 'warning',
+        rule_type: 'signature',
+        conditions: {
+            field: 'parsed_data.user_agent',
+            contains_any: ['sqlmap', 'nikto', 'nmap', 'masscan', 'zgrab', 'nuclei', 'wpscan', 'dirbuster', 'gobuster', 'ffuf', 'feroxbuster', 'acunetix', 'nessus', 'openvas', 'w3af', 'havij', 'whatweb', 'zmeu'],
+            additional: {
+                field: 'event_type',
+                equals: 'web'
+            }
+        },
+        actions: { alert: true }
+    },
+    {
+        id: 'sysmon-lsass-access',
+        name: 'LSASS Memory Access',
+        description: 'Detects a process opening lsass.exe with memory read rights, as credential dumpers (mimikatz, procdump) do (Sysmon 10)',
+        enabled: true,
+        severity: 'critical',
+        rule_type: 'signature',
+        conditions: {
+            field: 'parsed_data.target_image',
+            matches: '\\\\lsass\\.exe$',
+            additional: {
+                all: [
+                    { field: 'event_type', equals: 'process_access' },
+                    { field: 'parsed_data.granted_access', matches: '^0x(1010|1410|1418|1438|143a|1f0fff|1f1fff|1f3fff|1fffff)$' }
+                ]
+            }
+        },
+        actions: { alert: true }
+    },
+    {
+        id: 'sysmon-unsigned-image-load',
+        name: 'Unsigned Image Loaded',
+        description: 'Detects a DLL or executable image without a valid signature being loaded into a process (Sysmon 7)',
+        enabled: true,
+        severity: 'warning',
+        rule_type: 'signature',
+        conditions: {
+            field: 'event_type',
+            equals: 'image_load',
+            additional: {
+                field: 'parsed_data.signed',
+                equals: false
+            }
+        },
+        actions: { alert: true }
+    },
+    {
+        id: 'sysmon-remote-thread',
+        name: 'Remote Thread Injection',
+        description: 'Detects a process starting a thread in another process, a common code injection technique (Sysmon 8)',
+        enabled: true,
+        severity: 'warning',
+        rule_type: 'signature',
+        conditions: {
+            field: 'event_type',
+            equals: 'remote_thread'
+        },
+        actions: { alert: true }
+    },
+    {
+        id: 'office-spawns-shell',
+        name: 'Office Application Spawned a Shell',
+        description: 'Detects Word, Excel, PowerPoint or Outlook starting a command shell or script host (Sysmon 1 / Event 4688)',
+        enabled: true,
+        severity: 'critical',
+        rule_type: 'signature',
+        conditions: {
+            field: 'parsed_data.creator_process',
+            matches: '\\\\(winword|excel|powerpnt|outlook|msaccess|mspub)\\.exe$',
+            additional: {
+                field: 'parsed_data.new_process_name',
+                matches: '\\\\(cmd|powershell|pwsh|wscript|cscript|mshta|rundll32|regsvr32)\\.exe$'
+            }
+        },
+        actions: { alert: true }
+    },
+    {
+        id: 'sysmon-run-key-persistence',
+        name: 'Registry Run Key Modified',
+        description: 'Detects a value written under a Run or RunOnce key, used to start programs at logon (Sysmon 13)',
+        enabled: true,
+        severity: 'warning',
+        rule_type: 'signature',
+        conditions: {
+            field: 'parsed_data.target_object',
+            matches: '\\\\CurrentVersion\\\\Run(Once)?(Ex)?\\\\',
+            additional: {
+                field: 'parsed_data.registry_event_type',
+                equals: 'SetValue'
+            }
+        },
+        actions: { alert: true }
     }
 ];
 
@@ -182,10 +506,47 @@ function loadDefaultRules() {
     console.log(`[DETECTION] Loaded ${rules.length} detection rules`);
 }
 
-// Get nested field value from object
-function getFieldValue(obj, fieldPath) {
-    if (!fieldPath || !obj) return undefined;
+// Load Sigma rules (*.yml / *.yaml) into database
+function loadSigmaRules() {
+    const sigmaPath = path.join(__dirname, '../../rules/sigma');
+
+    if (!fs.existsSync(sigmaPath)) {
+        return;
+    }
+
+    const files = fs.readdirSync(sigmaPath).filter(f => /\.ya?ml$/i.test(f));
+    let loaded = 0;
+
+    for (const file of files) {
+        try {
+            const results = convertSigma(fs.readFileSync(path.join(sigmaPath, file), 'utf8'));
+
+            for (const result of results) {
+                if (!result.rule) {
+                    console.error(`[DETECTION] Sigma rule in ${file} skipped: ${result.error}`);
+                    continue;
+                }
+
+                for (const item of result.untranslated) {
+                    console.warn(`[DETECTION] Sigma ${result.rule.id}: ${item.part} not translated (${item.reason})`);
+                }
+                if (result.untranslated.length > 0) {
+                    console.warn(`[DETECTION] Sigma ${result.rule.id} loaded disabled due to untranslated parts`);
+                }
+
+                ruleOps.upsert(result.rule);
+                loaded++;
+            }
+        } catch (err) {
+            console.error(`[DETECTION] Failed to load Sigma file ${file}:`, err.message);
+        }
+    }
 
+    console.log(`[DETECTION] Loaded ${loaded} Sigma rules from ${sigmaPath}`);
+}
+
+// Get nested field value from object
+function readPath(obj, fieldPath) {
     const parts = fieldPath.split('.');
     let value = obj;
 
@@ -197,6 +558,18 @@ function getFieldValue(obj, fieldPath) {
     return value;
 }
 
+// Field names the event itself does not have (source.ip, user.name, event.outcome, ...)
+// are looked up in its normalized fields, so one rule covers every log source
+function getFieldValue(obj, fieldPath) {
+    if (!fieldPath || !obj) return undefined;
+
+    const value = readPath(obj, fieldPath);
+    if (value === undefined && obj.normalized) {
+        return readPath(obj.normalized, fieldPath);
+    }
+    return value;
+}
+
 // Check if condition matches event
 function matchesCondition(event, condition) {
     if (!condition) return false;
@@ -233,10 +606,17 @@ function matchesCondition(event, condition) {
         if (!found) return false;
     }
 
-    // matches (regex) check
+    // in check: the value is one of a list (case-insensitive), e.g. country codes
+    if (condition.in && Array.isArray(condition.in)) {
+        if (fieldValue === undefined || fieldValue === null) return false;
+        const val = String(fieldValue).toLowerCase();
+        if (!condition.in.some(c => String(c).toLowerCase() === val)) return false;
+    }
+
+    // matches (regex) check, case-insensitive unless case_sensitive is set
     if (condition.matches !== undefined) {
         try {
-            const regex = new RegExp(condition.matches, 'i');
+            const regex = new RegExp(condition.matches, condition.case_sensitive ? '' : 'i');
             if (!fieldValue || !regex.test(String(fieldValue))) return false;
         } catch (_e) {
             return false;
@@ -308,63 +688,166 @@ function processThresholdRule(event, rule) {
         // Reset after alert to avoid alert spam
         thresholdState.set(stateKey, { count: 0, window_start: now, events: [] });
 
-        return createAlert(event, rule, `Threshold exceeded: ${state.count} events in ${window_seconds}s (group: ${groupValue})`);
+        return createAlert(
+            event,
+            rule,
+            `Threshold exceeded: ${state.count} events in ${window_seconds}s (group: ${groupValue})`,
+            state.events.map(e => e.id)
+        );
     }
 
     return null;
 }
 
-// Process correlation rule (simplified)
-function processCorrelationRule(event, rule) {
-    // For login-after-failures pattern
-    const { sequence, group_by } = rule.conditions;
-    if (!sequence || sequence.length < 2) return null;
+// Event time in ms, falling back to arrival time for unparseable timestamps
+function eventTime(event) {
+    const time = new Date(event.timestamp).getTime();
+    return Number.isNaN(time) ? Date.now() : time;
+}
 
-    const groupValue = group_by ? getFieldValue(event, group_by) : 'global';
-    const stateKey = `${rule.id}:${groupValue}`;
-    const now = Date.now();
+// Group key for a sequence step, taken from the step's own group_by or the rule default
+function stepGroupBy(step, defaultGroupBy) {
+    return step.group_by || defaultGroupBy;
+}
+
+// Check whether a partial sequence match can no longer complete (prunes first-step events outside the window)
+function isSequenceExpired(partial, sequence, maxSpanSeconds, now) {
+    if (maxSpanSeconds && partial.started !== null && (now - partial.started) > maxSpanSeconds * 1000) {
+        return true;
+    }
+
+    const step = sequence[partial.step];
+    if (partial.step === 0) {
+        // First step is a sliding window over its own events
+        const windowMs = (step.window_seconds || 300) * 1000;
+        partial.stepEvents = partial.stepEvents.filter(e => (now - e.time) < windowMs);
+        partial.started = partial.stepEvents.length > 0 ? partial.stepEvents[0].time : null;
+        return partial.stepEvents.length === 0;
+    }
 
-    // Check if current event matches success pattern (second in sequence)
-    const successPattern = sequence[1]?.match;
-    if (successPattern && matchesCondition(event, successPattern)) {
-        // Check if we have preceding failures
-        const state = thresholdState.get(stateKey);
-        const failurePattern = sequence[0];
-        const windowMs = (failurePattern.window_seconds || 300) * 1000;
-
-        if (state && state.count >= (failurePattern.count || 3)) {
-            const recentFailures = state.events.filter(e => (now - new Date(e.timestamp).getTime()) < windowMs);
-            if (recentFailures.length >= (failurePattern.count || 3)) {
-                // Clear state and create alert
-                thresholdState.delete(stateKey);
-                return createAlert(event, rule, `Correlation match: Success after ${recentFailures.length} failures`);
+    // Later steps must complete within their window after the previous step completed
+    return !!step.window_seconds && (now - partial.step_started) > step.window_seconds * 1000;
+}
+
+// Process correlation rule: ordered N-step sequences with per-step counts, windows and group keys
+function processCorrelationRule(event, rule) {
+    const { sequence, group_by, max_span_seconds } = rule.conditions;
+    if (!Array.isArray(sequence) || sequence.length < 2) return null;
+
+    const now = eventTime(event);
+    const eventRef = { id: event.id, time: now };
+    let partials = (sequenceState.get(rule.id) || [])
+        .filter(p => !isSequenceExpired(p, sequence, max_span_seconds, now));
+
+    let completed = null;
+
+    // Advance partial matches waiting on a later step
+    for (const partial of partials) {
+        if (partial.step === 0) continue;
+
+        const step = sequence[partial.step];
+        if (!matchesCondition(event, step.match)) continue;
+        if (getFieldValue(event, stepGroupBy(step, group_by)) !== partial.key) continue;
+
+        partial.stepEvents.push(eventRef);
+        partial.touched = Date.now();
+        if (partial.stepEvents.length >= (step.count || 1)) {
+            advanceSequence(partial, sequence, group_by, event, now);
+            if (partial.step === sequence.length && !completed) {
+                completed = partial;
             }
         }
     }
 
-    // Check if current event matches failure pattern (first in sequence)
-    const failurePattern = sequence[0]?.match;
-    if (failurePattern && matchesCondition(event, failurePattern)) {
-        let state = thresholdState.get(stateKey) || { count: 0, window_start: now, events: [] };
-        state.count++;
-        state.events.push({ id: event.id, timestamp: event.timestamp });
-        thresholdState.set(stateKey, state);
+    // Start or extend a first-step match for this group
+    const first = sequence[0];
+    if (matchesCondition(event, first.match)) {
+        const key = getFieldValue(event, stepGroupBy(first, group_by));
+        let partial = partials.find(p => p.step === 0 && p.key === key);
+        if (!partial) {
+            partial = {
+                step: 0,
+                key,
+                events: [],
+                stepEvents: [],
+                started: now,
+                step_started: now,
+                touched: Date.now(),
+                ttl: (max_span_seconds || 3600) * 1000
+            };
+            partials.push(partial);
+        }
+
+        partial.stepEvents.push(eventRef);
+        partial.touched = Date.now();
+        if (partial.stepEvents.length >= (first.count || 1)) {
+            advanceSequence(partial, sequence, group_by, event, now);
+            // A newer match supersedes an older one waiting on the same step and key
+            partials = partials.filter(p => p === partial || p.step !== partial.step || p.key !== partial.key);
+        }
+    }
+
+    partials = partials.filter(p => p.step < sequence.length);
+    sequenceState.set(rule.id, partials);
+
+    if (completed) {
+        const eventIds = completed.events.map(e => e.id);
+        const spanSeconds = Math.round((now - completed.started) / 1000);
+        return createAlert(
+            event,
+            rule,
+            `Correlation match: ${sequence.length}-step sequence completed in ${spanSeconds}s (group: ${completed.key}), ${eventIds.length} contributing events`,
+            eventIds
+        );
     }
 
     return null;
 }
 
+// Move a partial match to its next step, re-keying it for that step
+function advanceSequence(partial, sequence, defaultGroupBy, event, now) {
+    partial.events.push(...partial.stepEvents);
+    partial.stepEvents = [];
+    partial.step++;
+    partial.step_started = now;
+
+    if (partial.step < sequence.length) {
+        const next = sequence[partial.step];
+        partial.key = getFieldValue(event, next.key_from || stepGroupBy(next, defaultGroupBy));
+    }
+}
+
 // Create alert from matched rule
-function createAlert(event, rule, details) {
+// Rule severity, raised one level when the event came from a crown-jewel endpoint
+function alertSeverity(event, rule) {
+    const asset = event.endpoint;
+    if (!asset || !ESCALATE_CRITICALITY.includes(asset.criticality)) return rule.severity;
+    if (rule.actions && rule.actions.escalate === false) return rule.severity;
+
+    const level = SEVERITIES.indexOf(rule.severity);
+    return level === -1 ? rule.severity : SEVERITIES[Math.min(level + 1, SEVERITIES.length - 1)];
+}
+
+function createAlert(event, rule, details, eventIds = null) {
+    const severity = alertSeverity(event, rule);
+    const escalated = severity !== rule.severity;
+    // Scored before the insert, so the repeat count only sees earlier alerts
+    const risk = scoreAlert(event, rule);
     const alert = {
         id: uuidv4(),
         event_id: event.id,
+        event_ids: eventIds || [event.id],
         rule_id: rule.id,
-        severity: rule.severity,
+        severity,
+        escalated_from: escalated ? rule.severity : null,
+        risk_score: risk.score,
+        risk_factors: risk.factors,
         status: 'open',
         title: rule.name,
-        description: `${rule.description}\n\nDetails: ${details}`,
-        endpoint_id: event.endpoint_id
+        description: `${rule.description}\n\nDetails: ${details}` +
+            (escalated ? `\n\nSeverity raised from ${rule.severity}: ${event.endpoint.hostname} has asset criticality ${event.endpoint.criticality}` : ''),
+        endpoint_id: event.endpoint_id,
+        endpoint: event.endpoint
     };
 
     // Insert alert into database
@@ -373,11 +856,53 @@ function createAlert(event, rule, details) {
     // Update rule match count
     ruleOps.incrementMatchCount(rule.id);
 
-    console.log(`[DETECTION] Alert generated: ${rule.name} - ${details}`);
+    console.log(`[DETECTION] Alert generated: ${rule.name} (risk ${risk.score}) - ${details}`);
 
     return alert;
 }
 
+// Indicator matches the ingest-time matcher tagged the event with
+function iocMatchesOf(event) {
+    const matches = event.parsed_data && event.parsed_data.ioc_matches;
+    return Array.isArray(matches) ? matches : [];
+}
+
+// Process IOC rule: fires when the event hit a threat intel indicator.
+// conditions: { types: [...], min_confidence: N, sources: [...], filter: <condition> }, all optional
+function processIocRule(event, rule, matches = iocMatchesOf(event), label = 'Indicator match') {
+    const { types, min_confidence, sources, filter } = rule.conditions || {};
+    const applicable = matches.filter(m =>
+        (!Array.isArray(types) || types.includes(m.type)) &&
+        (min_confidence === undefined || m.confidence >= min_confidence) &&
+        (!Array.isArray(sources) || sources.includes(m.source))
+    );
+    if (applicable.length === 0) return null;
+    if (filter && !matchesCondition(event, filter)) return null;
+
+    const details = applicable
+        .map(m => `${m.type} ${m.value} in ${m.field} (${m.source ? `${m.source}, ` : ''}confidence ${m.confidence})`)
+        .join('; ');
+    return createAlert(event, rule, `${label}: ${details}`);
+}
+
+// Run the enabled ioc rules for indicator matches found after the event was stored
+// (retro-hunting); the other rule types already saw the event at ingest.
+function processIocMatches(event, matches, { retroHunt = false } = {}) {
+    const alerts = [];
+    const rules = ruleOps.getEnabled().filter(rule => rule.rule_type === 'ioc');
+
+    for (const rule of rules) {
+        try {
+            const alert = processIocRule(event, rule, matches, retroHunt ? 'Retro-hunt indicator match' : 'Indicator match');
+            if (alert) alerts.push(alert);
+        } catch (err) {
+            console.error(`[DETECTION] Error processing rule ${rule.id}:`, err.message);
+        }
+    }
+
+    return alerts;
+}
+
 // Main event processing function
 function processEvent(event) {
     const alerts = [];
@@ -397,6 +922,9 @@ function processEvent(event) {
                 case 'correlation':
                     alert = processCorrelationRule(event, rule);
                     break;
+                case 'ioc':
+                    alert = processIocRule(event, rule);
+                    break;
             }
 
             if (alert) {
@@ -420,11 +948,22 @@ setInterval(() => {
             thresholdState.delete(key);
         }
     }
+
+    for (const [ruleId, partials] of sequenceState.entries()) {
+        const active = partials.filter(p => (now - p.touched) <= p.ttl);
+        if (active.length === 0) {
+            sequenceState.delete(ruleId);
+        } else {
+            sequenceState.set(ruleId, active);
+        }
+    }
 }, 60000);
 
 module.exports = {
     loadDefaultRules,
+    loadSigmaRules,
     processEvent,
+    processIocMatches,
     matchesCondition,
     getFieldValue
 };
@@ -0,0 +1,308 @@
+// GeoIP Service
+// Resolves IP addresses to country, city, ASN and organisation from local databases:
+// MaxMind-format .mmdb files (GeoLite2/GeoIP2 City or Country, ASN, or ipinfo) or
+// CSV files of IP ranges. Files are watched and reloaded when they change.
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { Reader } = require('mmdb-lib');
+
+const CONFIG_DIR = path.join(__dirname, '../../config/geoip');
+const WATCH_SECONDS = parseInt(process.env.GEOIP_WATCH_SECONDS) || 60;
+
+// City/country database and optional separate ASN database
+const DATABASES = {
+    geo: process.env.GEOIP_DB || path.join(CONFIG_DIR, 'GeoLite2-City.mmdb'),
+    asn: process.env.GEOIP_ASN_DB || path.join(CONFIG_DIR, 'GeoLite2-ASN.mmdb')
+};
+
+const GEO_FIELDS = ['country_code', 'country', 'city', 'latitude', 'longitude', 'asn', 'org'];
+
+// CSV header names accepted for each field
+const CSV_COLUMNS = {
+    country_code: ['country_code', 'country_iso_code', 'iso_code'],
+    country: ['country', 'country_name'],
+    city: ['city', 'city_name'],
+    latitude: ['latitude', 'lat'],
+    longitude: ['longitude', 'lon', 'lng'],
+    asn: ['asn', 'autonomous_system_number'],
+    org: ['org', 'organization', 'as_name', 'autonomous_system_organization']
+};
+
+// Loaded databases by name: { file, format, loaded_at, lookup(ip), entries? }
+const loaded = {};
+let watching = false;
+
+function present(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+// IPv4-mapped IPv6 addresses are looked up as IPv4
+function normalizeIp(value) {
+    if (!present(value)) return null;
+    const ip = String(value).trim().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+    return net.isIP(ip) ? ip : null;
+}
+
+// Address as a BigInt, so IPv4 and IPv6 ranges compare the same way
+function ipToBigInt(ip) {
+    if (net.isIPv4(ip)) {
+        return ip.split('.').reduce((acc, octet) => (acc << 8n) + BigInt(octet), 0n);
+    }
+
+    let text = ip.replace(/%.*$/, '');
+    // Trailing dotted IPv4 (::ffff:1.2.3.4) becomes two hextets
+    const v4 = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (v4) {
+        const n = ipToBigInt(v4[1]);
+        text = text.slice(0, -v4[1].length) + `${(n >> 16n).toString(16)}:${(n & 0xffffn).toString(16)}`;
+    }
+    const [head, tail] = text.split('::');
+    const headParts = head ? head.split(':') : [];
+    const tailParts = tail !== undefined && tail ? tail.split(':') : [];
+    const fill = tail !== undefined ? 8 - headParts.length - tailParts.length : 0;
+    const hextets = [...headParts, ...Array(fill).fill('0'), ...tailParts];
+    return hextets.reduce((acc, part) => (acc << 16n) + BigInt(parseInt(part || '0', 16)), 0n);
+}
+
+// "10.0.0.0/8" -> first and last address
+function cidrRange(cidr) {
+    const [ip, bits] = cidr.split('/');
+    const address = normalizeIp(ip);
+    if (!address) return null;
+
+    const size = net.isIPv4(address) ? 32 : 128;
+    const prefix = bits === undefined ? size : parseInt(bits, 10);
+    if (isNaN(prefix) || prefix < 0 || prefix > size) return null;
+
+    const hostBits = BigInt(size - prefix);
+    const start = (ipToBigInt(address) >> hostBits) << hostBits;
+    return { family: size === 32 ? 4 : 6, start, end: start + (1n << hostBits) - 1n };
+}
+
+// Split one CSV line, honouring double-quoted fields
+function splitCsvLine(line) {
+    const fields = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    fields.push(current);
+    return fields.map(field => field.trim());
+}
+
+function toNumber(value) {
+    if (!present(value)) return undefined;
+    const number = Number(String(value).replace(/^AS/i, ''));
+    return isNaN(number) ? undefined : number;
+}
+
+// Only the fields with a value; null when nothing is known
+function compact(record) {
+    const result = {};
+    for (const field of GEO_FIELDS) {
+        if (present(record[field])) result[field] = record[field];
+    }
+    return Object.keys(result).length > 0 ? result : null;
+}
+
+// CSV with a header row: network (CIDR) or start_ip/end_ip, then any of the CSV_COLUMNS
+function loadCsv(file) {
+    const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(line => line.trim() && !line.startsWith('#'));
+    if (lines.length === 0) throw new Error('CSV file is empty');
+
+    const header = splitCsvLine(lines[0]).map(name => name.toLowerCase());
+    const column = names => header.findIndex(name => names.includes(name));
+    const networkIndex = column(['network', 'cidr']);
+    const startIndex = column(['start_ip', 'ip_start', 'first_ip']);
+    const endIndex = column(['end_ip', 'ip_end', 'last_ip']);
+    if (networkIndex === -1 && (startIndex === -1 || endIndex === -1)) {
+        throw new Error('CSV header needs a network column or start_ip and end_ip columns');
+    }
+    const fieldIndexes = Object.entries(CSV_COLUMNS).map(([field, names]) => [field, column(names)]).filter(([, index]) => index !== -1);
+
+    const tables = { 4: [], 6: [] };
+    let skipped = 0;
+
+    for (const line of lines.slice(1)) {
+        const values = splitCsvLine(line);
+        let range;
+        if (networkIndex !== -1) {
+            range = cidrRange(values[networkIndex] || '');
+        } else {
+            const start = normalizeIp(values[startIndex]);
+            const end = normalizeIp(values[endIndex]);
+            range = start && end && net.isIP(start) === net.isIP(end)
+                ? { family: net.isIP(start), start: ipToBigInt(start), end: ipToBigInt(end) }
+                : null;
+        }
+        if (!range || range.end < range.start) {
+            skipped++;
+            continue;
+        }
+
+        const record = {};
+        for (const [field, index] of fieldIndexes) record[field] = values[index];
+        record.latitude = toNumber(record.latitude);
+        record.longitude = toNumber(record.longitude);
+        record.asn = toNumber(record.asn);
+        if (present(record.country_code)) record.country_code = String(record.country_code).toUpperCase();
+
+        tables[range.family].push({ start: range.start, end: range.end, record: compact(record) });
+    }
+
+    for (const table of Object.values(tables)) table.sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+    if (skipped > 0) console.warn(`[GEOIP] Skipped ${skipped} invalid rows in ${file}`);
+
+    return {
+        entries: tables[4].length + tables[6].length,
+        lookup(ip) {
+            const table = tables[net.isIPv4(ip) ? 4 : 6];
+            const value = ipToBigInt(ip);
+            // Last range starting at or before the address
+            let low = 0;
+            let high = table.length - 1;
+            let match = null;
+            while (low <= high) {
+                const mid = (low + high) >> 1;
+                if (table[mid].start <= value) {
+                    match = table[mid];
+                    low = mid + 1;
+                } else {
+                    high = mid - 1;
+                }
+            }
+            return match && value <= match.end ? match.record : null;
+        }
+    };
+}
+
+// GeoIP2/GeoLite2 City, Country and ASN records, and ipinfo's flat records
+function fromMmdbRecord(record) {
+    const country = record.country || record.registered_country;
+    const names = value => (value && value.names ? value.names.en : undefined);
+
+    return compact({
+        country_code: typeof country === 'string' ? country : country && country.iso_code,
+        country: typeof country === 'string' ? record.country_name : names(country),
+        city: typeof record.city === 'string' ? record.city : names(record.city),
+        latitude: record.location ? record.location.latitude : toNumber(record.latitude),
+        longitude: record.location ? record.location.longitude : toNumber(record.longitude),
+        asn: firstNumber(record.autonomous_system_number, record.asn),
+        org: record.autonomous_system_organization || record.as_name || record.org
+    });
+}
+
+function firstNumber(...values) {
+    return values.map(toNumber).find(value => value !== undefined);
+}
+
+function loadMmdb(file) {
+    const reader = new Reader(fs.readFileSync(file));
+    return {
+        database_type: reader.metadata.databaseType,
+        lookup(ip) {
+            const record = reader.get(ip);
+            return record ? fromMmdbRecord(record) : null;
+        }
+    };
+}
+
+// Load one database; a file that fails to load leaves the previous copy in use
+function loadDatabase(name) {
+    const file = DATABASES[name];
+    if (!fs.existsSync(file)) {
+        if (loaded[name]) console.warn(`[GEOIP] ${file} was removed, keeping the loaded ${name} database`);
+        return false;
+    }
+
+    try {
+        const format = file.toLowerCase().endsWith('.csv') ? 'csv' : 'mmdb';
+        const database = format === 'csv' ? loadCsv(file) : loadMmdb(file);
+        loaded[name] = { ...database, file, format, loaded_at: new Date().toISOString() };
+        console.log(`[GEOIP] Loaded ${name} database ${file} (${format})`);
+        return true;
+    } catch (err) {
+        console.error(`[GEOIP] Failed to load ${file}:`, err.message);
+        return false;
+    }
+}
+
+// Reload every configured database; returns the status afterwards
+function reloadGeoip() {
+    for (const name of Object.keys(DATABASES)) loadDatabase(name);
+    return getGeoipStatus();
+}
+
+// Load the databases and reload each one when its file changes
+function initGeoip() {
+    reloadGeoip();
+    if (watching) return;
+    watching = true;
+
+    for (const [name, file] of Object.entries(DATABASES)) {
+        fs.watchFile(file, { interval: WATCH_SECONDS * 1000, persistent: false }, (curr, prev) => {
+            if (curr.mtimeMs !== prev.mtimeMs && curr.mtimeMs !== 0) loadDatabase(name);
+        });
+    }
+}
+
+// Geo and ASN data for an IP address, or null when it is invalid or not in any database
+function lookupIp(value) {
+    const ip = normalizeIp(value);
+    if (!ip) return null;
+
+    let result = null;
+    for (const name of Object.keys(DATABASES)) {
+        if (!loaded[name]) continue;
+        const record = loaded[name].lookup(ip);
+        // The city database's own ASN fields (ipinfo, CSV) are kept unless the ASN database has one
+        if (record) result = { ...result, ...record };
+    }
+    return result;
+}
+
+function isGeoipEnabled() {
+    return Object.keys(loaded).length > 0;
+}
+
+function getGeoipStatus() {
+    const databases = {};
+    for (const [name, file] of Object.entries(DATABASES)) {
+        const database = loaded[name];
+        databases[name] = database
+            ? { file, loaded: true, format: database.format, loaded_at: database.loaded_at, database_type: database.database_type, entries: database.entries }
+            : { file, loaded: false };
+    }
+    return { enabled: isGeoipEnabled(), watch_seconds: WATCH_SECONDS, databases };
+}
+
+module.exports = {
+    GEO_FIELDS,
+    splitCsvLine,
+    initGeoip,
+    reloadGeoip,
+    lookupIp,
+    isGeoipEnabled,
+    getGeoipStatus
+};
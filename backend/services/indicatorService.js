@@ -0,0 +1,436 @@
+// Threat Intelligence Indicators
+// Imports IP, domain, hash and username indicators (STIX 2.1 bundles, CSV, plain lists),
+// tags events whose fields hit an active indicator (parsed_data.ioc_matches) and
+// retro-hunts newly imported indicators through recent events.
+
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+const { indicatorOps, eventOps } = require('../database/init');
+const { cidrMatch } = require('../database/queryLanguage');
+const { getFieldValue, processIocMatches } = require('./detectionEngine');
+const { splitCsvLine } = require('./geoipService');
+
+const INDICATOR_TYPES = ['ip', 'domain', 'hash', 'username'];
+const IMPORT_FORMATS = ['stix', 'csv', 'list'];
+const DEFAULT_CONFIDENCE = 50;
+
+// Other names feeds use for the indicator types
+const TYPE_ALIASES = {
+    ipv4: 'ip', ipv6: 'ip', 'ip-src': 'ip', 'ip-dst': 'ip', ip_address: 'ip',
+    hostname: 'domain', fqdn: 'domain', 'domain-name': 'domain',
+    md5: 'hash', sha1: 'hash', sha256: 'hash', sha512: 'hash', filehash: 'hash', file_hash: 'hash',
+    user: 'username', account: 'username', 'user-account': 'username'
+};
+
+// Normalized event fields each indicator type is checked against
+const MATCH_FIELDS = {
+    ip: ['source.ip', 'destination.ip'],
+    domain: ['source.domain', 'destination.domain', 'dns.question.name', 'url.original'],
+    hash: ['process.hash.md5', 'process.hash.sha1', 'process.hash.sha256', 'dll.hash.md5', 'dll.hash.sha1', 'dll.hash.sha256'],
+    username: ['user.name', 'user.target.name']
+};
+
+// STIX cyber-observable types and the properties compared in indicator patterns
+const STIX_TYPES = {
+    'ipv4-addr': { type: 'ip', properties: ['value'] },
+    'ipv6-addr': { type: 'ip', properties: ['value'] },
+    'domain-name': { type: 'domain', properties: ['value'] },
+    file: { type: 'hash', properties: ['hashes.'] },
+    'user-account': { type: 'username', properties: ['user_id', 'account_login'] }
+};
+const STIX_COMPARISON_REGEX = /([a-z0-9-]+):([a-z0-9_.'-]+)\s*=\s*'((?:[^'\\]|\\.)*)'/gi;
+
+const HASH_REGEX = /^(?:[a-f0-9]{32}|[a-f0-9]{40}|[a-f0-9]{64}|[a-f0-9]{128})$/;
+const DOMAIN_REGEX = /^(?=.{1,253}$)(?:[a-z0-9_](?:[a-z0-9_-]{0,61}[a-z0-9])?\.)+[a-z0-9-]{2,63}$/;
+const IPV4_CIDR_REGEX = /^(\d{1,3}(?:\.\d{1,3}){3})\/(\d{1,2})$/;
+
+// Raised for import content that cannot be read at all (as opposed to single bad values)
+class IndicatorFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'IndicatorFormatError';
+    }
+}
+
+// Active indicators by type, loaded on first use and after every change
+let index = null;
+
+function present(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+function normalizeType(type) {
+    if (!present(type)) return null;
+    const name = String(type).trim().toLowerCase();
+    if (INDICATOR_TYPES.includes(name)) return name;
+    return TYPE_ALIASES[name] || null;
+}
+
+// Canonical form of an indicator value, or null when it is not valid for the type
+function canonicalValue(type, value) {
+    if (!present(value)) return null;
+    const text = String(value).trim().toLowerCase();
+
+    switch (type) {
+        case 'ip': {
+            const ip = text.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+)/, '');
+            const cidr = ip.match(IPV4_CIDR_REGEX);
+            if (cidr) {
+                if (!net.isIPv4(cidr[1]) || parseInt(cidr[2], 10) > 32) return null;
+                return cidr[2] === '32' ? cidr[1] : ip;
+            }
+            return net.isIP(ip) ? ip : null;
+        }
+        case 'domain': {
+            const domain = text.replace(/^\*\./, '').replace(/\.$/, '');
+            return DOMAIN_REGEX.test(domain) && !net.isIP(domain) ? domain : null;
+        }
+        case 'hash':
+            return HASH_REGEX.test(text) ? text : null;
+        case 'username':
+            return text.length <= 256 ? text : null;
+        default:
+            return null;
+    }
+}
+
+// Type of an untyped value from a list; usernames cannot be told apart and need a type
+function inferType(value) {
+    for (const type of ['ip', 'hash', 'domain']) {
+        if (canonicalValue(type, value)) return type;
+    }
+    return null;
+}
+
+// Comparisons of a STIX pattern that name a supported observable, e.g.
+// [ipv4-addr:value = '198.51.100.1' OR file:hashes.'SHA-256' = '...']
+function stixPatternValues(pattern) {
+    const values = [];
+    for (const [, objectType, property, value] of pattern.matchAll(STIX_COMPARISON_REGEX)) {
+        const mapping = STIX_TYPES[objectType.toLowerCase()];
+        if (!mapping || !mapping.properties.some(p => (p.endsWith('.') ? property.startsWith(p) : property === p))) continue;
+        values.push({ type: mapping.type, value: value.replace(/\\(.)/g, '$1') });
+    }
+    return values;
+}
+
+function parseStix(content) {
+    let bundle = content;
+    if (typeof content === 'string') {
+        try {
+            bundle = JSON.parse(content);
+        } catch (err) {
+            throw new IndicatorFormatError(`STIX content is not valid JSON: ${err.message}`);
+        }
+    }
+    const objects = Array.isArray(bundle) ? bundle : bundle && bundle.type === 'bundle' ? bundle.objects : [bundle];
+    if (!Array.isArray(objects)) {
+        throw new IndicatorFormatError('STIX content must be a bundle with an objects array');
+    }
+
+    const items = [];
+    const skipped = [];
+    for (const object of objects) {
+        if (!object || typeof object !== 'object') continue;
+
+        if (object.type === 'indicator') {
+            if (object.revoked) {
+                skipped.push({ value: object.id, reason: 'Indicator is revoked' });
+                continue;
+            }
+            if (object.pattern_type && object.pattern_type !== 'stix') {
+                skipped.push({ value: object.id, reason: `Unsupported pattern type: ${object.pattern_type}` });
+                continue;
+            }
+            const values = stixPatternValues(String(object.pattern || ''));
+            if (values.length === 0) {
+                skipped.push({ value: object.id, reason: 'Pattern has no supported comparison' });
+                continue;
+            }
+            for (const { type, value } of values) {
+                items.push({
+                    type,
+                    value,
+                    confidence: object.confidence,
+                    description: object.name || object.description,
+                    reference: object.id,
+                    expires_at: object.valid_until
+                });
+            }
+        } else if (STIX_TYPES[object.type] && object.value !== undefined) {
+            // Bare observables (ipv4-addr, domain-name, ...) shared without an indicator
+            items.push({ type: STIX_TYPES[object.type].type, value: object.value, reference: object.id });
+        }
+    }
+    return { items, skipped };
+}
+
+// CSV with a header row naming at least a value column
+function parseCsv(content, type) {
+    const lines = String(content).split(/\r?\n/).filter(line => line.trim() && !line.startsWith('#'));
+    if (lines.length === 0) return { items: [], skipped: [] };
+
+    const header = splitCsvLine(lines[0]).map(name => name.toLowerCase());
+    const column = names => header.findIndex(name => names.includes(name));
+    const columns = {
+        value: column(['value', 'indicator', 'ioc']),
+        type: column(['type', 'indicator_type']),
+        confidence: column(['confidence']),
+        description: column(['description', 'comment']),
+        expires_at: column(['expires_at', 'valid_until', 'expiration'])
+    };
+    if (columns.value === -1) {
+        throw new IndicatorFormatError('CSV header needs a value column');
+    }
+
+    const items = lines.slice(1).map(line => {
+        const values = splitCsvLine(line);
+        const item = { type };
+        for (const [field, index] of Object.entries(columns)) {
+            if (index !== -1 && present(values[index])) item[field] = values[index];
+        }
+        return item;
+    });
+    return { items, skipped: [] };
+}
+
+// One value per line; "#" starts a comment
+function parseList(content, type) {
+    const items = String(content).split(/\r?\n/)
+        .map(line => line.replace(/(^|\s)#.*$/, '').trim())
+        .filter(Boolean)
+        .map(value => ({ type, value }));
+    return { items, skipped: [] };
+}
+
+// Read import content into raw items; throws IndicatorFormatError when it is unreadable
+function parseImport(format, content, type) {
+    if (format === 'stix') return parseStix(content);
+    if (typeof content !== 'string') {
+        throw new IndicatorFormatError(`${format} content must be a string`);
+    }
+    return format === 'csv' ? parseCsv(content, type) : parseList(content, type);
+}
+
+// Validate raw items and fill in the import defaults.
+// options: { source, confidence, expires_in_days, created_by }
+function prepareIndicators(items, options = {}) {
+    const indicators = new Map();
+    const skipped = [];
+    const defaultExpiry = options.expires_in_days
+        ? new Date(Date.now() + options.expires_in_days * 86400000).toISOString()
+        : null;
+
+    for (const item of items) {
+        const value = item && item.value;
+        const type = item && present(item.type) ? normalizeType(item.type) : inferType(value);
+        if (!type) {
+            skipped.push({ value, reason: present(item && item.type) ? `Unknown type: ${item.type}` : 'Type could not be inferred' });
+            continue;
+        }
+        const canonical = canonicalValue(type, value);
+        if (!canonical) {
+            skipped.push({ value, reason: `Not a valid ${type} indicator` });
+            continue;
+        }
+
+        const confidence = present(item.confidence) ? Number(item.confidence) : (options.confidence ?? DEFAULT_CONFIDENCE);
+        if (!Number.isInteger(confidence) || confidence < 0 || confidence > 100) {
+            skipped.push({ value, reason: 'confidence must be an integer from 0 to 100' });
+            continue;
+        }
+        let expiresAt = defaultExpiry;
+        if (present(item.expires_at)) {
+            const date = new Date(item.expires_at);
+            if (isNaN(date.getTime())) {
+                skipped.push({ value, reason: 'Invalid expires_at' });
+                continue;
+            }
+            expiresAt = date.toISOString();
+        }
+
+        // The last occurrence of a value in one import wins
+        indicators.set(`${type}:${canonical}`, {
+            id: uuidv4(),
+            type,
+            value: canonical,
+            source: options.source || null,
+            confidence,
+            description: present(item.description) ? String(item.description) : null,
+            reference: present(item.reference) ? String(item.reference) : null,
+            expires_at: expiresAt,
+            created_by: options.created_by || null
+        });
+    }
+
+    return { indicators: [...indicators.values()], skipped };
+}
+
+// Store indicators; returns { ids, skipped }
+function importIndicators(items, options = {}) {
+    const { indicators, skipped } = prepareIndicators(items, options);
+    const ids = indicators.length > 0 ? indicatorOps.upsertBatch(indicators) : [];
+    invalidateIndicators();
+    return { ids, skipped };
+}
+
+function buildIndex(indicators) {
+    const built = { size: indicators.length, cidrs: [] };
+    for (const type of INDICATOR_TYPES) built[type] = new Map();
+
+    for (const indicator of indicators) {
+        if (indicator.type === 'ip' && indicator.value.includes('/')) {
+            built.cidrs.push(indicator);
+        } else if (built[indicator.type]) {
+            built[indicator.type].set(indicator.value, indicator);
+        }
+    }
+    return built;
+}
+
+function getIndex() {
+    if (!index) index = buildIndex(indicatorOps.getActive());
+    return index;
+}
+
+function invalidateIndicators() {
+    index = null;
+}
+
+// Host of an absolute URL; access logs only have the path
+function urlHost(url) {
+    try {
+        return new URL(url).hostname;
+    } catch (_e) {
+        return null;
+    }
+}
+
+// www.evil.example.com -> itself, evil.example.com, example.com; a domain indicator covers its subdomains
+function parentDomains(domain) {
+    const labels = domain.split('.');
+    const candidates = [];
+    for (let i = 0; i < labels.length - 1; i++) candidates.push(labels.slice(i).join('.'));
+    return candidates;
+}
+
+// Indicators of the index that one event's fields hit
+function findMatches(event, indicatorIndex) {
+    const normalized = event.normalized || {};
+    const now = new Date().toISOString();
+    const matches = [];
+    const seen = new Set();
+
+    const add = (indicator, field, observed) => {
+        if (!indicator || seen.has(indicator.id)) return;
+        if (indicator.expires_at && indicator.expires_at <= now) return;
+        seen.add(indicator.id);
+        matches.push({
+            indicator_id: indicator.id,
+            type: indicator.type,
+            value: indicator.value,
+            field,
+            observed,
+            source: indicator.source,
+            confidence: indicator.confidence
+        });
+    };
+
+    for (const type of INDICATOR_TYPES) {
+        if (indicatorIndex[type].size === 0 && !(type === 'ip' && indicatorIndex.cidrs.length > 0)) continue;
+
+        for (const field of MATCH_FIELDS[type]) {
+            const fieldValue = getFieldValue(normalized, field);
+            if (!present(fieldValue) || typeof fieldValue === 'object') continue;
+            const observed = String(fieldValue);
+            const value = observed.toLowerCase();
+
+            if (type === 'ip') {
+                add(indicatorIndex.ip.get(value), field, observed);
+                for (const indicator of indicatorIndex.cidrs) {
+                    if (cidrMatch(value, indicator.value)) add(indicator, field, observed);
+                }
+            } else if (type === 'domain') {
+                const host = field === 'url.original' ? urlHost(value) : value.replace(/\.$/, '');
+                if (!host) continue;
+                for (const candidate of parentDomains(host)) add(indicatorIndex.domain.get(candidate), field, observed);
+            } else if (type === 'username') {
+                // DOMAIN\user and user@domain also match a plain user indicator
+                add(indicatorIndex.username.get(value), field, observed);
+                add(indicatorIndex.username.get(value.split('\\').pop().split('@')[0]), field, observed);
+            } else {
+                add(indicatorIndex[type].get(value), field, observed);
+            }
+        }
+    }
+    return matches;
+}
+
+// Tag an event with the active indicators it hits, as parsed_data.ioc_matches.
+// Runs before the event is stored; returns the matches. Any ioc_matches the log
+// itself carried are dropped, so only real indicator hits reach the ioc rules.
+function tagEvent(event) {
+    if (!event.parsed_data || typeof event.parsed_data !== 'object') return [];
+    delete event.parsed_data.ioc_matches;
+
+    const indicatorIndex = getIndex();
+    if (indicatorIndex.size === 0) return [];
+
+    const matches = findMatches(event, indicatorIndex);
+    if (matches.length > 0) {
+        event.parsed_data.ioc_matches = matches;
+        indicatorOps.recordHits(matches.map(m => m.indicator_id));
+    }
+    return matches;
+}
+
+// Check indicators against the events of the last `days` days. Events that hit one
+// are tagged and run through the ioc rules. Returns { days, scanned, matched_events, alerts }.
+function retroHunt(indicatorIds, days) {
+    const now = new Date().toISOString();
+    const indicators = indicatorOps.getByIds(indicatorIds).filter(i => !i.expires_at || i.expires_at > now);
+    const result = { days, scanned: 0, matched_events: 0, alerts: [] };
+    if (indicators.length === 0 || !(days > 0)) return result;
+
+    const huntIndex = buildIndex(indicators);
+    const since = new Date(Date.now() - days * 86400000).toISOString();
+    const found = [];
+
+    // Matches are collected first; events are only updated once the scan is done
+    let lastRowid = 0;
+    let rows;
+    while ((rows = eventOps.getSince(since, lastRowid)).length > 0) {
+        for (const event of rows) {
+            lastRowid = event.row_id;
+            const existing = Array.isArray(event.parsed_data.ioc_matches) ? event.parsed_data.ioc_matches : [];
+            const known = new Set(existing.map(m => m.indicator_id));
+            const fresh = findMatches(event, huntIndex).filter(m => !known.has(m.indicator_id));
+            if (fresh.length > 0) found.push({ event, matches: [...existing, ...fresh], fresh });
+        }
+        result.scanned += rows.length;
+    }
+
+    if (found.length === 0) return result;
+
+    eventOps.setIocMatches(found.map(({ event, matches }) => ({ id: event.id, ioc_matches: matches })));
+    indicatorOps.recordHits(found.flatMap(({ fresh }) => fresh.map(m => m.indicator_id)));
+
+    for (const { event, matches, fresh } of found) {
+        event.parsed_data.ioc_matches = matches;
+        result.alerts.push(...processIocMatches(event, fresh, { retroHunt: true }));
+    }
+    result.matched_events = found.length;
+    return result;
+}
+
+module.exports = {
+    INDICATOR_TYPES,
+    IMPORT_FORMATS,
+    IndicatorFormatError,
+    canonicalValue,
+    parseImport,
+    importIndicators,
+    invalidateIndicators,
+    tagEvent,
+    retroHunt
+};
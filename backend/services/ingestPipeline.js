@@ -0,0 +1,274 @@
+const { v4: uuidv4 } = require('uuid');
+const { eventOps, endpointOps, deadLetterOps, endpointAsset } = require('../database/init');
+const { processEvent } = require('./detectionEngine');
+const { broadcast } = require('./websocketService');
+const { getCustomParser } = require('./customParserService');
+const { normalizeEvent } = require('./normalizer');
+const { lookupIp } = require('./geoipService');
+const { tagEvent } = require('./indicatorService');
+const syslogParser = require('../parsers/syslogParser');
+const authLogParser = require('../parsers/authLogParser');
+const windowsEventParser = require('../parsers/windowsEventParser');
+const cefParser = require('../parsers/cefParser');
+const auditdParser = require('../parsers/auditdParser');
+const jsonParser = require('../parsers/jsonParser');
+const accessLogParser = require('../parsers/accessLogParser');
+
+// Parser selection based on source
+const PARSERS = {
+    syslog: syslogParser,
+    auth: authLogParser,
+    windows: windowsEventParser,
+    cef: cefParser,
+    leef: cefParser,
+    auditd: auditdParser,
+    json: jsonParser,
+    access: accessLogParser,
+    nginx: accessLogParser,
+    apache: accessLogParser
+};
+
+function getParser(source) {
+    // Parsers defined through /api/parsers take precedence over the built-in ones
+    const custom = getCustomParser(source);
+    if (custom) return custom;
+
+    // json:<profile> selects a JSON field mapping profile
+    if (typeof source === 'string' && source.startsWith('json:')) {
+        return jsonParser.withProfile(source.slice('json:'.length));
+    }
+    return PARSERS[source] || syslogParser;
+}
+
+// Add GeoIP/ASN data for the source and destination IPs to parsed_data, build the
+// normalized view, tag threat intel indicator hits (parsed_data.ioc_matches) and
+// attach the sending endpoint's asset record (event.endpoint) for detection.
+// Used for every parsed event before it is stored.
+function enrichEvent(event, endpoint = null) {
+    if (endpoint) event.endpoint = endpointAsset(endpoint);
+
+    const pd = event.parsed_data && typeof event.parsed_data === 'object' ? event.parsed_data : null;
+    if (pd) {
+        // Only the lookup may set these; values from the log itself are dropped
+        delete pd.geo;
+        delete pd.destination_geo;
+        const sourceGeo = lookupIp(pd.source_ip);
+        const destinationGeo = lookupIp(pd.destination_ip);
+        if (sourceGeo) pd.geo = sourceGeo;
+        if (destinationGeo) pd.destination_geo = destinationGeo;
+    }
+    event.normalized = normalizeEvent(event);
+    tagEvent(event);
+    return event;
+}
+
+// The log of a raw event: the line itself, or the object for agents that send structured events
+function rawLog(rawEvent) {
+    return rawEvent !== null && typeof rawEvent === 'object' && rawEvent.log !== undefined ? rawEvent.log : rawEvent;
+}
+
+// Keep raw logs a parser threw on, so they can be re-processed once the parser is fixed.
+// Returns the dead letter ids.
+function quarantine(endpointId, source, failures) {
+    if (failures.length === 0) return [];
+
+    const letters = failures.map(({ rawEvent, error }) => {
+        const log = rawLog(rawEvent);
+        const isText = typeof log === 'string';
+        return {
+            id: uuidv4(),
+            endpoint_id: endpointId,
+            source: String(source),
+            raw_log: isText ? log : JSON.stringify(log),
+            raw_json: !isText,
+            log_timestamp: rawEvent && rawEvent.timestamp,
+            error
+        };
+    });
+
+    try {
+        deadLetterOps.insertBatch(letters);
+    } catch (err) {
+        console.error('[INGEST] Failed to store dead letters:', err.message);
+        return [];
+    }
+
+    return letters.map(letter => letter.id);
+}
+
+// Parse raw logs received from an endpoint, store them, run them through detection
+// and broadcast events and alerts. Each raw event is a log line or { log, timestamp }.
+// Shared by the HTTP ingest API, the syslog receiver and dead-letter re-processing.
+// Lines the parser throws on are quarantined, unless options.replay is set (the
+// caller already holds them as dead letters) - they are returned as failures either way.
+function ingestEvents(endpoint, source, rawEvents, options = {}) {
+    const parser = getParser(source);
+    const events = [];
+    const alerts = [];
+    const failures = [];
+
+    const metadata = {
+        hostname: endpoint.hostname,
+        ip_address: endpoint.ip_address
+    };
+
+    // Update endpoint last seen; re-processed logs are not a sign of life
+    if (!options.replay) {
+        endpointOps.heartbeat(endpoint.id);
+    }
+
+    // Parsers with parseBatch combine related lines (e.g. the records of one auditd event)
+    let items;
+    if (parser.parseBatch) {
+        try {
+            // A combined event is kept by its own raw_log (its lines) if a later step fails;
+            // a single raw event keeps its own, so a replayed dead letter is still known
+            const parsedEvents = parser.parseBatch(rawEvents.map(rawEvent => rawEvent.log || rawEvent), metadata);
+            items = parsedEvents.map(parsed => ({
+                parsed,
+                rawEvent: rawEvents.length === 1 ? rawEvents[0] : { log: parsed.raw_log }
+            }));
+        } catch (parseErr) {
+            // Lines cannot be told apart once combined, so the whole batch fails
+            console.error('[INGEST] Parse error:', parseErr.message);
+            items = [];
+            failures.push(...rawEvents.map(rawEvent => ({ rawEvent, error: parseErr.message })));
+        }
+    } else {
+        items = rawEvents.map(rawEvent => ({ rawEvent }));
+    }
+
+    for (const { rawEvent, parsed: batchParsed } of items) {
+        try {
+            // Parse the raw log
+            const parsed = batchParsed || parser.parse(rawEvent.log || rawEvent, metadata);
+
+            // Assign ID and endpoint info
+            const event = {
+                id: uuidv4(),
+                ...parsed,
+                endpoint_id: endpoint.id,
+                hostname: parsed.hostname || endpoint.hostname,
+                ip_address: parsed.ip_address || endpoint.ip_address,
+                timestamp: rawEvent.timestamp || parsed.timestamp
+            };
+            events.push(enrichEvent(event, endpoint));
+        } catch (parseErr) {
+            console.error('[INGEST] Parse error:', parseErr.message);
+            failures.push({ rawEvent, error: parseErr.message || String(parseErr) });
+        }
+    }
+
+    if (!options.replay) {
+        quarantine(endpoint.id, source, failures);
+    }
+
+    if (events.length > 0) {
+        // Batch insert events; alerts reference them, so this comes before detection
+        eventOps.insertBatch(events);
+
+        // Run through detection engine
+        for (const event of events) {
+            const detectionResult = processEvent(event);
+            if (detectionResult.alerts.length > 0) {
+                alerts.push(...detectionResult.alerts);
+            }
+        }
+
+        // Broadcast new events to WebSocket clients
+        broadcast('events', {
+            type: 'new_events',
+            count: events.length,
+            events: events.slice(0, 10) // Send first 10 for UI update
+        });
+    }
+
+    // Broadcast alerts
+    if (alerts.length > 0) {
+        broadcast('alerts', {
+            type: 'new_alerts',
+            count: alerts.length,
+            alerts
+        });
+    }
+
+    return { events, alerts, failures };
+}
+
+// Run dead letters through the current parsers. Letters that parse are stored as
+// events and deleted; the others keep their place with the new error and attempt count.
+function reprocessDeadLetters(letters) {
+    const groups = new Map();
+    for (const letter of letters) {
+        const key = `${letter.endpoint_id}\u0000${letter.source}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(letter);
+    }
+
+    let reprocessed = 0;
+    let failed = 0;
+    let alerts = 0;
+
+    for (const group of groups.values()) {
+        const { endpoint_id: endpointId, source } = group[0];
+        const endpoint = endpointId ? endpointOps.getById(endpointId) : null;
+
+        if (!endpoint) {
+            const error = endpointId ? 'Endpoint is no longer registered' : 'Log was not sent by an endpoint';
+            for (const letter of group) deadLetterOps.recordFailure(letter.id, error);
+            failed += group.length;
+            continue;
+        }
+
+        // Parsers with parseBatch do not say which line failed, so letters are replayed one by one
+        const parser = getParser(source);
+        const batches = parser.parseBatch ? group.map(letter => [letter]) : [group];
+
+        for (const batch of batches) {
+            const rawEvents = batch.map(letter => ({
+                log: letter.raw_json ? JSON.parse(letter.raw_log) : letter.raw_log,
+                timestamp: letter.log_timestamp || undefined,
+                dead_letter_id: letter.id
+            }));
+            const result = ingestEvents(endpoint, source, rawEvents, { replay: true });
+
+            const failedIds = new Set();
+            let untiedError = null;
+            for (const { rawEvent, error } of result.failures) {
+                const letterId = rawEvent && rawEvent.dead_letter_id;
+                if (letterId) {
+                    failedIds.add(letterId);
+                    deadLetterOps.recordFailure(letterId, error);
+                } else {
+                    untiedError = error;
+                }
+            }
+            // A failure that cannot be tied to a letter fails the whole batch rather than losing it
+            if (untiedError) {
+                for (const letter of batch) {
+                    if (failedIds.has(letter.id)) continue;
+                    failedIds.add(letter.id);
+                    deadLetterOps.recordFailure(letter.id, untiedError);
+                }
+            }
+
+            const succeeded = batch.filter(letter => !failedIds.has(letter.id)).map(letter => letter.id);
+            deadLetterOps.deleteIds(succeeded);
+
+            reprocessed += succeeded.length;
+            failed += failedIds.size;
+            alerts += result.alerts.length;
+        }
+    }
+
+    return { reprocessed, failed, alerts };
+}
+
+module.exports = {
+    PARSERS,
+    getParser,
+    enrichEvent,
+    ingestEvents,
+    quarantine,
+    reprocessDeadLetters
+};
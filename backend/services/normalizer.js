@@ -0,0 +1,265 @@
+// Event Normalizer
+// Maps every parser's output onto one ECS-style schema, stored as event.normalized,
+// so a rule or query on source.ip or user.name works for SSH, Windows, CEF, auditd,
+// access logs and JSON alike. The parser's own fields stay in parsed_data.
+
+const net = require('net');
+const { EVENT_MAPPINGS, SYSMON_CHANNEL, SYSMON_EVENT_MAPPINGS } = require('../parsers/windowsEventParser');
+
+// Every normalized field; documented in the README
+const NORMALIZED_FIELDS = [
+    'event.category', 'event.action', 'event.outcome', 'event.code', 'event.module',
+    'host.name', 'host.ip',
+    'source.ip', 'source.port', 'source.domain',
+    'source.geo.country_iso_code', 'source.geo.country_name', 'source.geo.city_name', 'source.as.number', 'source.as.organization.name',
+    'destination.ip', 'destination.port', 'destination.domain',
+    'destination.geo.country_iso_code', 'destination.geo.country_name', 'destination.geo.city_name', 'destination.as.number', 'destination.as.organization.name',
+    'user.name', 'user.domain', 'user.id', 'user.target.name', 'user.target.domain',
+    'process.executable', 'process.name', 'process.pid', 'process.command_line',
+    'process.hash.md5', 'process.hash.sha1', 'process.hash.sha256',
+    'process.parent.executable', 'process.parent.pid', 'process.parent.command_line',
+    'file.path', 'dll.path', 'dll.hash.md5', 'dll.hash.sha1', 'dll.hash.sha256',
+    'registry.path', 'service.name', 'dns.question.name',
+    'url.original', 'url.path', 'url.query',
+    'http.request.method', 'http.request.referrer', 'http.response.status_code', 'http.response.bytes',
+    'user_agent.original', 'network.protocol'
+];
+
+// Formats whose field names come from the log or the user; their own normalized fields win
+const SELF_DESCRIBING_FORMATS = ['json', 'grok'];
+
+// Windows events whose outcome does not depend on the keywords
+const WINDOWS_OUTCOMES = { 4624: 'success', 4625: 'failure', 4771: 'failure' };
+
+const AUTH_ACTIONS = { ssh: 'ssh-login', sudo: 'sudo', su: 'su', pam: 'pam-authentication' };
+
+function present(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+function firstOf(...values) {
+    return values.find(present);
+}
+
+function getPath(obj, fieldPath) {
+    if (Object.prototype.hasOwnProperty.call(obj, fieldPath)) return obj[fieldPath];
+
+    let value = obj;
+    for (const part of fieldPath.split('.')) {
+        if (value === null || typeof value !== 'object') return undefined;
+        value = value[part];
+    }
+    return value;
+}
+
+function setPath(obj, fieldPath, value) {
+    const parts = fieldPath.split('.');
+    let target = obj;
+    for (const part of parts.slice(0, -1)) {
+        if (target[part] === null || typeof target[part] !== 'object') target[part] = {};
+        target = target[part];
+    }
+    target[parts[parts.length - 1]] = value;
+}
+
+// IP addresses only ("local", "-" and hostnames are dropped); IPv4-mapped IPv6 is unwrapped
+function toIp(value) {
+    if (!present(value)) return undefined;
+    const ip = String(value).replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+    return net.isIP(ip) ? ip : undefined;
+}
+
+// Ports and process IDs; Windows writes process IDs in hex (0x1a4)
+function toNumber(value) {
+    if (!present(value)) return undefined;
+    if (typeof value === 'number') return value;
+    const text = String(value).trim();
+    const number = /^0x[0-9a-f]+$/i.test(text) ? parseInt(text, 16) : /^\d+$/.test(text) ? parseInt(text, 10) : NaN;
+    return isNaN(number) ? undefined : number;
+}
+
+function baseName(filePath) {
+    if (!present(filePath)) return undefined;
+    return String(filePath).split(/[\\/]/).pop() || undefined;
+}
+
+function kebab(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function isSysmon(pd) {
+    return pd.log_name === SYSMON_CHANNEL;
+}
+
+function outcomeOf(event, pd) {
+    if (pd.auth_result === 'success') return 'success';
+    if (pd.auth_result === 'failure' || pd.auth_result === 'invalid_user') return 'failure';
+
+    // auditd
+    if (typeof pd.success === 'boolean') return pd.success ? 'success' : 'failure';
+
+    if (event.source === 'windows') {
+        if (WINDOWS_OUTCOMES[pd.event_id]) return WINDOWS_OUTCOMES[pd.event_id];
+        const keywords = String(pd.keywords || '');
+        if (/audit failure/i.test(keywords)) return 'failure';
+        if (/audit success/i.test(keywords)) return 'success';
+        return undefined;
+    }
+
+    if (event.source === 'access' && typeof pd.status === 'number') {
+        return pd.status < 400 ? 'success' : 'failure';
+    }
+
+    // CEF/LEEF outcome, e.g. "success", "/Failure", "blocked"
+    if (typeof pd.outcome === 'string') {
+        if (/succe|allow/i.test(pd.outcome)) return 'success';
+        if (/fail|den|block|drop|reject/i.test(pd.outcome)) return 'failure';
+    }
+    return undefined;
+}
+
+function actionOf(event, pd) {
+    if (event.source === 'windows') {
+        const mapping = (isSysmon(pd) ? SYSMON_EVENT_MAPPINGS : EVENT_MAPPINGS)[pd.event_id];
+        return mapping ? kebab(mapping.desc) : undefined;
+    }
+    if (event.source === 'auditd') {
+        // Syscalls are numbers unless the log was written with interpreted names
+        const syscall = /^\d+$/.test(String(pd.syscall)) ? undefined : pd.syscall;
+        return firstOf(pd.op, syscall, pd.record_type && pd.record_type.toLowerCase());
+    }
+    if (pd.session_action) return `session-${pd.session_action}`;
+    return firstOf(pd.action, AUTH_ACTIONS[pd.auth_type]);
+}
+
+// The user the event is about, and the account acted on when that is a different one
+function usersOf(event, pd) {
+    const id = firstOf(pd.auid, pd.uid);
+    // auditd falls back to the numeric ID as the event user
+    const user = firstOf(pd.username, event.user);
+    const name = present(id) && user === String(id) ? undefined : user;
+    let domain = pd.user_domain;
+    if (!present(domain) && present(name)) {
+        domain = name === pd.target_user ? pd.target_domain : name === pd.subject_user ? pd.subject_domain : undefined;
+    }
+
+    const targetName = firstOf(pd.target_user, pd.destination_user);
+    const isTarget = present(targetName) && targetName !== name;
+    return {
+        name,
+        domain,
+        id,
+        targetName: isTarget ? targetName : undefined,
+        targetDomain: isTarget ? pd.target_domain : undefined
+    };
+}
+
+// Path of the first named file an auditd event touched (PATH records)
+function auditPath(pd) {
+    if (!Array.isArray(pd.paths)) return undefined;
+    const record = pd.paths.find(p => p.name && p.nametype !== 'PARENT') || pd.paths.find(p => p.name);
+    return record ? record.name : undefined;
+}
+
+// "TCP" -> "tcp"; access logs give the HTTP version ("HTTP/1.1" -> "http")
+function networkProtocol(protocol) {
+    if (!present(protocol)) return undefined;
+    return String(protocol).toLowerCase().replace(/\/.*$/, '');
+}
+
+// GeoIP enrichment (parsed_data.geo, parsed_data.destination_geo) as ECS geo and as fields
+function geoFields(prefix, geo) {
+    const data = geo && typeof geo === 'object' ? geo : {};
+    return {
+        [`${prefix}.geo.country_iso_code`]: data.country_code,
+        [`${prefix}.geo.country_name`]: data.country,
+        [`${prefix}.geo.city_name`]: data.city,
+        [`${prefix}.as.number`]: data.asn,
+        [`${prefix}.as.organization.name`]: data.org
+    };
+}
+
+// Field values derived from the parser's output
+function mapFields(event, pd) {
+    const users = usersOf(event, pd);
+    const executable = firstOf(pd.image, pd.new_process_name, pd.exe, pd.process_name);
+    const sysmonId = isSysmon(pd) ? pd.event_id : null;
+    const hashes = pd.hashes && typeof pd.hashes === 'object' ? pd.hashes : {};
+    const hashOwner = sysmonId === 7 ? 'dll' : 'process';
+
+    return {
+        'event.category': event.event_type,
+        'event.action': actionOf(event, pd),
+        'event.outcome': outcomeOf(event, pd),
+        'event.code': present(pd.event_id) ? String(pd.event_id) : undefined,
+        'event.module': event.source,
+
+        'host.name': event.hostname,
+        'host.ip': toIp(event.ip_address),
+
+        'source.ip': toIp(pd.source_ip),
+        'source.port': toNumber(pd.source_port),
+        'source.domain': firstOf(pd.source_host, pd.source_hostname, pd.workstation),
+        'destination.ip': toIp(pd.destination_ip),
+        'destination.port': toNumber(pd.destination_port),
+        'destination.domain': firstOf(pd.destination_host, pd.destination_hostname, pd.target_server),
+        ...geoFields('source', pd.geo),
+        ...geoFields('destination', pd.destination_geo),
+
+        'user.name': users.name,
+        'user.domain': users.domain,
+        'user.id': present(users.id) ? String(users.id) : undefined,
+        'user.target.name': users.targetName,
+        'user.target.domain': users.targetDomain,
+
+        'process.executable': executable,
+        'process.name': firstOf(pd.comm, baseName(executable), pd.program),
+        'process.pid': toNumber(firstOf(pd.new_process_id, pd.process_id, pd.pid)),
+        'process.command_line': firstOf(pd.command_line, pd.command),
+        [`${hashOwner}.hash.md5`]: hashes.md5,
+        [`${hashOwner}.hash.sha1`]: hashes.sha1,
+        [`${hashOwner}.hash.sha256`]: hashes.sha256,
+        'process.parent.executable': pd.creator_process,
+        'process.parent.pid': toNumber(firstOf(pd.parent_process_id, pd.ppid)),
+        'process.parent.command_line': pd.parent_command_line,
+
+        'file.path': firstOf(pd.target_filename, pd.object_type === 'File' ? pd.object_name : undefined, auditPath(pd)),
+        'dll.path': pd.image_loaded,
+        'registry.path': pd.target_object,
+        'service.name': pd.service_name,
+        'dns.question.name': pd.query_name,
+
+        'url.original': typeof pd.url === 'string' ? pd.url : undefined,
+        'url.path': typeof pd.path === 'string' ? pd.path : undefined,
+        'url.query': typeof pd.query === 'string' ? pd.query : undefined,
+        'http.request.method': pd.method,
+        'http.request.referrer': pd.referrer,
+        // Windows also has a `status` (an NTSTATUS string), so only numbers are HTTP codes
+        'http.response.status_code': typeof pd.status === 'number' ? pd.status : undefined,
+        'http.response.bytes': typeof pd.bytes === 'number' ? pd.bytes : undefined,
+        'user_agent.original': pd.user_agent,
+        'network.protocol': networkProtocol(pd.protocol)
+    };
+}
+
+// Build the normalized view of a parsed event. Only fields with a value are set.
+function normalizeEvent(event) {
+    const pd = event.parsed_data && typeof event.parsed_data === 'object' ? event.parsed_data : {};
+    const values = mapFields(event, pd);
+
+    // ECS documents and Grok captures like %{IP:source.ip} already use the schema's names
+    if (SELF_DESCRIBING_FORMATS.includes(pd.format)) {
+        for (const fieldPath of NORMALIZED_FIELDS) {
+            const value = getPath(pd, fieldPath);
+            if (present(value) && typeof value !== 'object') values[fieldPath] = value;
+        }
+    }
+
+    const normalized = {};
+    for (const fieldPath of NORMALIZED_FIELDS) {
+        if (present(values[fieldPath])) setPath(normalized, fieldPath, values[fieldPath]);
+    }
+    return normalized;
+}
+
+module.exports = { NORMALIZED_FIELDS, normalizeEvent };
@@ -0,0 +1,136 @@
+const { v4: uuidv4 } = require('uuid');
+const { eventOps, retentionOps } = require('../database/init');
+const { archiveEvents } = require('./archiveService');
+
+// Archive events to cold storage before deleting them (set ARCHIVE_ON_PRUNE=false to disable)
+const ARCHIVE_ON_PRUNE = process.env.ARCHIVE_ON_PRUNE !== 'false';
+
+// Restored events are not pruned again until this many days after restore
+const RESTORE_HOLD_DAYS = parseInt(process.env.RESTORE_HOLD_DAYS) || 7;
+
+// Policies created on first start; edit them through /api/retention/policies
+const DEFAULT_POLICIES = [
+    {
+        source: null,
+        severity: null,
+        retention_days: 90,
+        description: 'Default retention for all events'
+    },
+    {
+        source: null,
+        severity: 'critical',
+        retention_days: 365,
+        description: 'Keep critical events for a year'
+    },
+    {
+        source: 'syslog',
+        severity: 'info',
+        retention_days: 14,
+        description: 'Informational syslog is high volume and low value'
+    }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Seed the default policies when none exist yet
+function loadDefaultPolicies() {
+    if (retentionOps.getCount() > 0) {
+        return;
+    }
+
+    for (const policy of DEFAULT_POLICIES) {
+        retentionOps.insert({ id: uuidv4(), ...policy });
+    }
+    console.log(`[RETENTION] Created ${DEFAULT_POLICIES.length} default retention policies`);
+}
+
+// Higher is more specific: source+severity > source > severity > default
+function specificity(policy) {
+    return (policy.source ? 2 : 0) + (policy.severity ? 1 : 0);
+}
+
+// Find the most specific enabled policy covering a source/severity pair
+function resolvePolicy(policies, source, severity) {
+    let best = null;
+    for (const policy of policies) {
+        if (!policy.enabled) continue;
+        if (policy.source && policy.source !== source) continue;
+        if (policy.severity && policy.severity !== severity) continue;
+        if (!best || specificity(policy) > specificity(best)) {
+            best = policy;
+        }
+    }
+    return best;
+}
+
+// Delete events past their retention period and record the run. Events are archived
+// first; events that were restored from the archive are already there and are not
+// written again. Events not covered by any enabled policy are kept indefinitely.
+function pruneEvents({ dryRun = false } = {}) {
+    const startedAt = new Date();
+    const run = {
+        started_at: startedAt.toISOString(),
+        dry_run: dryRun,
+        deleted_count: 0,
+        protected_count: 0,
+        archived_count: 0,
+        details: []
+    };
+
+    const archiveBatch = (events) => {
+        run.archived_count += archiveEvents(events.filter(e => !e.restored_at));
+    };
+
+    try {
+        const policies = retentionOps.getAll();
+        const byPolicy = new Map();
+
+        for (const { source, severity } of eventOps.getRetentionScopes()) {
+            const policy = resolvePolicy(policies, source, severity);
+            if (!policy) continue;
+
+            const cutoff = new Date(startedAt.getTime() - policy.retention_days * DAY_MS).toISOString();
+            const result = eventOps.deleteExpired(source, severity, cutoff, {
+                dryRun,
+                beforeDelete: ARCHIVE_ON_PRUNE ? archiveBatch : null,
+                restoredHoldDays: RESTORE_HOLD_DAYS
+            });
+
+            if (!byPolicy.has(policy.id)) {
+                byPolicy.set(policy.id, {
+                    policy_id: policy.id,
+                    source: policy.source,
+                    severity: policy.severity,
+                    retention_days: policy.retention_days,
+                    deleted: 0,
+                    protected: 0
+                });
+            }
+            const detail = byPolicy.get(policy.id);
+            detail.deleted += result.deleted;
+            detail.protected += result.protected;
+            run.deleted_count += result.deleted;
+            run.protected_count += result.protected;
+        }
+
+        run.details = [...byPolicy.values()];
+    } catch (err) {
+        run.error = err.message;
+        console.error('[RETENTION] Prune failed:', err);
+    }
+
+    run.finished_at = new Date().toISOString();
+    run.id = retentionOps.insertRun(run).lastInsertRowid;
+
+    if (run.deleted_count > 0 || run.protected_count > 0) {
+        console.log(`[RETENTION] ${dryRun ? 'Would delete' : 'Deleted'} ${run.deleted_count} events (${run.archived_count} archived, ${run.protected_count} protected)`);
+    }
+
+    return run;
+}
+
+module.exports = {
+    loadDefaultPolicies,
+    resolvePolicy,
+    pruneEvents
+};
@@ -0,0 +1,154 @@
+// Alert Risk Scoring
+// Scores each alert from 0 to 100 from the rule severity, the endpoint's asset
+// criticality, whether a privileged account is involved, threat intel hits and how
+// often the rule already fired on the endpoint. The weights are kept in the settings
+// table (risk_weights) and can be changed through /api/alerts/risk-weights.
+
+const { alertOps, settingOps } = require('../database/init');
+
+const SETTING_KEY = 'risk_weights';
+const MAX_SCORE = 100;
+const MAX_WINDOW_HOURS = 720;
+const MAX_PRIVILEGED_USERS = 100;
+
+const DEFAULT_RISK_WEIGHTS = {
+    // Base points by rule severity
+    severity: { info: 10, warning: 30, critical: 50 },
+    // Added by endpoint criticality (see the asset inventory)
+    criticality: { low: 0, medium: 5, high: 15, critical: 25 },
+    // Added when the event's user or target user is one of privileged_users
+    privileged_user: 15,
+    privileged_users: ['root', 'administrator', 'admin', 'system'],
+    // Added for threat intel hits, scaled by the highest indicator confidence
+    threat_intel: 20,
+    // Added per earlier alert of the same rule on the same endpoint, up to repeat_max
+    repeat_offence: 5,
+    repeat_max: 15,
+    repeat_window_hours: 24
+};
+
+const POINT_FIELDS = ['privileged_user', 'threat_intel', 'repeat_offence', 'repeat_max'];
+
+let cachedWeights = null;
+
+function isPoints(value) {
+    return typeof value === 'number' && value >= 0 && value <= MAX_SCORE;
+}
+
+// Weights in effect: the stored ones over the defaults
+function getRiskWeights() {
+    if (cachedWeights) return cachedWeights;
+
+    let stored = {};
+    const value = settingOps.get(SETTING_KEY);
+    if (value) {
+        try {
+            stored = JSON.parse(value);
+        } catch (err) {
+            console.error('[RISK] Stored risk weights are not valid JSON, using the defaults:', err.message);
+        }
+    }
+    cachedWeights = mergeWeights(DEFAULT_RISK_WEIGHTS, stored);
+    return cachedWeights;
+}
+
+function mergeWeights(base, changes) {
+    return {
+        ...base,
+        ...changes,
+        severity: { ...base.severity, ...changes.severity },
+        criticality: { ...base.criticality, ...changes.criticality }
+    };
+}
+
+// Check a partial set of weights; returns an error message or null
+function validateRiskWeights(changes) {
+    if (changes === null || typeof changes !== 'object' || Array.isArray(changes)) {
+        return 'weights must be an object';
+    }
+
+    const unknown = Object.keys(changes).find(key => !Object.prototype.hasOwnProperty.call(DEFAULT_RISK_WEIGHTS, key));
+    if (unknown) return `Unknown weight "${unknown}"`;
+
+    for (const group of ['severity', 'criticality']) {
+        if (changes[group] === undefined) continue;
+        const levels = changes[group];
+        if (levels === null || typeof levels !== 'object' || Array.isArray(levels)) {
+            return `${group} must be an object of ${Object.keys(DEFAULT_RISK_WEIGHTS[group]).join(', ')} points`;
+        }
+        for (const [level, points] of Object.entries(levels)) {
+            if (!Object.prototype.hasOwnProperty.call(DEFAULT_RISK_WEIGHTS[group], level)) return `Unknown ${group} level "${level}"`;
+            if (!isPoints(points)) return `${group}.${level} must be a number from 0 to ${MAX_SCORE}`;
+        }
+    }
+    for (const field of POINT_FIELDS) {
+        if (changes[field] !== undefined && !isPoints(changes[field])) {
+            return `${field} must be a number from 0 to ${MAX_SCORE}`;
+        }
+    }
+    const hours = changes.repeat_window_hours;
+    if (hours !== undefined && (!Number.isInteger(hours) || hours < 1 || hours > MAX_WINDOW_HOURS)) {
+        return `repeat_window_hours must be an integer from 1 to ${MAX_WINDOW_HOURS}`;
+    }
+    const users = changes.privileged_users;
+    if (users !== undefined && (!Array.isArray(users) || users.length > MAX_PRIVILEGED_USERS || !users.every(user => typeof user === 'string' && user))) {
+        return `privileged_users must be an array of at most ${MAX_PRIVILEGED_USERS} user names`;
+    }
+    return null;
+}
+
+// Store weights over the ones in effect; returns the new weights
+function setRiskWeights(changes) {
+    const weights = mergeWeights(getRiskWeights(), changes);
+    settingOps.set(SETTING_KEY, JSON.stringify(weights));
+    cachedWeights = weights;
+    return weights;
+}
+
+// "CORP\\Administrator" and "admin@corp.example" -> bare lowercase name
+function bareUser(value) {
+    if (typeof value !== 'string' || !value) return null;
+    return value.replace(/^.*\\/, '').replace(/@.*$/, '').toLowerCase();
+}
+
+function involvesPrivilegedUser(event, privilegedUsers) {
+    const normalized = event.normalized || {};
+    const user = normalized.user || {};
+    const candidates = [event.user, user.name, user.target && user.target.name].map(bareUser).filter(Boolean);
+    const privileged = privilegedUsers.map(name => name.toLowerCase());
+    return candidates.some(name => privileged.includes(name));
+}
+
+function highestIocConfidence(event) {
+    const matches = event.parsed_data && event.parsed_data.ioc_matches;
+    if (!Array.isArray(matches) || matches.length === 0) return 0;
+    return Math.max(...matches.map(m => (typeof m.confidence === 'number' ? m.confidence : 0)));
+}
+
+// Risk score of an alert the rule is about to raise for the event.
+// Returns { score, factors } with the points each factor added.
+function scoreAlert(event, rule) {
+    const weights = getRiskWeights();
+    const asset = event.endpoint || {};
+
+    const earlier = alertOps.countRecent(rule.id, event.endpoint_id || null, weights.repeat_window_hours);
+
+    const factors = {
+        severity: weights.severity[rule.severity] || 0,
+        criticality: weights.criticality[asset.criticality] || 0,
+        privileged_user: involvesPrivilegedUser(event, weights.privileged_users) ? weights.privileged_user : 0,
+        threat_intel: Math.round(weights.threat_intel * highestIocConfidence(event) / 100),
+        repeat_offence: Math.min(earlier * weights.repeat_offence, weights.repeat_max)
+    };
+    const total = Object.values(factors).reduce((sum, points) => sum + points, 0);
+
+    return { score: Math.min(Math.round(total), MAX_SCORE), factors };
+}
+
+module.exports = {
+    DEFAULT_RISK_WEIGHTS,
+    getRiskWeights,
+    validateRiskWeights,
+    setRiskWeights,
+    scoreAlert
+};
@@ -0,0 +1,579 @@
+// Sigma Rule Converter
+// Translates Sigma YAML rules into detection engine rules (signature/threshold)
+// Anything that cannot be expressed with matchesCondition is reported in `untranslated`
+
+const yaml = require('js-yaml');
+
+// Sigma field names -> event field paths
+const FIELD_MAP = {
+    // Generic
+    user: 'user',
+    username: 'parsed_data.username',
+    hostname: 'hostname',
+    computer: 'hostname',
+    computername: 'hostname',
+    message: 'parsed_data.message',
+    keywords: 'raw_log',
+
+    // Network
+    src_ip: 'parsed_data.source_ip',
+    source_ip: 'parsed_data.source_ip',
+    sourceip: 'parsed_data.source_ip',
+    ipaddress: 'parsed_data.source_ip',
+    src_port: 'parsed_data.source_port',
+    sourceport: 'parsed_data.source_port',
+    ipport: 'parsed_data.source_port',
+
+    // Linux / syslog
+    program: 'parsed_data.program',
+    application: 'parsed_data.program',
+    pid: 'parsed_data.pid',
+    command: 'parsed_data.command',
+    tty: 'parsed_data.tty',
+
+    // Web server access logs
+    'c-ip': 'parsed_data.source_ip',
+    'cs-method': 'parsed_data.method',
+    'c-uri': 'parsed_data.decoded_url',
+    'cs-uri-stem': 'parsed_data.path',
+    'cs-uri-query': 'parsed_data.query',
+    'sc-status': 'parsed_data.status',
+    'c-useragent': 'parsed_data.user_agent',
+    'cs-user-agent': 'parsed_data.user_agent',
+    'cs-referer': 'parsed_data.referrer',
+
+    // Windows
+    eventid: 'parsed_data.event_id',
+    channel: 'parsed_data.log_name',
+    provider_name: 'parsed_data.provider',
+    subjectusername: 'parsed_data.subject_user',
+    subjectdomainname: 'parsed_data.subject_domain',
+    targetusername: 'parsed_data.target_user',
+    targetdomainname: 'parsed_data.target_domain',
+    logontype: 'parsed_data.logon_type_id',
+    workstationname: 'parsed_data.workstation',
+    authenticationpackagename: 'parsed_data.authentication_package',
+    status: 'parsed_data.status',
+    substatus: 'parsed_data.sub_status',
+    failurereason: 'parsed_data.failure_reason',
+    processname: 'parsed_data.process_name',
+    objectname: 'parsed_data.object_name',
+    objecttype: 'parsed_data.object_type',
+    accesslist: 'parsed_data.access_list',
+    taskname: 'parsed_data.task_name',
+    privilegelist: 'parsed_data.privileges',
+    image: 'parsed_data.image',
+    newprocessname: 'parsed_data.new_process_name',
+    commandline: 'parsed_data.command_line',
+    parentimage: 'parsed_data.creator_process',
+    parentprocessname: 'parsed_data.creator_process',
+    tokenelevationtype: 'parsed_data.token_elevation',
+    servicename: 'parsed_data.service_name',
+    imagepath: 'parsed_data.service_path',
+    servicefilename: 'parsed_data.service_path',
+    servicetype: 'parsed_data.service_type',
+    starttype: 'parsed_data.service_start_type',
+    accountname: 'parsed_data.service_account',
+
+    // Sysmon (Image, CommandLine and ParentImage are shared with 4688 above)
+    parentcommandline: 'parsed_data.parent_command_line',
+    currentdirectory: 'parsed_data.current_directory',
+    integritylevel: 'parsed_data.integrity_level',
+    originalfilename: 'parsed_data.original_file_name',
+    hashes: 'parsed_data.event_data.Hashes',
+    imageloaded: 'parsed_data.image_loaded',
+    signed: 'parsed_data.event_data.Signed',
+    signature: 'parsed_data.signature',
+    signaturestatus: 'parsed_data.signature_status',
+    sourceimage: 'parsed_data.source_image',
+    targetimage: 'parsed_data.target_image',
+    grantedaccess: 'parsed_data.granted_access',
+    calltrace: 'parsed_data.call_trace',
+    startmodule: 'parsed_data.start_module',
+    startfunction: 'parsed_data.start_function',
+    targetfilename: 'parsed_data.target_filename',
+    targetobject: 'parsed_data.target_object',
+    details: 'parsed_data.details',
+    eventtype: 'parsed_data.registry_event_type',
+    destinationip: 'parsed_data.destination_ip',
+    destinationport: 'parsed_data.destination_port',
+    destinationhostname: 'parsed_data.destination_hostname',
+    initiated: 'parsed_data.event_data.Initiated',
+    queryname: 'parsed_data.query_name',
+    queryresults: 'parsed_data.query_results'
+};
+
+// Sigma logsource values -> conditions restricting which events a rule sees
+const LOGSOURCE_MAP = {
+    product: {
+        linux: { any: [{ field: 'source', equals: 'syslog' }, { field: 'source', equals: 'auth' }] },
+        windows: { field: 'source', equals: 'windows' }
+    },
+    service: {
+        auth: { field: 'source', equals: 'auth' },
+        syslog: { field: 'source', equals: 'syslog' },
+        sshd: { field: 'parsed_data.program', equals: 'sshd' },
+        sudo: { field: 'parsed_data.program', equals: 'sudo' },
+        cron: { field: 'parsed_data.program', equals: 'cron' },
+        security: { field: 'parsed_data.log_name', equals: 'Security' },
+        system: { field: 'parsed_data.log_name', equals: 'System' },
+        sysmon: { field: 'parsed_data.log_name', equals: 'Microsoft-Windows-Sysmon/Operational' }
+    },
+    category: {
+        process_creation: { field: 'event_type', equals: 'process' },
+        authentication: { field: 'event_type', equals: 'authentication' },
+        firewall: { field: 'event_type', equals: 'firewall' },
+        file_access: { field: 'event_type', equals: 'file_access' },
+        webserver: { field: 'event_type', equals: 'web' },
+        network_connection: { field: 'event_type', equals: 'network' },
+        image_load: { field: 'event_type', equals: 'image_load' },
+        create_remote_thread: { field: 'event_type', equals: 'remote_thread' },
+        process_access: { field: 'event_type', equals: 'process_access' },
+        file_event: { field: 'event_type', equals: 'file_create' },
+        registry_event: { field: 'event_type', equals: 'registry' },
+        registry_add: { field: 'parsed_data.registry_event_type', equals: 'CreateKey' },
+        registry_delete: { any: [{ field: 'parsed_data.registry_event_type', equals: 'DeleteKey' }, { field: 'parsed_data.registry_event_type', equals: 'DeleteValue' }] },
+        registry_set: { field: 'parsed_data.registry_event_type', equals: 'SetValue' },
+        registry_rename: { field: 'parsed_data.registry_event_type', equals: 'RenameKey' },
+        dns_query: { field: 'event_type', equals: 'dns' }
+    }
+};
+
+// Sigma level -> SIEM severity
+const LEVEL_MAP = {
+    informational: 'info',
+    low: 'info',
+    medium: 'warning',
+    high: 'critical',
+    critical: 'critical'
+};
+
+const SUPPORTED_MODIFIERS = ['contains', 'startswith', 'endswith', 'all', 're', 'i', 'exists'];
+
+function escapeRegex(str) {
+    return str.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+// Convert a Sigma string value (with * and ? wildcards) into a regex fragment
+function wildcardToRegex(value) {
+    let out = '';
+    for (let i = 0; i < value.length; i++) {
+        const ch = value.charAt(i);
+        if (ch === '\\' && i + 1 < value.length && '*?\\'.includes(value.charAt(i + 1))) {
+            out += escapeRegex(value.charAt(i + 1));
+            i++;
+        } else if (ch === '*') {
+            out += '.*';
+        } else if (ch === '?') {
+            out += '.';
+        } else {
+            out += escapeRegex(ch);
+        }
+    }
+    return out;
+}
+
+function hasWildcard(value) {
+    return /(^|[^\\])[*?]/.test(value);
+}
+
+function mapField(sigmaField, ctx) {
+    const mapped = FIELD_MAP[sigmaField.toLowerCase()];
+    if (mapped) return mapped;
+
+    const fallback = `parsed_data.${sigmaField}`;
+    ctx.untranslated.push({
+        part: `detection field ${sigmaField}`,
+        reason: `No field mapping for "${sigmaField}", assumed ${fallback}`
+    });
+    return fallback;
+}
+
+// Build a condition for a single field/value pair
+function valueCondition(field, value, modifiers, ctx, location) {
+    if (value === null) {
+        ctx.untranslated.push({ part: location, reason: 'null (field absent) checks are not supported' });
+        return null;
+    }
+
+    if (modifiers.includes('exists')) {
+        const exists = { field, matches: '.' };
+        return value === false ? { not: exists } : exists;
+    }
+
+    if (typeof value === 'number' || typeof value === 'boolean') {
+        if (modifiers.length === 0) {
+            return { field, equals: value };
+        }
+        value = String(value);
+    }
+
+    if (typeof value !== 'string') {
+        ctx.untranslated.push({ part: location, reason: `Unsupported value type: ${typeof value}` });
+        return null;
+    }
+
+    // Sigma regexes are case-sensitive unless the i sub-modifier is given (re|i)
+    if (modifiers.includes('re')) {
+        return modifiers.includes('i') ? { field, matches: value } : { field, matches: value, case_sensitive: true };
+    }
+
+    const wildcard = hasWildcard(value);
+    const body = wildcard ? wildcardToRegex(value) : escapeRegex(value);
+
+    if (modifiers.includes('contains')) {
+        return wildcard ? { field, matches: body } : { field, contains: value };
+    }
+    if (modifiers.includes('startswith')) {
+        return { field, matches: `^${body}` };
+    }
+    if (modifiers.includes('endswith')) {
+        return { field, matches: `${body}$` };
+    }
+
+    // Plain Sigma equality is case-insensitive, so use an anchored regex
+    return { field, matches: `^${body}$` };
+}
+
+// Translate one "Field|modifier: value(s)" entry of a selection map
+function translateSelectionItem(key, value, ctx, location) {
+    const [sigmaField, ...modifiers] = key.split('|');
+    const itemLocation = `${location}.${key}`;
+
+    const unsupported = modifiers.filter(m => !SUPPORTED_MODIFIERS.includes(m));
+    if (unsupported.length > 0) {
+        ctx.untranslated.push({
+            part: itemLocation,
+            reason: `Unsupported modifier(s): ${unsupported.join(', ')}`
+        });
+        return null;
+    }
+
+    const field = mapField(sigmaField, ctx);
+    const values = Array.isArray(value) ? value : [value];
+
+    // contains with a plain list maps directly onto contains_any
+    if (modifiers.length === 1 && modifiers[0] === 'contains' && values.length > 1 &&
+        values.every(v => typeof v === 'string' && !hasWildcard(v))) {
+        return { field, contains_any: values };
+    }
+
+    const conditions = values
+        .map(v => valueCondition(field, v, modifiers, ctx, itemLocation))
+        .filter(Boolean);
+
+    if (conditions.length === 0) return null;
+    if (conditions.length === 1) return conditions[0];
+    return modifiers.includes('all') ? { all: conditions } : { any: conditions };
+}
+
+function translateSelectionMap(map, ctx, location) {
+    const conditions = Object.entries(map)
+        .map(([key, value]) => translateSelectionItem(key, value, ctx, location))
+        .filter(Boolean);
+
+    if (conditions.length === 0) return null;
+    if (conditions.length === 1) return conditions[0];
+    return { all: conditions };
+}
+
+// Translate a named detection block (map, list of maps, or keyword list)
+function translateSelection(name, selection, ctx) {
+    const location = `detection.${name}`;
+
+    if (Array.isArray(selection)) {
+        const conditions = selection.map((item, i) => {
+            if (item !== null && typeof item === 'object') {
+                return translateSelectionMap(item, ctx, `${location}[${i}]`);
+            }
+            // Keyword search against the raw log line
+            return valueCondition('raw_log', item, ['contains'], ctx, `${location}[${i}]`);
+        }).filter(Boolean);
+
+        if (conditions.length === 0) return null;
+        if (conditions.length === 1) return conditions[0];
+        return { any: conditions };
+    }
+
+    if (selection !== null && typeof selection === 'object') {
+        return translateSelectionMap(selection, ctx, location);
+    }
+
+    ctx.untranslated.push({ part: location, reason: 'Selection must be a map or a list' });
+    return null;
+}
+
+// Tokenize a Sigma condition expression
+function tokenizeCondition(expr) {
+    const tokens = [];
+    const re = /\s*(\(|\)|[A-Za-z0-9_*-]+)/y;
+    let match;
+
+    while (re.lastIndex < expr.length) {
+        const start = re.lastIndex;
+        match = re.exec(expr);
+        if (!match) {
+            if (expr.slice(start).trim() === '') break;
+            throw new Error(`Unexpected character in condition at position ${start}`);
+        }
+        tokens.push(match[1]);
+    }
+
+    return tokens;
+}
+
+// Recursive descent parser for: or > and > not > primary
+function parseCondition(expr, selections, ctx) {
+    const tokens = tokenizeCondition(expr);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const lower = (t) => (t || '').toLowerCase();
+
+    function selectionNames(pattern) {
+        if (pattern === 'them') {
+            return Object.keys(selections).filter(n => !n.startsWith('_'));
+        }
+        const re = new RegExp(`^${wildcardToRegex(pattern)}$`);
+        return Object.keys(selections).filter(n => re.test(n));
+    }
+
+    function primary() {
+        const token = peek();
+        if (token === undefined) throw new Error('Unexpected end of condition');
+
+        if (token === '(') {
+            pos++;
+            const inner = orExpr();
+            if (peek() !== ')') throw new Error('Missing closing parenthesis in condition');
+            pos++;
+            return inner;
+        }
+
+        // "1 of selection*", "all of them"
+        if ((token === '1' || lower(token) === 'all' || lower(token) === 'any') && lower(tokens[pos + 1]) === 'of') {
+            const pattern = tokens[pos + 2];
+            if (!pattern) throw new Error('Missing selection pattern after "of"');
+            pos += 3;
+            const names = selectionNames(pattern);
+            if (names.length === 0) throw new Error(`No selection matches "${pattern}"`);
+            const conditions = names.map(n => selections[n]).filter(Boolean);
+            return lower(token) === 'all' ? { all: conditions } : { any: conditions };
+        }
+
+        pos++;
+        if (!Object.prototype.hasOwnProperty.call(selections, token)) {
+            throw new Error(`Unknown selection "${token}" in condition`);
+        }
+        return selections[token];
+    }
+
+    function notExpr() {
+        if (lower(peek()) === 'not') {
+            pos++;
+            const inner = notExpr();
+            return inner ? { not: inner } : null;
+        }
+        return primary();
+    }
+
+    function andExpr() {
+        const parts = [notExpr()];
+        while (lower(peek()) === 'and') {
+            pos++;
+            parts.push(notExpr());
+        }
+        const kept = parts.filter(Boolean);
+        if (kept.length !== parts.length) {
+            ctx.untranslated.push({ part: 'detection.condition', reason: 'An AND operand could not be translated and was omitted' });
+        }
+        return kept.length === 1 ? kept[0] : kept.length ? { all: kept } : null;
+    }
+
+    function orExpr() {
+        const parts = [andExpr()];
+        while (lower(peek()) === 'or') {
+            pos++;
+            parts.push(andExpr());
+        }
+        const kept = parts.filter(Boolean);
+        if (kept.length !== parts.length) {
+            ctx.untranslated.push({ part: 'detection.condition', reason: 'An OR operand could not be translated and was omitted' });
+        }
+        return kept.length === 1 ? kept[0] : kept.length ? { any: kept } : null;
+    }
+
+    const result = orExpr();
+    if (pos < tokens.length) {
+        throw new Error(`Unexpected token "${tokens[pos]}" in condition`);
+    }
+    return result;
+}
+
+// Parse "count() by field > 5" style aggregations
+function parseAggregation(expr, ctx) {
+    const match = expr.trim().match(/^count\(\s*(\S*)\s*\)(?:\s+by\s+(\S+))?\s*(>=|>|<=|<|==|=)\s*(\d+)$/i);
+    if (!match) {
+        ctx.untranslated.push({ part: 'detection.condition', reason: `Unsupported aggregation: ${expr.trim()}` });
+        return null;
+    }
+
+    const [, countField, groupField, operator, value] = match;
+    if (countField) {
+        ctx.untranslated.push({ part: 'detection.condition', reason: `Distinct count of ${countField} is not supported` });
+        return null;
+    }
+    if (operator !== '>' && operator !== '>=') {
+        ctx.untranslated.push({ part: 'detection.condition', reason: `Aggregation operator ${operator} is not supported` });
+        return null;
+    }
+
+    const n = parseInt(value);
+    return {
+        threshold: operator === '>' ? n + 1 : n,
+        group_by: groupField ? mapField(groupField, ctx) : null
+    };
+}
+
+// Sigma timeframe (30s, 5m, 1h, 1d) -> seconds
+function parseTimeframe(timeframe) {
+    const match = String(timeframe || '').match(/^(\d+)\s*([smhd])$/i);
+    if (!match) return null;
+    const unit = { s: 1, m: 60, h: 3600, d: 86400 }[match[2].toLowerCase()];
+    return parseInt(match[1]) * unit;
+}
+
+function translateLogsource(logsource, ctx) {
+    if (!logsource || typeof logsource !== 'object') return [];
+
+    const conditions = [];
+    for (const [key, value] of Object.entries(logsource)) {
+        if (key === 'definition') continue;
+
+        const mapped = LOGSOURCE_MAP[key] && LOGSOURCE_MAP[key][String(value).toLowerCase()];
+        if (mapped) {
+            conditions.push(mapped);
+        } else {
+            ctx.untranslated.push({ part: `logsource.${key}`, reason: `No mapping for ${key} "${value}"` });
+        }
+    }
+    return conditions;
+}
+
+function slugify(str) {
+    return String(str).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 64);
+}
+
+// Convert a single parsed Sigma document into a detection rule
+function convertSigmaRule(doc, options = {}) {
+    const ctx = { untranslated: [] };
+
+    if (!doc || typeof doc !== 'object') {
+        throw new Error('Sigma rule must be a YAML mapping');
+    }
+    if (!doc.title) {
+        throw new Error('Sigma rule is missing a title');
+    }
+    if (!doc.detection || typeof doc.detection !== 'object') {
+        throw new Error('Sigma rule is missing a detection block');
+    }
+    if (doc.action) {
+        ctx.untranslated.push({ part: 'action', reason: `Rule collections (action: ${doc.action}) are not supported` });
+    }
+
+    const { condition, timeframe, ...selectionBlocks } = doc.detection;
+    if (!condition) {
+        throw new Error('Sigma rule is missing detection.condition');
+    }
+
+    const selections = {};
+    for (const [name, selection] of Object.entries(selectionBlocks)) {
+        selections[name] = translateSelection(name, selection, ctx);
+    }
+
+    // Multiple conditions in a list are OR'ed together
+    const conditionList = Array.isArray(condition) ? condition : [condition];
+    let aggregation = null;
+    const matchTrees = [];
+
+    for (const expr of conditionList) {
+        const [searchExpr, ...aggregationParts] = String(expr).split('|');
+        matchTrees.push(parseCondition(searchExpr, selections, ctx));
+
+        if (aggregationParts.length > 0) {
+            if (conditionList.length > 1) {
+                ctx.untranslated.push({ part: 'detection.condition', reason: 'Aggregations across multiple conditions are not supported' });
+            } else {
+                aggregation = parseAggregation(aggregationParts.join('|'), ctx);
+            }
+        }
+    }
+
+    const detectionTree = matchTrees.length === 1 ? matchTrees[0] : { any: matchTrees.filter(Boolean) };
+    const parts = [...translateLogsource(doc.logsource, ctx), detectionTree].filter(Boolean);
+    const matchCondition = parts.length === 1 ? parts[0] : { all: parts };
+
+    let ruleType = 'signature';
+    let conditions = matchCondition;
+
+    if (aggregation) {
+        const windowSeconds = parseTimeframe(timeframe);
+        if (timeframe && !windowSeconds) {
+            ctx.untranslated.push({ part: 'detection.timeframe', reason: `Unsupported timeframe "${timeframe}"` });
+        }
+        ruleType = 'threshold';
+        conditions = {
+            all: matchCondition.all || [matchCondition],
+            threshold: aggregation.threshold,
+            window_seconds: windowSeconds || 300,
+            group_by: aggregation.group_by
+        };
+    }
+
+    const level = String(doc.level || 'medium').toLowerCase();
+    const untranslated = ctx.untranslated;
+
+    // A partially translated rule matches more broadly than intended, so it is imported disabled
+    const enabled = options.enabled !== false && untranslated.length === 0;
+
+    const rule = {
+        id: `sigma-${doc.id ? slugify(doc.id) : slugify(doc.title)}`,
+        name: doc.title,
+        description: doc.description || `Imported from Sigma rule "${doc.title}"`,
+        enabled,
+        severity: LEVEL_MAP[level] || 'warning',
+        rule_type: ruleType,
+        conditions,
+        actions: { alert: true }
+    };
+
+    return { rule, untranslated };
+}
+
+// Convert YAML text (one or more documents) into detection rules
+function convertSigma(yamlText, options = {}) {
+    const docs = yaml.loadAll(yamlText).filter(doc => doc !== null && doc !== undefined);
+    const results = [];
+
+    for (const doc of docs) {
+        try {
+            results.push(convertSigmaRule(doc, options));
+        } catch (err) {
+            results.push({
+                rule: null,
+                title: doc && doc.title,
+                error: err.message,
+                untranslated: []
+            });
+        }
+    }
+
+    return results;
+}
+
+module.exports = {
+    convertSigma,
+    convertSigmaRule,
+    FIELD_MAP,
+    LOGSOURCE_MAP
+};
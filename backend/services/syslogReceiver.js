@@ -0,0 +1,305 @@
+const dgram = require('dgram');
+const net = require('net');
+const tls = require('tls');
+const fs = require('fs');
+const { endpointOps } = require('../database/init');
+const { ingestEvents } = require('./ingestPipeline');
+const syslogParser = require('../parsers/syslogParser');
+
+// Listener configuration. The UDP and TCP listeners are opt-in and only start when
+// their port is set; the TLS listener (RFC 5425) only starts when a certificate and
+// key are configured. Set a port to "off" to disable that listener.
+const SYSLOG_HOST = process.env.SYSLOG_HOST || '0.0.0.0';
+const UDP_PORT = portSetting(process.env.SYSLOG_UDP_PORT, null);
+const TCP_PORT = portSetting(process.env.SYSLOG_TCP_PORT, null);
+const TLS_PORT = portSetting(process.env.SYSLOG_TLS_PORT, 6514);
+const TLS_CERT = process.env.SYSLOG_TLS_CERT;
+const TLS_KEY = process.env.SYSLOG_TLS_KEY;
+const TLS_CA = process.env.SYSLOG_TLS_CA; // If set, senders must present a client certificate signed by it
+
+const MAX_MESSAGE_BYTES = 64 * 1024;
+const FLUSH_INTERVAL_MS = 1000;
+const MAX_PENDING_PER_ENDPOINT = 500;
+
+const listeners = [];
+const connections = new Set();
+
+// Messages waiting to be ingested: Map<endpoint id, [{ ip, line }]>
+const pending = new Map();
+
+// Sender IP -> endpoint id. The endpoint itself is read at flush time, so changes to
+// its asset record reach the next batch; ids of endpoints that are gone are dropped then.
+const endpointsByIp = new Map();
+
+const stats = { received: 0, dropped: 0, listeners: {} };
+let flushTimer = null;
+
+function portSetting(value, defaultPort) {
+    if (value === undefined || value === '') return defaultPort;
+    if (['off', 'false', 'disabled'].includes(String(value).toLowerCase())) return null;
+    return parseInt(value, 10);
+}
+
+// IPv4 senders on dual-stack sockets show up as ::ffff:a.b.c.d
+function normalizeIp(address) {
+    return String(address || '').replace(/^::ffff:/, '');
+}
+
+// Find the endpoint id for a sender IP, creating an endpoint for senders we have not seen before
+function resolveEndpoint(ip, firstMessage) {
+    if (endpointsByIp.has(ip)) {
+        return endpointsByIp.get(ip);
+    }
+
+    let endpoint = endpointOps.getByIp(ip);
+    if (!endpoint) {
+        const parsed = syslogParser.parse(firstMessage, { hostname: ip });
+        const id = `syslog-${ip.replace(/[^0-9A-Za-z]/g, '-')}`;
+
+        endpointOps.upsert({
+            id,
+            hostname: parsed.hostname || ip,
+            ip_address: ip,
+            os: 'syslog',
+            status: 'healthy',
+            config: { source: 'syslog' }
+        });
+        endpoint = endpointOps.getById(id);
+        console.log(`[SYSLOG] New sender ${ip}, created endpoint ${endpoint.hostname} (${id})`);
+    }
+
+    endpointsByIp.set(ip, endpoint.id);
+    return endpoint.id;
+}
+
+function forgetEndpoint(endpointId) {
+    for (const [ip, id] of endpointsByIp) {
+        if (id === endpointId) endpointsByIp.delete(ip);
+    }
+}
+
+// Add a message to its endpoint's batch, ingesting the batch once it is full
+function enqueue(ip, line) {
+    const endpointId = resolveEndpoint(ip, line);
+
+    if (!pending.has(endpointId)) {
+        pending.set(endpointId, []);
+    }
+    const messages = pending.get(endpointId);
+    messages.push({ ip, line });
+
+    if (messages.length >= MAX_PENDING_PER_ENDPOINT) {
+        flushEndpoint(endpointId);
+    }
+}
+
+// Queue one syslog message; queued messages are ingested per endpoint in batches
+function receive(ip, message) {
+    const line = message.replace(/[\r\n\0]+$/, '');
+    if (!line.trim()) return;
+
+    try {
+        stats.received++;
+        enqueue(ip, line);
+    } catch (err) {
+        stats.dropped++;
+        console.error(`[SYSLOG] Failed to queue message from ${ip}:`, err.message);
+    }
+}
+
+function flushEndpoint(endpointId) {
+    const messages = pending.get(endpointId);
+    pending.delete(endpointId);
+    if (!messages || messages.length === 0) return;
+
+    const lines = messages.map(message => message.line);
+    try {
+        const endpoint = endpointOps.getById(endpointId);
+        if (!endpoint) {
+            // Gone since its id was cached: map the senders again and queue the messages for them
+            console.warn(`[SYSLOG] Endpoint ${endpointId} is no longer registered, mapping its senders again`);
+            forgetEndpoint(endpointId);
+            for (const { ip, line } of messages) enqueue(ip, line);
+            return;
+        }
+        const { events, alerts, failures } = ingestEvents(endpoint, 'syslog', lines);
+        console.log(`[SYSLOG] Received ${lines.length} messages from ${endpoint.hostname}, parsed ${events.length}, failed: ${failures.length}, alerts: ${alerts.length}`);
+    } catch (err) {
+        stats.dropped += lines.length;
+        console.error(`[SYSLOG] Failed to ingest messages for endpoint ${endpointId}:`, err.message);
+    }
+}
+
+function flushAll() {
+    for (const endpointId of [...pending.keys()]) {
+        flushEndpoint(endpointId);
+    }
+}
+
+// Split a TCP stream into messages (RFC 6587). A frame starting with a digit is
+// octet-counted ("<length> <message>"); anything else ends at a newline.
+// push() returns false when a frame exceeds MAX_MESSAGE_BYTES.
+function createFrameDecoder(onMessage) {
+    let buffer = Buffer.alloc(0);
+
+    function push(chunk) {
+        buffer = buffer.length === 0 ? chunk : Buffer.concat([buffer, chunk]);
+
+        while (buffer.length > 0) {
+            const startsWithDigit = buffer[0] >= 0x30 && buffer[0] <= 0x39;
+            const space = buffer.indexOf(0x20);
+
+            if (startsWithDigit && space === -1 && buffer.length < 8) {
+                break; // Length prefix not complete yet
+            }
+
+            const header = space > 0 ? buffer.toString('latin1', 0, space) : '';
+            if (startsWithDigit && /^\d{1,7}$/.test(header)) {
+                const length = parseInt(header, 10);
+                if (length > MAX_MESSAGE_BYTES) return false;
+
+                const end = space + 1 + length;
+                if (buffer.length < end) break;
+
+                onMessage(buffer.toString('utf8', space + 1, end));
+                buffer = buffer.subarray(end);
+                continue;
+            }
+
+            const newline = buffer.indexOf(0x0a);
+            if (newline === -1) {
+                if (buffer.length > MAX_MESSAGE_BYTES) return false;
+                break;
+            }
+
+            onMessage(buffer.toString('utf8', 0, newline));
+            buffer = buffer.subarray(newline + 1);
+        }
+
+        return true;
+    }
+
+    // Senders may close the connection without a trailing newline
+    function end() {
+        if (buffer.length > 0) {
+            onMessage(buffer.toString('utf8'));
+            buffer = Buffer.alloc(0);
+        }
+    }
+
+    return { push, end };
+}
+
+function handleStream(socket, transport) {
+    const ip = normalizeIp(socket.remoteAddress);
+    const decoder = createFrameDecoder(message => receive(ip, message));
+
+    connections.add(socket);
+    socket.on('data', (chunk) => {
+        if (!decoder.push(chunk)) {
+            stats.dropped++;
+            console.warn(`[SYSLOG] Closing ${transport} connection from ${ip}: message exceeds ${MAX_MESSAGE_BYTES} bytes`);
+            socket.destroy();
+        }
+    });
+    socket.on('end', () => decoder.end());
+    socket.on('close', () => connections.delete(socket));
+    socket.on('error', (err) => {
+        console.error(`[SYSLOG] ${transport} connection error from ${ip}:`, err.message);
+    });
+}
+
+function listen(transport, port, server, bind) {
+    server.on('error', (err) => {
+        stats.listeners[transport] = 'failed';
+        console.error(`[SYSLOG] ${transport.toUpperCase()} listener on port ${port} failed: ${err.message}`);
+    });
+    bind(() => {
+        stats.listeners[transport] = 'listening';
+        console.log(`[SYSLOG] ${transport.toUpperCase()} listener on ${SYSLOG_HOST}:${port}`);
+    });
+    listeners.push(server);
+}
+
+function startUdp() {
+    const socket = dgram.createSocket(net.isIPv6(SYSLOG_HOST) ? 'udp6' : 'udp4');
+
+    // One message per datagram (RFC 5426)
+    socket.on('message', (msg, rinfo) => {
+        if (msg.length > MAX_MESSAGE_BYTES) {
+            stats.dropped++;
+            return;
+        }
+        receive(normalizeIp(rinfo.address), msg.toString('utf8'));
+    });
+
+    listen('udp', UDP_PORT, socket, done => socket.bind(UDP_PORT, SYSLOG_HOST, done));
+}
+
+function startTcp() {
+    const server = net.createServer(socket => handleStream(socket, 'tcp'));
+    listen('tcp', TCP_PORT, server, done => server.listen(TCP_PORT, SYSLOG_HOST, done));
+}
+
+function startTls() {
+    const server = tls.createServer({
+        cert: fs.readFileSync(TLS_CERT),
+        key: fs.readFileSync(TLS_KEY),
+        ca: TLS_CA ? fs.readFileSync(TLS_CA) : undefined,
+        requestCert: !!TLS_CA,
+        rejectUnauthorized: !!TLS_CA
+    }, socket => handleStream(socket, 'tls'));
+
+    server.on('tlsClientError', (err, socket) => {
+        console.error(`[SYSLOG] TLS handshake failed from ${normalizeIp(socket.remoteAddress)}:`, err.message);
+    });
+    listen('tls', TLS_PORT, server, done => server.listen(TLS_PORT, SYSLOG_HOST, done));
+}
+
+// Start the configured listeners. Listener failures (e.g. no permission for
+// port 514) are logged and do not stop the rest of the server.
+function startSyslogReceiver() {
+    stats.listeners = { udp: 'disabled', tcp: 'disabled', tls: 'disabled' };
+
+    if (UDP_PORT !== null) startUdp();
+    if (TCP_PORT !== null) startTcp();
+    if (TLS_PORT !== null && TLS_CERT && TLS_KEY) {
+        try {
+            startTls();
+        } catch (err) {
+            stats.listeners.tls = 'failed';
+            console.error('[SYSLOG] TLS listener not started:', err.message);
+        }
+    }
+
+    flushTimer = setInterval(flushAll, FLUSH_INTERVAL_MS);
+}
+
+function stopSyslogReceiver() {
+    clearInterval(flushTimer);
+    for (const socket of connections) {
+        socket.destroy();
+    }
+    for (const listener of listeners.splice(0)) {
+        try {
+            listener.close(() => {});
+        } catch (_) {
+            // Listener never started (bind failed)
+        }
+    }
+    flushAll();
+}
+
+function getSyslogStats() {
+    return {
+        ...stats,
+        listeners: { ...stats.listeners },
+        senders: endpointsByIp.size
+    };
+}
+
+module.exports = {
+    startSyslogReceiver,
+    stopSyslogReceiver,
+    getSyslogStats
+};
@@ -1,31 +1,59 @@
 const WebSocket = require('ws');
+const { verifyToken, hasPermission } = require('./authService');
 
 let wss = null;
 
 // Client subscriptions: Map<ws, Set<channel>>
 const subscriptions = new Map();
 
-// Available channels
+// Available channels and the permission needed to subscribe to each
 const CHANNELS = ['events', 'alerts', 'endpoints', 'stats'];
+const CHANNEL_PERMISSIONS = {
+    events: 'events:read',
+    alerts: 'alerts:read',
+    endpoints: 'endpoints:read',
+    stats: 'events:read'
+};
+
+function allowedChannels(user) {
+    return CHANNELS.filter(ch => hasPermission(user, CHANNEL_PERMISSIONS[ch]));
+}
+
+// Browsers cannot set headers on the upgrade request, so the session token
+// is passed as ?token=<jwt>. Unauthenticated upgrades are rejected with 401.
+function authenticateUpgrade({ req }, done) {
+    const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+    const user = token ? verifyToken(token) : null;
+
+    if (!user) {
+        console.log(`[WS] Rejected unauthenticated connection from ${req.socket.remoteAddress}`);
+        return done(false, 401, 'Unauthorized');
+    }
+
+    req.user = user;
+    done(true);
+}
 
 function initWebSocket(server) {
     wss = new WebSocket.Server({
         server,
-        path: '/ws'
+        path: '/ws',
+        verifyClient: authenticateUpgrade
     });
 
     wss.on('connection', (ws, req) => {
         const clientIp = req.socket.remoteAddress;
-        console.log(`[WS] Client connected from ${clientIp}`);
+        console.log(`[WS] Client connected from ${clientIp} (${req.user.username}, ${req.user.role})`);
 
         // Initialize empty subscription set
+        ws.user = req.user;
         subscriptions.set(ws, new Set());
 
         // Send welcome message
         ws.send(JSON.stringify({
             type: 'connected',
             message: 'Connected to Mini SIEM WebSocket',
-            channels: CHANNELS,
+            channels: allowedChannels(ws.user),
             timestamp: new Date().toISOString()
         }));
 
@@ -83,9 +111,17 @@ function handleMessage(ws, message) {
 
     if (!clientSubs) return;
 
+    // Channels outside the user's role are refused
+    const allowed = allowedChannels(ws.user);
+
     switch (action) {
         case 'subscribe':
-            if (channel && CHANNELS.includes(channel)) {
+            if (channel && CHANNELS.includes(channel) && !allowed.includes(channel)) {
+                ws.send(JSON.stringify({
+                    type: 'error',
+                    message: `Your role may not subscribe to ${channel}`
+                }));
+            } else if (channel && CHANNELS.includes(channel)) {
                 clientSubs.add(channel);
                 ws.send(JSON.stringify({
                     type: 'subscribed',
@@ -95,15 +131,19 @@ function handleMessage(ws, message) {
                 console.log(`[WS] Client subscribed to ${channel}`);
             } else if (channels && Array.isArray(channels)) {
                 const subscribed = [];
+                const denied = [];
                 for (const ch of channels) {
-                    if (CHANNELS.includes(ch)) {
+                    if (allowed.includes(ch)) {
                         clientSubs.add(ch);
                         subscribed.push(ch);
+                    } else if (CHANNELS.includes(ch)) {
+                        denied.push(ch);
                     }
                 }
                 ws.send(JSON.stringify({
                     type: 'subscribed',
                     channels: subscribed,
+                    ...(denied.length > 0 ? { denied } : {}),
                     timestamp: new Date().toISOString()
                 }));
             } else {
@@ -135,12 +175,12 @@ function handleMessage(ws, message) {
             break;
 
         case 'subscribe_all':
-            for (const ch of CHANNELS) {
+            for (const ch of allowed) {
                 clientSubs.add(ch);
             }
             ws.send(JSON.stringify({
                 type: 'subscribed',
-                channels: CHANNELS,
+                channels: allowed,
                 timestamp: new Date().toISOString()
             }));
             break;
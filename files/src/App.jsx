@@ -1,7 +1,7 @@
 'use client';
 
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
-import { Shield,AlertTriangle, Activity, Eye, Database, Network, CheckCircle, Clock, TrendingUp, Server, Cpu, Wifi, WifiOff, RefreshCw, Zap, Search, X } from 'lucide-react';
+import { Shield,AlertTriangle, Activity, Eye, Database, Network, CheckCircle, Clock, TrendingUp, Server, Cpu, Wifi, WifiOff, RefreshCw, Zap, Search, X, LogOut, Inbox, Crosshair } from 'lucide-react';
 import siemApi from './api/siemApi';
 import { useWebSocket, ConnectionState } from './hooks/useWebSocket';
 import logo from './assets/logo2.png';
@@ -111,6 +111,16 @@ const c = {
   accent: '#3b82f6',
 };
 
+// Renders search highlights returned by the backend (<mark>…</mark>) without injecting HTML
+const Highlighted = ({ text }) => {
+  if (!text) return null;
+  return text.split(/(<mark>[\s\S]*?<\/mark>)/).map((part, i) => (
+    part.startsWith('<mark>') && part.endsWith('</mark>')
+      ? <mark key={i} style={{ background: 'rgba(34,211,238,0.25)', color: c.text, borderRadius: '2px' }}>{part.slice(6, -7)}</mark>
+      : part
+  ));
+};
+
 const card = {
   background: c.surface,
   border: `1px solid ${c.border}`,
@@ -118,24 +128,104 @@ const card = {
   padding: '20px',
 };
 
+// ── Login Screen ────────────────────────────────────────────────────────────
+
+const LoginScreen = ({ onLogin }) => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [loginError, setLoginError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setLoginError(null);
+    try {
+      const session = await siemApi.login(username, password);
+      onLogin(session);
+    } catch (err) {
+      setLoginError(err.message || 'Login failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const inputStyle = {
+    width: '100%', padding: '10px 12px', marginBottom: '12px', boxSizing: 'border-box',
+    background: 'rgba(255,255,255,0.04)', border: `1px solid ${c.border}`,
+    borderRadius: '8px', color: c.text, fontSize: '14px',
+  };
+
+  return (
+    <div style={{
+      minHeight: '100vh', background: c.bg, display: 'flex',
+      alignItems: 'center', justifyContent: 'center',
+      fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+    }}>
+      <form onSubmit={submit} style={{ ...card, width: '320px', padding: '32px' }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '24px' }}>
+          <Shield size={22} color={c.primary} />
+          <span style={{ fontSize: '18px', fontWeight: 700, color: c.text }}>Yetinel</span>
+        </div>
+        <input className="siem-input" type="text" placeholder="Username" autoComplete="username"
+          value={username} onChange={(e) => setUsername(e.target.value)} style={inputStyle} />
+        <input className="siem-input" type="password" placeholder="Password" autoComplete="current-password"
+          value={password} onChange={(e) => setPassword(e.target.value)} style={inputStyle} />
+        {loginError && (
+          <p style={{ color: c.danger, fontSize: '13px', margin: '0 0 12px 0' }}>{loginError}</p>
+        )}
+        <button type="submit" disabled={submitting || !username || !password} style={{
+          width: '100%', padding: '10px', background: 'rgba(34,211,238,0.1)',
+          border: '1px solid rgba(34,211,238,0.3)', borderRadius: '8px',
+          color: c.primary, cursor: 'pointer', fontSize: '14px', fontWeight: 600,
+        }}>
+          {submitting ? 'Signing in...' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
 // ── Main Component ──────────────────────────────────────────────────────────
 
 const MiniSIEM = () => {
+  const [authToken, setAuthToken] = useState(siemApi.getToken());
+  const [currentUser, setCurrentUser] = useState(null);
   const [events, setEvents] = useState([]);
   const [alerts, setAlerts] = useState([]);
   const [endpoints, setEndpoints] = useState([]);
   const [rules, setRules] = useState([]);
   const [stats, setStats] = useState({ total: 0, bySeverity: {}, byType: {} });
+  const [timeline, setTimeline] = useState([]);
+  const [hourly, setHourly] = useState([]);
+  const [topSources, setTopSources] = useState([]);
+  const [topUsers, setTopUsers] = useState([]);
   const [selectedTab, setSelectedTab] = useState('dashboard');
   const [selectedEvent, setSelectedEvent] = useState(null);
   const [selectedAlert, setSelectedAlert] = useState(null);
+  const [alertSort, setAlertSort] = useState('');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [openAlertCount, setOpenAlertCount] = useState(0);
   const [searchQuery, setSearchQuery] = useState('');
+  const [fieldQuery, setFieldQuery] = useState('');
   const [severityFilter, setSeverityFilter] = useState('');
   const [filteredEvents, setFilteredEvents] = useState([]);
   const [isSearching, setIsSearching] = useState(false);
+  const [searchError, setSearchError] = useState(null);
+  const [deadLetters, setDeadLetters] = useState({ dead_letters: [], total: 0, by_source: [] });
+  const [deadLetterSource, setDeadLetterSource] = useState('');
+  const [reprocessResult, setReprocessResult] = useState(null);
+  const [indicators, setIndicators] = useState({ indicators: [], total: 0, by_type: [] });
+  const [indicatorType, setIndicatorType] = useState('');
+  const [indicatorFeed, setIndicatorFeed] = useState({ format: 'list', type: '', source: '', content: '' });
+  const [importResult, setImportResult] = useState(null);
+
+  // Role permissions from /api/auth/me; actions the role lacks are hidden
+  const can = (permission) => !!currentUser?.permissions?.includes(permission);
+  const canReadEndpoints = can('endpoints:read');
+  const canReadParsers = can('parsers:read');
+  const canReadIndicators = can('indicators:read');
 
   // WebSocket handlers
   const handleEventMessage = useCallback((message) => {
@@ -162,9 +252,13 @@ const MiniSIEM = () => {
     }
   }, []);
 
-  const wsChannels = useMemo(() => ['events', 'alerts', 'endpoints'], []);
+  const wsChannels = useMemo(
+    () => (canReadEndpoints ? ['events', 'alerts', 'endpoints'] : ['events', 'alerts']),
+    [canReadEndpoints]
+  );
 
   const { connectionState, isConnected } = useWebSocket({
+    token: currentUser ? authToken : null,
     channels: wsChannels,
     onEvent: handleEventMessage,
     onAlert: handleAlertMessage,
@@ -179,7 +273,7 @@ const MiniSIEM = () => {
       const [eventsRes, alertsRes, endpointsRes, rulesRes, statsRes] = await Promise.all([
         siemApi.getEvents({ limit: 100 }),
         siemApi.getAlerts({ limit: 50 }),
-        siemApi.getEndpoints(),
+        canReadEndpoints ? siemApi.getEndpoints() : Promise.resolve({ endpoints: [] }),
         siemApi.getRules(),
         siemApi.getEventStats()
       ]);
@@ -195,15 +289,66 @@ const MiniSIEM = () => {
     } finally {
       setLoading(false);
     }
+  }, [canReadEndpoints]);
+
+  const fetchAggregates = useCallback(async () => {
+    const ago = (ms) => new Date(Date.now() - ms).toISOString();
+    try {
+      const [timelineRes, hourlyRes, sourcesRes, usersRes] = await Promise.all([
+        siemApi.aggregateEvents({ interval: '5m', since: ago(60 * 60 * 1000) }),
+        siemApi.aggregateEvents({ interval: 'hour', since: ago(24 * 60 * 60 * 1000) }),
+        siemApi.aggregateEvents({ groupBy: 'normalized.source.ip', query: 'normalized.source.ip:*', size: 8 }),
+        siemApi.aggregateEvents({ groupBy: 'user', query: 'user:*', size: 8 })
+      ]);
+      setTimeline(timelineRes.buckets || []);
+      setHourly(hourlyRes.buckets || []);
+      setTopSources(sourcesRes.buckets || []);
+      setTopUsers(usersRes.buckets || []);
+    } catch (err) {
+      console.error('Failed to fetch aggregates:', err);
+    }
   }, []);
 
+  // Drop back to the login screen when the session expires
   useEffect(() => {
+    siemApi.onUnauthorized(() => {
+      setAuthToken(null);
+      setCurrentUser(null);
+    });
+  }, []);
+
+  const handleLogin = (session) => {
+    setAuthToken(session.token);
+    setCurrentUser(session.user);
+  };
+
+  const handleLogout = () => {
+    siemApi.logout();
+    setAuthToken(null);
+    setCurrentUser(null);
+  };
+
+  // After a reload only the token is known; look up the user and its role
+  useEffect(() => {
+    if (!authToken || currentUser) return;
+    siemApi.getCurrentUser()
+      .then(res => setCurrentUser(res.user))
+      .catch(err => {
+        setError(err.message || 'Failed to connect to server');
+        setLoading(false);
+      });
+  }, [authToken, currentUser]);
+
+  useEffect(() => {
+    if (!authToken || !currentUser) return undefined;
     fetchData();
+    fetchAggregates();
     const interval = setInterval(() => {
       siemApi.getEventStats().then(setStats).catch(console.error);
+      fetchAggregates();
     }, 30000);
     return () => clearInterval(interval);
-  }, [fetchData]);
+  }, [authToken, currentUser, fetchData, fetchAggregates]);
 
   const generateTestEvents = async () => {
     try {
@@ -223,30 +368,148 @@ const MiniSIEM = () => {
     }
   };
 
+  const updateEndpointAsset = async (endpointId, changes) => {
+    try {
+      const updated = await siemApi.updateEndpointAsset(endpointId, changes);
+      setEndpoints(prev => prev.map(ep => ep.id === endpointId ? { ...ep, ...updated } : ep));
+    } catch (err) {
+      console.error('Failed to update endpoint:', err);
+    }
+  };
+
+  const revokeEndpoint = async (endpointId) => {
+    try {
+      await siemApi.revokeEndpointCredentials(endpointId);
+      setEndpoints(prev => prev.map(ep => ep.id === endpointId ? { ...ep, active_credentials: 0, credentials_revoked_at: new Date().toISOString() } : ep));
+    } catch (err) {
+      console.error('Failed to revoke endpoint credentials:', err);
+    }
+  };
+
+  const fetchAlerts = useCallback(async () => {
+    try {
+      const result = await siemApi.getAlerts({ limit: 50, sort: alertSort || undefined });
+      setAlerts(result.alerts || []);
+      setOpenAlertCount(result.openCount || 0);
+    } catch (err) {
+      console.error('Failed to fetch alerts:', err);
+    }
+  }, [alertSort]);
+
+  useEffect(() => {
+    if (selectedTab === 'alerts') fetchAlerts();
+  }, [selectedTab, fetchAlerts]);
+
+  // Live alerts are merged into the loaded ones, so keep the risk order on the client too
+  const sortedAlerts = useMemo(
+    () => (alertSort === 'risk' ? [...alerts].sort((a, b) => (b.risk_score ?? -1) - (a.risk_score ?? -1)) : alerts),
+    [alerts, alertSort]
+  );
+
+  const fetchDeadLetters = useCallback(async () => {
+    try {
+      const result = await siemApi.getDeadLetters({ limit: 100, source: deadLetterSource || undefined });
+      setDeadLetters(result);
+    } catch (err) {
+      console.error('Failed to fetch dead letters:', err);
+    }
+  }, [deadLetterSource]);
+
+  useEffect(() => {
+    if (selectedTab === 'failures' && canReadParsers) fetchDeadLetters();
+  }, [selectedTab, canReadParsers, fetchDeadLetters]);
+
+  // Run the listed source (or every source) through the current parsers again
+  const reprocessDeadLetters = async () => {
+    try {
+      const result = await siemApi.reprocessDeadLetters({ source: deadLetterSource || undefined });
+      setReprocessResult(result);
+      fetchDeadLetters();
+    } catch (err) {
+      console.error('Failed to re-process dead letters:', err);
+      setReprocessResult({ error: err.message });
+    }
+  };
+
+  const deleteDeadLetter = async (id) => {
+    try {
+      await siemApi.deleteDeadLetter(id);
+      fetchDeadLetters();
+    } catch (err) {
+      console.error('Failed to delete dead letter:', err);
+    }
+  };
+
+  const fetchIndicators = useCallback(async () => {
+    try {
+      const result = await siemApi.getIndicators({ limit: 100, type: indicatorType || undefined });
+      setIndicators(result);
+    } catch (err) {
+      console.error('Failed to fetch indicators:', err);
+    }
+  }, [indicatorType]);
+
+  useEffect(() => {
+    if (selectedTab === 'intel' && canReadIndicators) fetchIndicators();
+  }, [selectedTab, canReadIndicators, fetchIndicators]);
+
+  // Import the pasted feed; the server retro-hunts it through recent events
+  const importIndicatorFeed = async () => {
+    try {
+      const result = await siemApi.importIndicators({
+        format: indicatorFeed.format,
+        content: indicatorFeed.content,
+        type: indicatorFeed.type || undefined,
+        source: indicatorFeed.source || undefined,
+      });
+      setImportResult(result);
+      setIndicatorFeed(prev => ({ ...prev, content: '' }));
+      fetchIndicators();
+    } catch (err) {
+      console.error('Failed to import indicators:', err);
+      setImportResult({ error: err.message });
+    }
+  };
+
+  const deleteIndicator = async (id) => {
+    try {
+      await siemApi.deleteIndicator(id);
+      fetchIndicators();
+    } catch (err) {
+      console.error('Failed to delete indicator:', err);
+    }
+  };
+
   const searchEvents = async () => {
-    if (!searchQuery && !severityFilter) {
+    if (!searchQuery && !fieldQuery && !severityFilter) {
       setFilteredEvents([]);
       setIsSearching(false);
       return;
     }
     try {
       setIsSearching(true);
+      setSearchError(null);
       const result = await siemApi.getEvents({
         limit: 500,
         search: searchQuery || undefined,
+        query: fieldQuery || undefined,
         severity: severityFilter || undefined
       });
       setFilteredEvents(result.events || []);
     } catch (err) {
       console.error('Search failed:', err);
+      setFilteredEvents([]);
+      setSearchError(err.message);
     }
   };
 
   const clearSearch = () => {
     setSearchQuery('');
+    setFieldQuery('');
     setSeverityFilter('');
     setFilteredEvents([]);
     setIsSearching(false);
+    setSearchError(null);
   };
 
   const displayStats = {
@@ -266,6 +529,22 @@ const MiniSIEM = () => {
     }
   };
 
+  const getRiskColor = (score) => {
+    if (score === null || score === undefined) return c.textMuted;
+    if (score >= 70) return c.danger;
+    if (score >= 40) return c.warning;
+    return c.success;
+  };
+
+  // "95 (severity 50, criticality 25, ...)" with the factors that added points
+  const formatRisk = (alert) => {
+    if (alert.risk_score === null || alert.risk_score === undefined) return 'Not scored';
+    const factors = Object.entries(alert.risk_factors || {})
+      .filter(([, points]) => points > 0)
+      .map(([factor, points]) => `${factor.replace('_', ' ')} ${points}`);
+    return factors.length ? `${alert.risk_score} (${factors.join(', ')})` : String(alert.risk_score);
+  };
+
   const getSeverityBg = (severity) => {
     switch (severity) {
       case 'critical': return 'rgba(239,68,68,0.1)';
@@ -280,8 +559,9 @@ const MiniSIEM = () => {
     return new Date(ts).toLocaleString();
   };
 
-  // Sparkline data from events timeline
+  // Sparkline data from the 5-minute histogram, falling back to loaded events
   const sparkData = useMemo(() => {
+    if (timeline.length >= 2) return timeline.slice(-12).map(b => b.count);
     const buckets = Array(12).fill(0);
     events.forEach(e => {
       const mins = (Date.now() - new Date(e.timestamp).getTime()) / 60000;
@@ -289,7 +569,7 @@ const MiniSIEM = () => {
       buckets[11 - idx]++;
     });
     return buckets;
-  }, [events]);
+  }, [events, timeline]);
 
   const severityDistribution = useMemo(() => [
     { value: displayStats.critical, color: c.danger },
@@ -302,8 +582,16 @@ const MiniSIEM = () => {
     { id: 'events', icon: Database, label: 'Events' },
     { id: 'alerts', icon: AlertTriangle, label: `Alerts` },
     { id: 'endpoints', icon: Server, label: `Endpoints` },
+    { id: 'failures', icon: Inbox, label: 'Parse Failures' },
+    { id: 'intel', icon: Crosshair, label: 'Threat Intel' },
     { id: 'analytics', icon: TrendingUp, label: 'Analytics' }
-  ];
+  ].filter(tab => (tab.id !== 'endpoints' || canReadEndpoints) && (tab.id !== 'failures' || canReadParsers)
+    && (tab.id !== 'intel' || canReadIndicators));
+
+  // ── Login ───────────────────────────────────────────────────────────────
+  if (!authToken) {
+    return <LoginScreen onLogin={handleLogin} />;
+  }
 
   // ── Loading State ───────────────────────────────────────────────────────
   if (loading) {
@@ -417,14 +705,16 @@ const MiniSIEM = () => {
             </span>
           </div>
 
-          <button className="siem-btn" onClick={generateTestEvents} style={{
-            padding: '7px 14px', background: 'rgba(59,130,246,0.1)',
-            border: '1px solid rgba(59,130,246,0.3)', borderRadius: '8px',
-            color: c.accent, cursor: 'pointer', fontSize: '13px', fontWeight: 500,
-            display: 'flex', alignItems: 'center', gap: '6px',
-          }}>
-            <Zap size={14} /> Test Events
-          </button>
+          {can('events:generate') && (
+            <button className="siem-btn" onClick={generateTestEvents} style={{
+              padding: '7px 14px', background: 'rgba(59,130,246,0.1)',
+              border: '1px solid rgba(59,130,246,0.3)', borderRadius: '8px',
+              color: c.accent, cursor: 'pointer', fontSize: '13px', fontWeight: 500,
+              display: 'flex', alignItems: 'center', gap: '6px',
+            }}>
+              <Zap size={14} /> Test Events
+            </button>
+          )}
 
           <button className="siem-btn" onClick={fetchData} style={{
             padding: '7px 14px', background: 'rgba(34,211,238,0.1)',
@@ -434,6 +724,15 @@ const MiniSIEM = () => {
           }}>
             <RefreshCw size={14} /> Refresh
           </button>
+
+          <button className="siem-btn" onClick={handleLogout} title="Sign out" style={{
+            padding: '7px 14px', background: 'transparent',
+            border: `1px solid ${c.border}`, borderRadius: '8px',
+            color: c.textMuted, cursor: 'pointer', fontSize: '13px', fontWeight: 500,
+            display: 'flex', alignItems: 'center', gap: '6px',
+          }}>
+            <LogOut size={14} /> {currentUser ? `${currentUser.username} (${currentUser.role})` : 'Sign out'}
+          </button>
         </div>
       </header>
 
@@ -464,6 +763,12 @@ const MiniSIEM = () => {
                 fontSize: '10px', fontWeight: 600, padding: '1px 6px', borderRadius: '10px',
               }}>{endpoints.length}</span>
             )}
+            {tab.id === 'failures' && deadLetters.total > 0 && (
+              <span style={{
+                background: 'rgba(245,158,11,0.15)', color: c.warning,
+                fontSize: '10px', fontWeight: 600, padding: '1px 6px', borderRadius: '10px',
+              }}>{deadLetters.total}</span>
+            )}
           </button>
         ))}
       </nav>
@@ -596,17 +901,30 @@ const MiniSIEM = () => {
                   <input
                     className="siem-input"
                     type="text"
-                    placeholder="Search events..."
+                    placeholder='Search: ssh AND "Failed password", fail*'
                     value={searchQuery}
                     onChange={(e) => setSearchQuery(e.target.value)}
                     onKeyDown={(e) => e.key === 'Enter' && searchEvents()}
                     style={{
                       padding: '8px 10px 8px 32px', background: 'rgba(255,255,255,0.04)',
                       border: `1px solid ${c.border}`, borderRadius: '8px',
-                      color: c.text, fontSize: '13px', width: '220px',
+                      color: c.text, fontSize: '13px', width: '260px',
                     }}
                   />
                 </div>
+                <input
+                  className="siem-input"
+                  type="text"
+                  placeholder="Filter: user:root AND parsed_data.source_ip:10.0.0.0/8"
+                  value={fieldQuery}
+                  onChange={(e) => setFieldQuery(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && searchEvents()}
+                  style={{
+                    padding: '8px 10px', background: 'rgba(255,255,255,0.04)',
+                    border: `1px solid ${c.border}`, borderRadius: '8px',
+                    color: c.text, fontSize: '13px', width: '300px', fontFamily: 'monospace',
+                  }}
+                />
                 <select
                   className="siem-input"
                   value={severityFilter}
@@ -640,6 +958,13 @@ const MiniSIEM = () => {
               </div>
             </div>
 
+            {searchError && (
+              <div style={{
+                padding: '8px 12px', marginBottom: '12px', borderRadius: '8px', fontSize: '12px',
+                background: 'rgba(239,68,68,0.1)', border: '1px solid rgba(239,68,68,0.3)', color: c.danger,
+              }}>{searchError}</div>
+            )}
+
             <div style={{
               display: 'grid', gridTemplateColumns: '160px 140px 1fr 90px 80px',
               gap: '12px', padding: '10px 16px', background: 'rgba(255,255,255,0.03)',
@@ -668,7 +993,11 @@ const MiniSIEM = () => {
                     <span style={{ color: c.textMuted, fontSize: '12px' }}>{formatTimestamp(event.timestamp)}</span>
                     <span style={{ color: c.primary, fontWeight: 500 }}>{event.hostname || 'unknown'}</span>
                     <span style={{ color: c.text, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
-                      {event.description}
+                      {event.highlights ? (
+                        event.highlights.description?.includes('<mark>') || !event.highlights.raw_log
+                          ? <Highlighted text={event.highlights.description} />
+                          : <><span>{event.description}</span> <span style={{ color: c.textMuted }}>— <Highlighted text={event.highlights.raw_log} /></span></>
+                      ) : event.description}
                     </span>
                     <span style={{ color: c.textMuted, fontSize: '11px', textTransform: 'capitalize' }}>{event.source}</span>
                     <span style={{
@@ -686,13 +1015,22 @@ const MiniSIEM = () => {
         {/* ── Alerts Tab ─────────────────────────────────────────────── */}
         {selectedTab === 'alerts' && (
           <div style={{ ...card, animation: 'fadeIn 0.3s ease' }}>
-            <h2 style={{
-              margin: '0 0 16px 0', fontSize: '14px', fontWeight: 600, color: c.text,
-              display: 'flex', alignItems: 'center', gap: '8px',
-            }}>
-              <AlertTriangle size={16} color={c.warning} />
-              Security Alerts ({alerts.length})
-            </h2>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px', gap: '12px' }}>
+              <h2 style={{
+                margin: 0, fontSize: '14px', fontWeight: 600, color: c.text,
+                display: 'flex', alignItems: 'center', gap: '8px',
+              }}>
+                <AlertTriangle size={16} color={c.warning} />
+                Security Alerts ({alerts.length})
+              </h2>
+              <select value={alertSort} onChange={(e) => setAlertSort(e.target.value)} style={{
+                padding: '7px 10px', background: c.bg, border: `1px solid ${c.border}`,
+                borderRadius: '6px', color: c.text, fontSize: '12px',
+              }}>
+                <option value="">Newest first</option>
+                <option value="risk">Highest risk first</option>
+              </select>
+            </div>
 
             {alerts.length === 0 ? (
               <p style={{ color: c.textMuted, textAlign: 'center', padding: '40px', fontSize: '13px' }}>
@@ -700,7 +1038,7 @@ const MiniSIEM = () => {
               </p>
             ) : (
               <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
-                {alerts.map(alert => (
+                {sortedAlerts.map(alert => (
                   <div key={alert.id} className="siem-row" onClick={() => setSelectedAlert(alert)} style={{
                     background: alert.status === 'open' ? 'rgba(239,68,68,0.04)' : 'rgba(34,197,94,0.03)',
                     border: `1px solid ${alert.status === 'open' ? 'rgba(239,68,68,0.15)' : 'rgba(34,197,94,0.15)'}`,
@@ -721,6 +1059,13 @@ const MiniSIEM = () => {
                           background: getSeverityBg(alert.severity),
                           color: getSeverityColor(alert.severity),
                         }}>{alert.severity}</span>
+                        {alert.risk_score !== null && alert.risk_score !== undefined && (
+                          <span title={formatRisk(alert)} style={{
+                            fontSize: '11px', fontWeight: 600, padding: '3px 8px', borderRadius: '4px',
+                            border: `1px solid ${getRiskColor(alert.risk_score)}`,
+                            color: getRiskColor(alert.risk_score),
+                          }}>Risk {alert.risk_score}</span>
+                        )}
                       </div>
                       <p style={{ margin: '4px 0', fontSize: '14px', color: c.text, fontWeight: 500 }}>{alert.title}</p>
                       <p style={{ margin: '2px 0', fontSize: '12px', color: c.textMuted }}>{alert.description}</p>
@@ -731,7 +1076,7 @@ const MiniSIEM = () => {
                         </span>
                       </div>
                     </div>
-                    {alert.status === 'open' && (
+                    {alert.status === 'open' && can('alerts:write') && (
                       <button className="siem-btn" onClick={(e) => { e.stopPropagation(); closeAlert(alert.id); }} style={{
                         padding: '7px 14px', background: 'rgba(34,197,94,0.1)',
                         border: '1px solid rgba(34,197,94,0.3)', borderRadius: '6px',
@@ -746,7 +1091,7 @@ const MiniSIEM = () => {
         )}
 
         {/* ── Endpoints Tab ──────────────────────────────────────────── */}
-        {selectedTab === 'endpoints' && (
+        {selectedTab === 'endpoints' && canReadEndpoints && (
           <div style={{ animation: 'fadeIn 0.3s ease' }}>
             <div style={{ marginBottom: '20px' }}>
               <h2 style={{ margin: 0, fontSize: '14px', fontWeight: 600, color: c.text, display: 'flex', alignItems: 'center', gap: '8px' }}>
@@ -758,11 +1103,11 @@ const MiniSIEM = () => {
             {endpoints.length === 0 ? (
               <div style={{ ...card, textAlign: 'center', padding: '48px' }}>
                 <p style={{ color: c.textMuted, marginBottom: '16px', fontSize: '14px' }}>
-                  No endpoints registered. Start an agent to begin monitoring.
+                  No endpoints registered. Create an enrollment token and start an agent to begin monitoring.
                 </p>
                 <div style={{ color: c.textMuted, fontSize: '13px' }}>
-                  <p>Linux: <code style={{ color: c.primary, background: 'rgba(34,211,238,0.08)', padding: '2px 6px', borderRadius: '4px' }}>sudo node agents/linux/agent.js</code></p>
-                  <p>Windows: <code style={{ color: c.primary, background: 'rgba(34,211,238,0.08)', padding: '2px 6px', borderRadius: '4px' }}>{'agents\\windows\\agent.ps1'}</code></p>
+                  <p>Linux: <code style={{ color: c.primary, background: 'rgba(34,211,238,0.08)', padding: '2px 6px', borderRadius: '4px' }}>sudo SIEM_ENROLLMENT_TOKEN=mse_... node agents/linux/agent.js</code></p>
+                  <p>Windows: <code style={{ color: c.primary, background: 'rgba(34,211,238,0.08)', padding: '2px 6px', borderRadius: '4px' }}>{'agents\\windows\\agent.ps1 -EnrollmentToken mse_...'}</code></p>
                 </div>
               </div>
             ) : (
@@ -796,7 +1141,36 @@ const MiniSIEM = () => {
                       <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
                         <Clock size={13} /> Last seen: {formatTimestamp(endpoint.last_seen)}
                       </div>
+                      <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                        <Shield size={13} /> {endpoint.active_credentials > 0 ? 'Enrolled' : endpoint.credentials_revoked_at ? 'Credentials revoked' : 'No active credentials'}
+                      </div>
+                      <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                        <Database size={13} /> {[endpoint.owner, ...(endpoint.tags || [])].filter(Boolean).join(' · ') || 'No owner or tags'}
+                      </div>
+                    </div>
+                    <div style={{ display: 'flex', gap: '8px', marginTop: '12px' }}>
+                      {[
+                        ['criticality', ['low', 'medium', 'high', 'critical'], 'Criticality'],
+                        ['environment', ['prod', 'staging', 'dev', 'test'], 'Environment'],
+                      ].map(([field, values, label]) => (
+                        <select key={field} value={endpoint[field] || ''} disabled={!can('endpoints:write')}
+                          onChange={(e) => updateEndpointAsset(endpoint.id, { [field]: e.target.value || null })} style={{
+                            flex: 1, padding: '5px 8px', background: c.bg, border: `1px solid ${c.border}`, borderRadius: '6px',
+                            color: field === 'criticality' && ['high', 'critical'].includes(endpoint.criticality) ? c.warning : c.text,
+                            fontSize: '12px',
+                          }}>
+                          <option value="">{label}: unset</option>
+                          {values.map(value => <option key={value} value={value}>{label}: {value}</option>)}
+                        </select>
+                      ))}
                     </div>
+                    {can('endpoints:write') && endpoint.active_credentials > 0 && (
+                      <button className="siem-btn" onClick={() => revokeEndpoint(endpoint.id)} style={{
+                        marginTop: '12px', padding: '6px 12px', background: 'rgba(239,68,68,0.1)',
+                        border: '1px solid rgba(239,68,68,0.3)', borderRadius: '6px',
+                        color: c.danger, cursor: 'pointer', fontSize: '12px', fontWeight: 500,
+                      }}>Revoke credentials</button>
+                    )}
                   </div>
                 ))}
               </div>
@@ -804,6 +1178,235 @@ const MiniSIEM = () => {
           </div>
         )}
 
+        {/* ── Parse Failures Tab ─────────────────────────────────────── */}
+        {selectedTab === 'failures' && canReadParsers && (
+          <div style={{ ...card, animation: 'fadeIn 0.3s ease' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px', gap: '12px' }}>
+              <h2 style={{
+                margin: 0, fontSize: '14px', fontWeight: 600, color: c.text,
+                display: 'flex', alignItems: 'center', gap: '8px',
+              }}>
+                <Inbox size={16} color={c.warning} />
+                Parse Failures ({deadLetters.total})
+              </h2>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                <select value={deadLetterSource} onChange={(e) => { setDeadLetterSource(e.target.value); setReprocessResult(null); }} style={{
+                  padding: '7px 10px', background: c.bg, border: `1px solid ${c.border}`,
+                  borderRadius: '6px', color: c.text, fontSize: '12px',
+                }}>
+                  <option value="">All sources</option>
+                  {deadLetters.by_source.map(s => (
+                    <option key={s.source} value={s.source}>{s.source} ({s.count})</option>
+                  ))}
+                </select>
+                <button className="siem-btn" onClick={fetchDeadLetters} style={{
+                  padding: '7px 12px', background: 'transparent', border: `1px solid ${c.border}`,
+                  borderRadius: '6px', color: c.textMuted, cursor: 'pointer', fontSize: '12px',
+                  display: 'flex', alignItems: 'center', gap: '6px',
+                }}>
+                  <RefreshCw size={13} /> Refresh
+                </button>
+                {can('parsers:write') && deadLetters.total > 0 && (
+                  <button className="siem-btn" onClick={reprocessDeadLetters} style={{
+                    padding: '7px 14px', background: 'rgba(34,211,238,0.1)',
+                    border: '1px solid rgba(34,211,238,0.3)', borderRadius: '6px',
+                    color: c.primary, cursor: 'pointer', fontSize: '12px', fontWeight: 500,
+                  }}>Re-process {deadLetterSource || 'all'}</button>
+                )}
+              </div>
+            </div>
+
+            {reprocessResult && (
+              <p style={{ margin: '0 0 12px 0', fontSize: '12px', color: reprocessResult.error ? c.danger : c.textMuted }}>
+                {reprocessResult.error
+                  ? reprocessResult.error
+                  : `Re-processed ${reprocessResult.reprocessed} of ${reprocessResult.selected}; ${reprocessResult.failed} still failing, ${reprocessResult.alerts} alerts raised.`}
+              </p>
+            )}
+
+            {deadLetters.dead_letters.length === 0 ? (
+              <p style={{ color: c.textMuted, textAlign: 'center', padding: '40px', fontSize: '13px' }}>
+                No parse failures. Logs a parser cannot handle are kept here until they are re-processed or deleted.
+              </p>
+            ) : (
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+                {deadLetters.dead_letters.map(letter => (
+                  <div key={letter.id} style={{
+                    background: 'rgba(245,158,11,0.04)', border: '1px solid rgba(245,158,11,0.15)',
+                    borderRadius: '10px', padding: '14px 20px',
+                    display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start',
+                  }}>
+                    <div style={{ flex: 1, minWidth: 0 }}>
+                      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '6px' }}>
+                        <span style={{
+                          fontSize: '11px', fontWeight: 600, padding: '3px 8px', borderRadius: '4px',
+                          background: 'rgba(59,130,246,0.12)', color: c.accent,
+                        }}>{letter.source}</span>
+                        <span style={{ fontSize: '12px', color: c.danger }}>{letter.error}</span>
+                      </div>
+                      <pre style={{
+                        margin: '6px 0', padding: '8px 10px', background: c.bg, borderRadius: '6px',
+                        fontSize: '11px', color: c.text, whiteSpace: 'pre-wrap', wordBreak: 'break-all',
+                        maxHeight: '120px', overflow: 'auto',
+                      }}>{letter.raw_log}</pre>
+                      <div style={{ display: 'flex', gap: '16px', fontSize: '12px', color: c.textMuted }}>
+                        <span>Hostname: <span style={{ color: c.primary }}>{letter.hostname || 'N/A'}</span></span>
+                        <span>Attempts: {letter.attempts}</span>
+                        <span style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                          <Clock size={11} /> {formatTimestamp(letter.created_at)}
+                        </span>
+                      </div>
+                    </div>
+                    {can('parsers:write') && (
+                      <button className="siem-btn" onClick={() => deleteDeadLetter(letter.id)} style={{
+                        padding: '7px 14px', background: 'rgba(239,68,68,0.1)',
+                        border: '1px solid rgba(239,68,68,0.3)', borderRadius: '6px',
+                        color: c.danger, cursor: 'pointer', fontSize: '12px', fontWeight: 500, marginLeft: '16px',
+                      }}>Delete</button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* ── Threat Intel Tab ───────────────────────────────────────── */}
+        {selectedTab === 'intel' && canReadIndicators && (
+          <div style={{ ...card, animation: 'fadeIn 0.3s ease' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px', gap: '12px' }}>
+              <h2 style={{
+                margin: 0, fontSize: '14px', fontWeight: 600, color: c.text,
+                display: 'flex', alignItems: 'center', gap: '8px',
+              }}>
+                <Crosshair size={16} color={c.danger} />
+                Threat Intel Indicators ({indicators.total})
+              </h2>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                <select value={indicatorType} onChange={(e) => setIndicatorType(e.target.value)} style={{
+                  padding: '7px 10px', background: c.bg, border: `1px solid ${c.border}`,
+                  borderRadius: '6px', color: c.text, fontSize: '12px',
+                }}>
+                  <option value="">All types</option>
+                  {indicators.by_type.map(t => (
+                    <option key={t.type} value={t.type}>{t.type} ({t.count})</option>
+                  ))}
+                </select>
+                <button className="siem-btn" onClick={fetchIndicators} style={{
+                  padding: '7px 12px', background: 'transparent', border: `1px solid ${c.border}`,
+                  borderRadius: '6px', color: c.textMuted, cursor: 'pointer', fontSize: '12px',
+                  display: 'flex', alignItems: 'center', gap: '6px',
+                }}>
+                  <RefreshCw size={13} /> Refresh
+                </button>
+              </div>
+            </div>
+
+            {can('indicators:write') && (
+              <div style={{ marginBottom: '16px', padding: '14px', background: c.bg, borderRadius: '8px', border: `1px solid ${c.border}` }}>
+                <div style={{ display: 'flex', gap: '8px', marginBottom: '8px' }}>
+                  <select value={indicatorFeed.format} onChange={(e) => setIndicatorFeed(prev => ({ ...prev, format: e.target.value }))} style={{
+                    padding: '7px 10px', background: c.surface, border: `1px solid ${c.border}`,
+                    borderRadius: '6px', color: c.text, fontSize: '12px',
+                  }}>
+                    <option value="list">Plain list</option>
+                    <option value="csv">CSV</option>
+                    <option value="stix">STIX 2.1 bundle</option>
+                  </select>
+                  {indicatorFeed.format !== 'stix' && (
+                    <select value={indicatorFeed.type} onChange={(e) => setIndicatorFeed(prev => ({ ...prev, type: e.target.value }))} style={{
+                      padding: '7px 10px', background: c.surface, border: `1px solid ${c.border}`,
+                      borderRadius: '6px', color: c.text, fontSize: '12px',
+                    }}>
+                      <option value="">Detect type</option>
+                      <option value="ip">IP</option>
+                      <option value="domain">Domain</option>
+                      <option value="hash">Hash</option>
+                      <option value="username">Username</option>
+                    </select>
+                  )}
+                  <input
+                    type="text"
+                    placeholder="Feed name"
+                    value={indicatorFeed.source}
+                    onChange={(e) => setIndicatorFeed(prev => ({ ...prev, source: e.target.value }))}
+                    style={{
+                      flex: 1, padding: '7px 10px', background: c.surface, border: `1px solid ${c.border}`,
+                      borderRadius: '6px', color: c.text, fontSize: '12px',
+                    }}
+                  />
+                  <button className="siem-btn" onClick={importIndicatorFeed} disabled={!indicatorFeed.content.trim()} style={{
+                    padding: '7px 14px', background: 'rgba(34,211,238,0.1)',
+                    border: '1px solid rgba(34,211,238,0.3)', borderRadius: '6px',
+                    color: c.primary, cursor: 'pointer', fontSize: '12px', fontWeight: 500,
+                  }}>Import</button>
+                </div>
+                <textarea
+                  value={indicatorFeed.content}
+                  onChange={(e) => setIndicatorFeed(prev => ({ ...prev, content: e.target.value }))}
+                  placeholder={indicatorFeed.format === 'csv' ? 'value,type,confidence\n203.0.113.7,ip,80' : indicatorFeed.format === 'stix' ? '{ "type": "bundle", "objects": [...] }' : 'One indicator per line'}
+                  rows={4}
+                  style={{
+                    width: '100%', boxSizing: 'border-box', padding: '8px 10px', background: c.surface,
+                    border: `1px solid ${c.border}`, borderRadius: '6px', color: c.text,
+                    fontSize: '12px', fontFamily: 'monospace', resize: 'vertical',
+                  }}
+                />
+                {importResult && (
+                  <p style={{ margin: '8px 0 0 0', fontSize: '12px', color: importResult.error ? c.danger : c.textMuted }}>
+                    {importResult.error
+                      ? importResult.error
+                      : `Imported ${importResult.imported}, skipped ${importResult.skipped}. Retro-hunt over ${importResult.retro_hunt.days} days: ${importResult.retro_hunt.matched_events} events matched, ${importResult.retro_hunt.alerts} alerts raised.`}
+                  </p>
+                )}
+              </div>
+            )}
+
+            {indicators.indicators.length === 0 ? (
+              <p style={{ color: c.textMuted, textAlign: 'center', padding: '40px', fontSize: '13px' }}>
+                No indicators. Imported IPs, domains, hashes and usernames are matched against every new event.
+              </p>
+            ) : (
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                {indicators.indicators.map(indicator => {
+                  const expired = indicator.expires_at && new Date(indicator.expires_at) <= new Date();
+                  return (
+                    <div key={indicator.id} style={{
+                      background: 'rgba(239,68,68,0.04)', border: '1px solid rgba(239,68,68,0.12)',
+                      borderRadius: '10px', padding: '12px 20px', opacity: expired ? 0.5 : 1,
+                      display: 'flex', justifyContent: 'space-between', alignItems: 'center',
+                    }}>
+                      <div style={{ flex: 1, minWidth: 0 }}>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '6px' }}>
+                          <span style={{
+                            fontSize: '11px', fontWeight: 600, padding: '3px 8px', borderRadius: '4px',
+                            background: 'rgba(59,130,246,0.12)', color: c.accent,
+                          }}>{indicator.type}</span>
+                          <span style={{ fontSize: '13px', color: c.text, fontFamily: 'monospace', wordBreak: 'break-all' }}>{indicator.value}</span>
+                          {indicator.description && <span style={{ fontSize: '12px', color: c.textMuted }}>{indicator.description}</span>}
+                        </div>
+                        <div style={{ display: 'flex', gap: '16px', fontSize: '12px', color: c.textMuted }}>
+                          <span>Feed: <span style={{ color: c.primary }}>{indicator.source || 'manual'}</span></span>
+                          <span>Confidence: {indicator.confidence}</span>
+                          <span>Hits: {indicator.hit_count}</span>
+                          <span>{indicator.expires_at ? `${expired ? 'Expired' : 'Expires'} ${formatTimestamp(indicator.expires_at)}` : 'Never expires'}</span>
+                        </div>
+                      </div>
+                      {can('indicators:write') && (
+                        <button className="siem-btn" onClick={() => deleteIndicator(indicator.id)} style={{
+                          padding: '7px 14px', background: 'rgba(239,68,68,0.1)',
+                          border: '1px solid rgba(239,68,68,0.3)', borderRadius: '6px',
+                          color: c.danger, cursor: 'pointer', fontSize: '12px', fontWeight: 500, marginLeft: '16px',
+                        }}>Delete</button>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* ── Analytics Tab ──────────────────────────────────────────── */}
         {selectedTab === 'analytics' && (
           <div style={{ animation: 'fadeIn 0.3s ease' }}>
@@ -856,6 +1459,44 @@ const MiniSIEM = () => {
               </div>
             </div>
 
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '16px', marginBottom: '16px' }}>
+              <div className="siem-card" style={card}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+                  <h3 style={{ margin: 0, fontSize: '14px', fontWeight: 600, color: c.text }}>Events per Hour</h3>
+                  <span style={{ fontSize: '11px', color: c.textMuted }}>Last 24 h</span>
+                </div>
+                {hourly.some(b => b.count > 0) ? (
+                  <MiniBarChart data={hourly.map(b => ({ value: b.count, color: c.accent }))} width={300} height={64} />
+                ) : (
+                  <p style={{ color: c.textMuted, textAlign: 'center', fontSize: '13px' }}>No data available</p>
+                )}
+              </div>
+
+              {[
+                { title: 'Top Source IPs', buckets: topSources, color: c.danger },
+                { title: 'Top Users', buckets: topUsers, color: c.primary },
+              ].map(panel => (
+                <div key={panel.title} className="siem-card" style={card}>
+                  <h3 style={{ margin: '0 0 16px 0', fontSize: '14px', fontWeight: 600, color: c.text }}>{panel.title}</h3>
+                  {panel.buckets.length === 0 ? (
+                    <p style={{ color: c.textMuted, textAlign: 'center', fontSize: '13px' }}>No data available</p>
+                  ) : (
+                    <>
+                      <MiniBarChart data={panel.buckets.map(b => ({ value: b.count, color: panel.color }))} width={260} height={40} />
+                      <div style={{ display: 'flex', flexDirection: 'column', gap: '4px', marginTop: '12px' }}>
+                        {panel.buckets.map(b => (
+                          <div key={b.key} style={{ display: 'flex', justifyContent: 'space-between', fontSize: '12px' }}>
+                            <span style={{ color: c.textMuted, fontFamily: 'monospace' }}>{b.key}</span>
+                            <span style={{ color: panel.color, fontWeight: 600 }}>{b.count}</span>
+                          </div>
+                        ))}
+                      </div>
+                    </>
+                  )}
+                </div>
+              ))}
+            </div>
+
             <div className="siem-card" style={card}>
               <h3 style={{ margin: '0 0 16px 0', fontSize: '14px', fontWeight: 600, color: c.text }}>Detection Rules</h3>
               <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))', gap: '12px' }}>
@@ -956,6 +1597,16 @@ const MiniSIEM = () => {
               </div>
             )}
 
+            {selectedEvent.normalized && Object.keys(selectedEvent.normalized).length > 0 && (
+              <div style={{ borderTop: `1px solid ${c.border}`, marginTop: '16px', paddingTop: '16px' }}>
+                <span style={{ fontSize: '12px', fontWeight: 600, color: c.textMuted, marginBottom: '8px', display: 'block' }}>Normalized Fields</span>
+                <pre style={{
+                  background: 'rgba(0,0,0,0.3)', padding: '14px', borderRadius: '8px',
+                  overflow: 'auto', fontSize: '11px', color: c.text, margin: 0,
+                }}>{JSON.stringify(selectedEvent.normalized, null, 2)}</pre>
+              </div>
+            )}
+
             {selectedEvent.raw_log && (
               <div style={{ borderTop: `1px solid ${c.border}`, marginTop: '16px', paddingTop: '16px' }}>
                 <span style={{ fontSize: '12px', fontWeight: 600, color: c.textMuted, marginBottom: '8px', display: 'block' }}>Raw Log</span>
@@ -1019,6 +1670,8 @@ const MiniSIEM = () => {
                 ['Alert ID', selectedAlert.id, c.accent],
                 ['Title', selectedAlert.title, null],
                 ['Rule ID', selectedAlert.rule_id, c.warning],
+                ['Risk', formatRisk(selectedAlert), getRiskColor(selectedAlert.risk_score)],
+                ...(selectedAlert.escalated_from ? [['Escalated', `from ${selectedAlert.escalated_from} (asset criticality)`, c.danger]] : []),
                 ['Created', formatTimestamp(selectedAlert.created_at), null],
                 ['Updated', formatTimestamp(selectedAlert.updated_at), null],
               ].map(([label, val, clr]) => (
@@ -1044,11 +1697,17 @@ const MiniSIEM = () => {
                   ['Event ID', selectedAlert.event_id || 'N/A', c.accent],
                   ['Hostname', selectedAlert.hostname || 'N/A', c.primary],
                   ['IP Address', selectedAlert.ip_address || 'N/A', null],
+                  ...(selectedAlert.endpoint ? [['Asset', [
+                    selectedAlert.endpoint.criticality && `${selectedAlert.endpoint.criticality} criticality`,
+                    selectedAlert.endpoint.environment,
+                    selectedAlert.endpoint.owner,
+                  ].filter(Boolean).join(' · ') || 'No asset record', null]] : []),
                   ...(selectedAlert.event_description ? [['Event', selectedAlert.event_description, null]] : []),
+                  ...(selectedAlert.event_ids?.length > 1 ? [['Contributing', selectedAlert.event_ids.join('\n'), c.accent]] : []),
                 ].map(([label, val, clr]) => (
                   <div key={label} style={{ display: 'flex', gap: '12px' }}>
-                    <span style={{ width: '100px', color: c.textMuted }}>{label}</span>
-                    <span style={{ color: clr || c.text, fontWeight: clr ? 500 : 400 }}>{val}</span>
+                    <span style={{ width: '100px', flexShrink: 0, color: c.textMuted }}>{label}</span>
+                    <span style={{ color: clr || c.text, fontWeight: clr ? 500 : 400, whiteSpace: 'pre-line', wordBreak: 'break-all' }}>{val}</span>
                   </div>
                 ))}
               </div>
@@ -1062,7 +1721,7 @@ const MiniSIEM = () => {
             )}
 
             <div style={{ display: 'flex', gap: '10px', marginTop: '20px' }}>
-              {selectedAlert.status === 'open' && (
+              {selectedAlert.status === 'open' && can('alerts:write') && (
                 <button className="siem-btn" onClick={() => {
                   closeAlert(selectedAlert.id);
                   setSelectedAlert({ ...selectedAlert, status: 'closed' });
@@ -4,6 +4,30 @@
  */
 
 const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+const TOKEN_KEY = 'siem_token';
+
+// Session token from /api/auth/login, kept in localStorage across reloads
+let authToken = typeof window !== 'undefined' ? window.localStorage.getItem(TOKEN_KEY) : null;
+let unauthorizedHandler = null;
+
+export function getToken() {
+    return authToken;
+}
+
+export function setToken(token) {
+    authToken = token;
+    if (typeof window === 'undefined') return;
+    if (token) {
+        window.localStorage.setItem(TOKEN_KEY, token);
+    } else {
+        window.localStorage.removeItem(TOKEN_KEY);
+    }
+}
+
+// Called when the server rejects the session (expired or revoked token)
+export function onUnauthorized(handler) {
+    unauthorizedHandler = handler;
+}
 
 class SiemApiError extends Error {
     constructor(message, status, data) {
@@ -21,6 +45,7 @@ async function request(endpoint, options = {}) {
         ...options,
         headers: {
             'Content-Type': 'application/json',
+            ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
             ...options.headers
         }
     };
@@ -33,6 +58,11 @@ async function request(endpoint, options = {}) {
         const response = await fetch(url, config);
         const data = await response.json();
 
+        if (response.status === 401 && authToken) {
+            setToken(null);
+            if (unauthorizedHandler) unauthorizedHandler();
+        }
+
         if (!response.ok) {
             throw new SiemApiError(
                 data.error || 'Request failed',
@@ -59,6 +89,24 @@ export async function checkHealth() {
     return request('/health');
 }
 
+// Auth API
+export async function login(username, password) {
+    const session = await request('/api/auth/login', {
+        method: 'POST',
+        body: { username, password }
+    });
+    setToken(session.token);
+    return session;
+}
+
+export function logout() {
+    setToken(null);
+}
+
+export async function getCurrentUser() {
+    return request('/api/auth/me');
+}
+
 // Events API
 export async function getEvents(options = {}) {
     const params = new URLSearchParams();
@@ -70,6 +118,8 @@ export async function getEvents(options = {}) {
     if (options.endpoint) params.set('endpoint', options.endpoint);
     if (options.source) params.set('source', options.source);
     if (options.since) params.set('since', options.since);
+    if (options.until) params.set('until', options.until);
+    if (options.query) params.set('q', options.query);
     if (options.search) params.set('search', options.search);
 
     const query = params.toString();
@@ -81,6 +131,23 @@ export async function getEventStats(since = null) {
     return request(`/api/events/stats${query}`);
 }
 
+export async function aggregateEvents(options = {}) {
+    const params = new URLSearchParams();
+
+    if (options.groupBy) params.set('group_by', [].concat(options.groupBy).join(','));
+    if (options.interval) params.set('interval', options.interval);
+    if (options.size) params.set('size', options.size);
+    if (options.severity) params.set('severity', options.severity);
+    if (options.type) params.set('type', options.type);
+    if (options.source) params.set('source', options.source);
+    if (options.since) params.set('since', options.since);
+    if (options.until) params.set('until', options.until);
+    if (options.query) params.set('q', options.query);
+    if (options.search) params.set('search', options.search);
+
+    return request(`/api/events/aggregate?${params.toString()}`);
+}
+
 export async function getEvent(id) {
     return request(`/api/events/${id}`);
 }
@@ -92,6 +159,7 @@ export async function getAlerts(options = {}) {
     if (options.limit) params.set('limit', options.limit);
     if (options.offset) params.set('offset', options.offset);
     if (options.status) params.set('status', options.status);
+    if (options.sort) params.set('sort', options.sort);
 
     const query = params.toString();
     return request(`/api/alerts${query ? `?${query}` : ''}`);
@@ -117,6 +185,18 @@ export async function getEndpoint(id) {
     return request(`/api/endpoints/${id}`);
 }
 
+// changes: { owner, environment, criticality, tags }; null clears a field
+export async function updateEndpointAsset(id, changes) {
+    return request(`/api/endpoints/${id}`, {
+        method: 'PATCH',
+        body: changes
+    });
+}
+
+export async function revokeEndpointCredentials(id) {
+    return request(`/api/endpoints/${id}/revoke`, { method: 'POST' });
+}
+
 // Rules API
 export async function getRules(enabledOnly = false) {
     const query = enabledOnly ? '?enabled=true' : '';
@@ -130,6 +210,58 @@ export async function toggleRule(id, enabled) {
     });
 }
 
+// Dead letters API (logs that failed to parse)
+export async function getDeadLetters(options = {}) {
+    const params = new URLSearchParams();
+
+    if (options.limit) params.set('limit', options.limit);
+    if (options.offset) params.set('offset', options.offset);
+    if (options.source) params.set('source', options.source);
+    if (options.endpointId) params.set('endpoint_id', options.endpointId);
+
+    const query = params.toString();
+    return request(`/api/dead-letters${query ? `?${query}` : ''}`);
+}
+
+// Pass { ids } for specific letters or { source, endpoint_id } filters
+export async function reprocessDeadLetters(selection = {}) {
+    return request('/api/dead-letters/reprocess', {
+        method: 'POST',
+        body: selection
+    });
+}
+
+export async function deleteDeadLetter(id) {
+    return request(`/api/dead-letters/${id}`, { method: 'DELETE' });
+}
+
+// Threat intel indicators API
+export async function getIndicators(options = {}) {
+    const params = new URLSearchParams();
+
+    if (options.limit) params.set('limit', options.limit);
+    if (options.offset) params.set('offset', options.offset);
+    if (options.type) params.set('type', options.type);
+    if (options.source) params.set('source', options.source);
+    if (options.search) params.set('search', options.search);
+    if (options.active !== undefined) params.set('active', options.active);
+
+    const query = params.toString();
+    return request(`/api/indicators${query ? `?${query}` : ''}`);
+}
+
+// feed: { format: 'stix' | 'csv' | 'list', content, type, source, confidence, expires_in_days, retro_hunt_days }
+export async function importIndicators(feed) {
+    return request('/api/indicators/import', {
+        method: 'POST',
+        body: feed
+    });
+}
+
+export async function deleteIndicator(id) {
+    return request(`/api/indicators/${id}`, { method: 'DELETE' });
+}
+
 // Ingest API (for testing)
 export async function ingestTestEvents() {
     return request('/api/ingest/test', { method: 'POST' });
@@ -145,16 +277,31 @@ export async function ingestSingleEvent(log, source = 'syslog', endpointId = nul
 // Export default object for convenience
 const siemApi = {
     checkHealth,
+    getToken,
+    setToken,
+    onUnauthorized,
+    login,
+    logout,
+    getCurrentUser,
     getEvents,
     getEventStats,
+    aggregateEvents,
     getEvent,
     getAlerts,
     getAlert,
     updateAlertStatus,
     getEndpoints,
     getEndpoint,
+    updateEndpointAsset,
+    revokeEndpointCredentials,
     getRules,
     toggleRule,
+    getDeadLetters,
+    reprocessDeadLetters,
+    deleteDeadLetter,
+    getIndicators,
+    importIndicators,
+    deleteIndicator,
     ingestTestEvents,
     ingestSingleEvent,
     API_BASE
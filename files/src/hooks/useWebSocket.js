@@ -13,10 +13,13 @@ export const ConnectionState = {
 };
 
 /**
- * Custom hook for WebSocket connection to SIEM backend
+ * Custom hook for WebSocket connection to SIEM backend.
+ * The session token is sent as ?token= since browsers cannot set upgrade headers;
+ * no connection is made without one.
  */
 export function useWebSocket(options = {}) {
     const {
+        token = null,
         channels = ['events', 'alerts'],
         onEvent,
         onAlert,
@@ -36,7 +39,7 @@ export function useWebSocket(options = {}) {
 
     // Store callbacks in refs to avoid reconnection loops
     const callbacksRef = useRef({ onEvent, onAlert, onEndpoint, onStats });
-    const optionsRef = useRef({ channels, autoReconnect, reconnectDelay });
+    const optionsRef = useRef({ token, channels, autoReconnect, reconnectDelay });
 
     // Update refs when callbacks change
     useEffect(() => {
@@ -44,8 +47,8 @@ export function useWebSocket(options = {}) {
     }, [onEvent, onAlert, onEndpoint, onStats]);
 
     useEffect(() => {
-        optionsRef.current = { channels, autoReconnect, reconnectDelay };
-    }, [channels, autoReconnect, reconnectDelay]);
+        optionsRef.current = { token, channels, autoReconnect, reconnectDelay };
+    }, [token, channels, autoReconnect, reconnectDelay]);
 
     // Clear reconnect timeout
     const clearReconnectTimeout = useCallback(() => {
@@ -61,12 +64,18 @@ export function useWebSocket(options = {}) {
             return;
         }
 
+        const { token } = optionsRef.current;
+        if (!token) {
+            setConnectionState(ConnectionState.DISCONNECTED);
+            return;
+        }
+
         clearReconnectTimeout();
         setConnectionState(ConnectionState.CONNECTING);
         setError(null);
 
         try {
-            const ws = new WebSocket(WS_URL);
+            const ws = new WebSocket(`${WS_URL}?token=${encodeURIComponent(token)}`);
 
             ws.onopen = () => {
                 if (!mountedRef.current) return;
@@ -180,9 +189,10 @@ export function useWebSocket(options = {}) {
         }
     }, []);
 
-    // Connect on mount only (empty dependency array)
+    // Connect on mount and whenever the session token changes (login/logout)
     useEffect(() => {
         mountedRef.current = true;
+        optionsRef.current = { ...optionsRef.current, token };
         connect();
 
         return () => {
@@ -194,7 +204,7 @@ export function useWebSocket(options = {}) {
             }
         };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, []);
+    }, [token]);
 
     return {
         connectionState,